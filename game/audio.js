@@ -0,0 +1,390 @@
+/**
+ * @file Audio subsystem: low-latency sound playback, mixing and mute on the Web Audio API.
+ *
+ * Sounds are identified by URL, or by the level's HTMLAudioElement assets (their src is the URL). Each sound is decoded
+ * once into an AudioBuffer, so it starts within a few ms and can overlap itself. Playback goes through two channels,
+ * "music" and "effects", mixed into a master gain; the channel volumes and the mute state apply to everything played.
+ *
+ * Browsers only start audio after a user gesture: unlock() (called by the engine on the cover-screen and start key
+ * presses) resumes the AudioContext. When audio cannot start, the failure is reported once through `onError` (and
+ * report()). Without Web Audio (older browsers, headless runs), or until a sound is decoded, the audio element is played.
+ *
+ * Usage (levels):
+ *   DoggoNogoAudio.play(this.assets.soundFast)
+ *   DoggoNogoAudio.playMusic(this.assets.soundBackground)
+ *   DoggoNogoAudio.stopMusic()
+ */
+;(function (global) {
+    const CHANNELS = ["master", "music", "effects"]
+
+    // Resolved URL of a sound (a URL string or an element with a src)
+    function soundUrl(sound) {
+        const src = typeof sound === "string" ? sound : sound && sound.src
+        if (!src) return null
+        try {
+            return typeof document !== "undefined" && document.baseURI ? new URL(src, document.baseURI).href : src
+        } catch (e) {
+            return src
+        }
+    }
+
+    const AudioEngine = {
+        context: null,
+        buffers: {}, // URL -> decoded AudioBuffer
+        volumes: { master: 1, music: 1, effects: 1 },
+        muted: false,
+        // "idle" (no context yet) | "locked" (waiting for a user gesture) | "running" | "unavailable" (no Web Audio) | "failed"
+        status: "idle",
+        error: null, // why audio could not start (first failure only)
+        onError: null, // called with report() the first time audio fails to start
+        _gains: null,
+        _loading: {}, // URL -> Promise of its buffer
+        _elements: {}, // URL -> HTMLAudioElement for sounds given as URLs (element fallback)
+        _music: null, // { url, element, source, offset, startedAt, playing }
+
+        /**
+         * Creates the AudioContext and the channel gains on first use. Contexts created before a user gesture start
+         * suspended ("locked") but can already decode sounds.
+         * @returns {AudioContext|null}
+         */
+        ensureContext: function () {
+            if (this.context || this.status === "unavailable") return this.context
+            const Ctor = global.AudioContext || global.webkitAudioContext
+            if (typeof Ctor !== "function") {
+                this.status = "unavailable"
+                return null
+            }
+            try {
+                this.context = new Ctor({ latencyHint: "interactive" })
+            } catch (e) {
+                this.status = "unavailable"
+                return null
+            }
+            const ctx = this.context
+            this._gains = {}
+            CHANNELS.forEach((name) => (this._gains[name] = ctx.createGain()))
+            this._gains.music.connect(this._gains.master)
+            this._gains.effects.connect(this._gains.master)
+            this._gains.master.connect(ctx.destination)
+            this._applyVolumes()
+            this.status = ctx.state === "running" ? "running" : "locked"
+            return ctx
+        },
+
+        /**
+         * Fetches and decodes a sound (once). Resolves to null when it cannot be decoded (no Web Audio, file:// pages,
+         * unsupported format); the sound then plays through its element.
+         * @param {string|HTMLAudioElement} sound
+         * @returns {Promise<AudioBuffer|null>}
+         */
+        load: function (sound) {
+            const url = soundUrl(sound)
+            if (!url) return Promise.resolve(null)
+            if (this.buffers[url]) return Promise.resolve(this.buffers[url])
+            if (this._loading[url]) return this._loading[url]
+            const ctx = this.ensureContext()
+            if (!ctx || typeof fetch !== "function") return Promise.resolve(null)
+            this._loading[url] = fetch(url)
+                .then((res) => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+                    return res.arrayBuffer()
+                })
+                // Callback form for Safari's older decodeAudioData
+                .then((data) => new Promise((resolve, reject) => ctx.decodeAudioData(data, resolve, reject)))
+                .then((buffer) => {
+                    this.buffers[url] = buffer
+                    return buffer
+                })
+                .catch(() => null)
+                .finally(() => delete this._loading[url])
+            return this._loading[url]
+        },
+
+        /** Decodes several sounds; resolves when all are decoded (or failed). */
+        loadAll: function (sounds) {
+            return Promise.all((sounds || []).map((s) => this.load(s)))
+        },
+
+        /**
+         * Starts audio output. Call from a user gesture handler (key press, tap): browsers keep audio suspended until then.
+         * @returns {Promise<boolean>} true if audio is running.
+         */
+        unlock: function () {
+            const ctx = this.ensureContext()
+            if (!ctx) return Promise.resolve(false)
+            if (ctx.state === "running") {
+                this.status = "running"
+                return Promise.resolve(true)
+            }
+            return Promise.resolve()
+                .then(() => ctx.resume())
+                .then(() => {
+                    if (ctx.state === "running") {
+                        this.status = "running"
+                        if (this._music && this._music.playing && !this._music.source && !this._music.element) this._startMusic()
+                        return true
+                    }
+                    this._fail("AudioContext did not start (autoplay blocked)")
+                    return false
+                })
+                .catch((e) => {
+                    this._fail(`AudioContext could not start: ${e && e.message ? e.message : e}`)
+                    return false
+                })
+        },
+
+        /**
+         * Plays a sound once on a channel. Decoded sounds start immediately and may overlap; others play (restarting)
+         * through their element and are decoded for next time.
+         * @param {string|HTMLAudioElement} sound
+         * @param {object} [options]
+         * @param {string} [options.channel="effects"] - "effects" or "music".
+         * @param {number} [options.volume=1] - Gain of this sound relative to its channel.
+         * @param {number} [options.pan=0] - Stereo position, from -1 (left ear only) to 1 (right ear only); Web Audio only.
+         * @param {number} [options.rate=1] - Playback rate; shifts the pitch (and duration) by this ratio.
+         * @returns {AudioBufferSourceNode|HTMLAudioElement|null}
+         */
+        play: function (sound, options) {
+            return this.playTimed(sound, options).node
+        },
+
+        /**
+         * Plays a sound like play() and estimates when it reaches the speakers, from the audio clock: the time the
+         * audio hardware outputs the context time at which the sound starts (AudioContext.getOutputTimestamp()), or
+         * the reported output latency where that is unavailable.
+         * @param {string|HTMLAudioElement} sound
+         * @param {object} [options] - See play().
+         * @returns {{node: AudioBufferSourceNode|HTMLAudioElement|null, onset: number|null, pan: number|null}} `onset` is
+         *   a performance.now() time, null when the sound played through its element (onset unknown); `pan` is the stereo
+         *   position applied, null when the sound did not play or a pan was requested but could not be applied (element
+         *   playback, or no StereoPannerNode): the sound then played centered.
+         */
+        playTimed: function (sound, { channel = "effects", volume = 1, pan = 0, rate = 1 } = {}) {
+            const url = soundUrl(sound)
+            if (!url) return { node: null, onset: null, pan: null }
+            const ctx = this.context
+            const buffer = this.buffers[url]
+            if (ctx && buffer && ctx.state === "running") {
+                const source = ctx.createBufferSource()
+                source.buffer = buffer
+                source.playbackRate.value = rate
+                const appliedPan = this._connect(source, channel, volume, pan)
+                const when = ctx.currentTime
+                source.start(when)
+                return { node: source, onset: this._outputTime(when), pan: appliedPan }
+            }
+            if (ctx && !buffer) this.load(url)
+            const element = this._element(sound, url)
+            if (!element) return { node: null, onset: null, pan: null }
+            element.volume = this._elementVolume(channel) * Math.min(1, Math.max(0, volume))
+            element.muted = this.muted
+            element.playbackRate = rate
+            // Shift the pitch with the rate, as buffer sources do
+            element.preservesPitch = element.mozPreservesPitch = element.webkitPreservesPitch = false
+            this._playElement(element, true)
+            return { node: element, onset: null, pan: pan ? null : 0 }
+        },
+
+        /**
+         * Loops a music track on the music channel (one track at a time; replaying the current track is a no-op).
+         * @param {string|HTMLAudioElement} sound
+         */
+        playMusic: function (sound) {
+            const url = soundUrl(sound)
+            if (!url) return
+            if (this._music && this._music.url === url) {
+                if (!this._music.playing) this.resumeMusic()
+                return
+            }
+            this.stopMusic()
+            this._music = { url, sound, element: null, source: null, offset: 0, startedAt: 0, playing: true }
+            if (this.context && !this.buffers[url]) this.load(url)
+            this._startMusic()
+        },
+
+        /** Pauses the music track, keeping its position (see resumeMusic()). */
+        pauseMusic: function () {
+            const m = this._music
+            if (!m || !m.playing) return
+            m.playing = false
+            if (m.source) {
+                const duration = m.source.buffer.duration
+                m.offset = duration ? (this.context.currentTime - m.startedAt) % duration : 0
+                m.source.stop()
+                m.source = null
+            } else if (m.element) {
+                try {
+                    m.element.pause()
+                } catch (e) {}
+            }
+        },
+
+        /** Resumes the paused music track where it stopped. */
+        resumeMusic: function () {
+            const m = this._music
+            if (!m || m.playing) return
+            m.playing = true
+            this._startMusic()
+        },
+
+        /** Stops the music track and rewinds it. */
+        stopMusic: function () {
+            const m = this._music
+            if (!m) return
+            this.pauseMusic()
+            if (m.element) {
+                try {
+                    m.element.currentTime = 0
+                } catch (e) {}
+            }
+            this._music = null
+        },
+
+        /** Returns true while a music track is playing (not paused or stopped). */
+        isMusicPlaying: function () {
+            return !!(this._music && this._music.playing)
+        },
+
+        /**
+         * Sets a channel volume.
+         * @param {string} channel - "master", "music" or "effects".
+         * @param {number} volume - 0 (silent) to 1.
+         */
+        setVolume: function (channel, volume) {
+            if (CHANNELS.indexOf(channel) === -1) throw new Error(`Unknown audio channel "${channel}"`)
+            this.volumes[channel] = Math.min(1, Math.max(0, Number(volume) || 0))
+            this._applyVolumes()
+        },
+
+        /** Mutes or unmutes all output. */
+        setMuted: function (muted) {
+            this.muted = !!muted
+            this._applyVolumes()
+        },
+
+        /** Toggles mute; returns the new mute state. */
+        toggleMute: function () {
+            this.setMuted(!this.muted)
+            return this.muted
+        },
+
+        /**
+         * Audio setup as saved in gameParams.audio.
+         * @returns {{backend: string, status: string, error: string|null, sampleRate: number|null, baseLatency: number|null,
+         *   outputLatency: number|null, volumes: object, muted: boolean}}
+         */
+        report: function () {
+            const ctx = this.context
+            return {
+                backend: ctx ? "webaudio" : "element",
+                status: this.status,
+                error: this.error,
+                sampleRate: ctx ? ctx.sampleRate : null,
+                // Seconds between scheduling a sound and it leaving the audio hardware (where the browser reports it)
+                baseLatency: ctx && typeof ctx.baseLatency === "number" ? ctx.baseLatency : null,
+                outputLatency: ctx && typeof ctx.outputLatency === "number" ? ctx.outputLatency : null,
+                volumes: Object.assign({}, this.volumes),
+                muted: this.muted,
+            }
+        },
+
+        // performance.now() time at which the audio hardware outputs context time `when`
+        _outputTime: function (when) {
+            const ctx = this.context
+            const stamp = typeof ctx.getOutputTimestamp === "function" ? ctx.getOutputTimestamp() : null
+            if (stamp && stamp.performanceTime > 0) return stamp.performanceTime + (when - stamp.contextTime) * 1000
+            const latency = (ctx.baseLatency || 0) + (ctx.outputLatency || 0)
+            return performance.now() + latency * 1000
+        },
+
+        // source -> [per-sound gain] -> [stereo panner] -> channel gain; returns the pan applied (null if it could not be)
+        _connect: function (source, channel, volume = 1, pan = 0) {
+            const ctx = this.context
+            let node = source
+            let appliedPan = pan ? null : 0
+            if (volume !== 1) {
+                const gain = ctx.createGain()
+                gain.gain.value = Math.min(1, Math.max(0, volume))
+                node.connect(gain)
+                node = gain
+            }
+            if (pan && typeof ctx.createStereoPanner === "function") {
+                const panner = ctx.createStereoPanner()
+                panner.pan.value = appliedPan = Math.min(1, Math.max(-1, pan))
+                node.connect(panner)
+                node = panner
+            }
+            node.connect(this._gains[channel] || this._gains.effects)
+            return appliedPan
+        },
+
+        _startMusic: function () {
+            const m = this._music
+            const ctx = this.context
+            const buffer = this.buffers[m.url]
+            // A buffer source may start while the context is locked: the track begins as soon as audio is unlocked
+            if (ctx && buffer && !m.element) {
+                const source = ctx.createBufferSource()
+                source.buffer = buffer
+                source.loop = true
+                this._connect(source, "music", 1)
+                source.start(0, m.offset)
+                m.source = source
+                m.startedAt = ctx.currentTime - m.offset
+                return
+            }
+            m.element = m.element || this._element(m.sound, m.url)
+            if (!m.element) return
+            m.element.loop = true
+            m.element.volume = this._elementVolume("music")
+            m.element.muted = this.muted
+            this._playElement(m.element, false)
+        },
+
+        _element: function (sound, url) {
+            if (sound && typeof sound === "object") return sound
+            if (!this._elements[url] && typeof global.Audio === "function") this._elements[url] = new global.Audio(url)
+            return this._elements[url] || null
+        },
+
+        _playElement: function (element, restart) {
+            try {
+                if (restart) element.currentTime = 0
+                const played = element.play()
+                if (played && typeof played.catch === "function") {
+                    played.catch((e) => {
+                        // AbortError only means the sound was restarted or paused before it started
+                        if (e && e.name === "NotAllowedError") this._fail("Audio playback was blocked by the browser (autoplay policy)")
+                    })
+                }
+            } catch (e) {}
+        },
+
+        _elementVolume: function (channel) {
+            return this.volumes.master * (this.volumes[channel] !== undefined ? this.volumes[channel] : 1)
+        },
+
+        _applyVolumes: function () {
+            if (this._gains) {
+                this._gains.master.gain.value = this.muted ? 0 : this.volumes.master
+                this._gains.music.gain.value = this.volumes.music
+                this._gains.effects.gain.value = this.volumes.effects
+            }
+            const m = this._music
+            if (m && m.element) {
+                m.element.volume = this._elementVolume("music")
+                m.element.muted = this.muted
+            }
+        },
+
+        _fail: function (message) {
+            if (this.error) return
+            this.error = message
+            if (this.status !== "running") this.status = "failed"
+            console.warn(message)
+            if (typeof this.onError === "function") this.onError(this.report())
+        },
+    }
+
+    global.DoggoNogoAudio = AudioEngine
+})(typeof window !== "undefined" ? window : globalThis)
@@ -4,45 +4,245 @@
  */
 
 ;(function (global) {
+    // Default event codes of the multi-square / gray-level marker (see run()'s markerBits and markerEncoding).
+    // Stimulus codes are keyed by condition ("stimulus:<difficulty or kind>"); each session runs a single level, so
+    // level2 and level3 conditions share codes. Every code fits in 3 squares or 8 gray levels.
+    const DEFAULT_MARKER_CODES = {
+        stimulus: 1, // onset of a stimulus without a condition-specific code (level1)
+        "stimulus:congruent": 2,
+        "stimulus:neutral": 3,
+        "stimulus:incongruent": 4,
+        "stimulus:go": 2,
+        "stimulus:nogo": 3,
+        response: 5, // correct response (key press or tap)
+        error: 6, // anticipation, wrong key or commission
+        phaseStart: 7, // gameplay start and the end of each break
+    }
+
+    // Stimulus properties copied into onset events and trigger messages when a level sets them
+    const STIMULUS_FIELDS = ["kind", "side", "region", "difficulty", "modality", "pan", "pitch", "voice"]
+
+    // localStorage key of the marker size and position chosen on the calibration screen (see calibrateMarker())
+    const MARKER_STORAGE_KEY = "DoggoNogo.marker"
+    const MARKER_CORNERS = ["top-left", "top-right", "bottom-right", "bottom-left"]
+
+    // Minimum timing quality for millisecond RTs (see probeTiming()); override with run()'s `timingThresholds`
+    const DEFAULT_TIMING_THRESHOLDS = {
+        minRefreshRate: 50, // Hz
+        maxFrameJitter: 2, // ms, SD of the frame intervals
+        maxDroppedFrameRate: 0.05, // dropped / expected frames
+        maxTimerError: 4, // ms, mean lateness of setTimeout callbacks
+    }
+
     const GameEngine = {
+        // Default marker code table; override entries with run()'s `markerCodes` option
+        defaultMarkerCodes: DEFAULT_MARKER_CODES,
+        // Thresholds under which the timing probe warns; override entries with run()'s `timingThresholds` option
+        defaultTimingThresholds: DEFAULT_TIMING_THRESHOLDS,
+        // Trigger messages sent so far (numbered across runs, so a gap in `seq` reveals a lost message)
+        _triggerSeq: 0,
+        // Transport created by the engine from a `triggerTransport` URL, closed when the run stops (after sending its queue)
+        _ownedTriggers: null,
+
+        // Registered levels keyed by id, in registration (i.e., script load) order. See registerLevel().
+        _registry: {},
+
+        /**
+         * Registers a level so the engine, the jsPsych helpers and the standalone page can find it by id.
+         * Level scripts call this once at load time (after engine.js has been included).
+         * @param {string} id - Unique level id (e.g., "level1").
+         * @param {object} levelObj - The level object implementing load/start/update/draw/handleKeyDown.
+         * @param {object} [meta] - Level metadata.
+         * @param {string} [meta.name] - Display name (defaults to the id).
+         * @param {string[]} [meta.startKeys] - Keys (KeyboardEvent.key) that leave the instruction screen.
+         * @param {string[]} [meta.responseKeys] - Keys counted as responses (e.g., for the keypress marker mode).
+         * @param {{images: string[], audio: string[]}} [meta.manifest] - Asset paths (relative to assetBasePath) to preload.
+         * @param {Array|function} [meta.introSequence] - Intro steps, or a function returning them (resolved at run time).
+         * @returns {object} The level object.
+         */
+        registerLevel: function (id, levelObj, meta = {}) {
+            if (!id || !levelObj) throw new Error("registerLevel requires an id and a level object")
+            const startKeys = meta.startKeys || ["ArrowDown"]
+            this._registry[id] = {
+                id,
+                level: levelObj,
+                name: meta.name || id,
+                startKeys,
+                responseKeys: meta.responseKeys || startKeys,
+                manifest: meta.manifest || { images: [], audio: [] },
+                introSequence: meta.introSequence || null,
+            }
+            levelObj.id = id
+            if (!levelObj.name) levelObj.name = meta.name || id
+            // Make the manifest available to the shared preloader
+            if (!global.DoggoNogoAssets) global.DoggoNogoAssets = {}
+            global.DoggoNogoAssets[id] = this._registry[id].manifest
+            return levelObj
+        },
+
+        /** Returns the level object registered under `id` (or undefined). */
+        getLevel: function (id) {
+            const entry = this._registry[id]
+            return entry ? entry.level : undefined
+        },
+
+        /** Returns the registered level ids in registration order. */
+        getLevelIds: function () {
+            return Object.keys(this._registry)
+        },
+
+        /**
+         * Returns the registry entry of a level given its id or the level object itself.
+         * Unregistered levels get a default entry (ArrowDown to start and respond, no manifest).
+         */
+        getLevelMeta: function (levelOrId) {
+            if (typeof levelOrId === "string") return this._registry[levelOrId] || null
+            const found = Object.values(this._registry).find((entry) => entry.level === levelOrId)
+            if (found) return found
+            return {
+                id: (levelOrId && levelOrId.id) || null,
+                level: levelOrId,
+                name: (levelOrId && levelOrId.name) || "",
+                startKeys: ["ArrowDown"],
+                responseKeys: ["ArrowDown"],
+                manifest: { images: [], audio: [] },
+                introSequence: null,
+            }
+        },
+
         /**
          * Runs a game level.
          * @param {HTMLCanvasElement} canvas - The canvas element to draw on.
-         * @param {object} level - The level object (e.g., level1).
+         * @param {object|string} level - The level object (e.g., level1) or its registered id (e.g., "level1").
          * @param {object} [options] - Configuration options.
          * @param {function} [options.onFinish] - Callback when the game is over.
          * @param {object} [options.levelParams] - Parameters to override in the level.
+         * @param {Array|null} [options.introSequence] - Intro steps; defaults to the one registered with the level (null disables it).
+         * @param {boolean} [options.record] - Record inputs and stimulus onsets into `state.recording` (see replay()).
+         * @param {object} [options.keyMap] - Response key mapping, e.g. { ArrowDown: "KeyJ", Space: "Enter" }; values are
+         *   KeyboardEvent.code or .key strings (or arrays of them). See DoggoNogoCore.setKeyMap().
+         * @param {string} [options.inputMode] - "pointer" to also accept taps/clicks on the canvas (see handlePointerDown()),
+         *   "keyboard" for keys only. Omitted keeps the current mode (keyboard by default).
+         * @param {string} [options.markerEncoding="binary"] - "binary": `markerBits` squares in a row, each one bit of the
+         *   event code (black = 1); "gray": one square whose gray level is the code (white = 0, black = markerGrayLevels - 1).
+         * @param {number} [options.markerBits=1] - Number of binary marker squares; 1 keeps the single flashing square.
+         * @param {object} [options.markerCodes] - Event name -> code overrides of defaultMarkerCodes (saved in gameParams.marker).
+         * @param {number} [options.markerSize] - Marker square size (px); defaults to the calibrated size (see calibrateMarker()) or 60.
+         * @param {string|object} [options.markerPosition] - Corner ("top-left", "top-right", "bottom-right", "bottom-left") or
+         *   { corner, x, y } with an inward offset (px) from it; defaults to the calibrated position or the top-left corner.
+         * @param {string|object} [options.triggerTransport] - WebSocket URL (requires triggers.js) or object with send(message):
+         *   receives a JSON-ready message for every stimulus onset, response, feedback and phase transition (see _sendTrigger()).
+         *   A URL opens a connection for this run, closed when it stops once its queued messages were sent; pass a transport
+         *   object to share one connection across runs.
+         * @param {boolean|object} [options.timingProbe=true] - Measure display and timer timing during the cover screen and intro
+         *   (see probeTiming(); an object sets its options). The report is saved as gameParams.timing.
+         * @param {object} [options.timingThresholds] - Overrides of defaultTimingThresholds.
+         * @param {function} [options.onTimingWarning] - Called with the timing report when it falls outside the thresholds
+         *   (e.g., to flag or screen out participants whose hardware cannot support millisecond RTs).
+         * @param {number} [options.stutterThreshold=2] - A frame interval longer than this many refresh intervals during a
+         *   stimulus window (or a long task overlapping it) sets the trial's TimingIssue flag (see _noteTimingIssue()).
+         * @param {number} [options.musicVolume] - Background music volume (0-1); omitted keeps the current volume.
+         * @param {number} [options.effectsVolume] - Sound effects volume (0-1); omitted keeps the current volume.
+         * @param {string|null} [options.muteKey="KeyM"] - Key (KeyboardEvent.code) toggling mute; null disables it. Ignored
+         *   when it is one of the level's start or response keys.
+         * @param {function} [options.onAudioError] - Called with DoggoNogoAudio.report() when audio cannot start (e.g.,
+         *   autoplay blocked). The audio setup is saved as gameParams.audio.
          * @returns {Promise<void>}
          */
         run: async function (canvas, level, options = {}) {
+            if (typeof level === "string") {
+                const id = level
+                level = this.getLevel(id)
+                if (!level) throw new Error(`Unknown level "${id}". Ensure its script is loaded.`)
+            }
+            const meta = this.getLevelMeta(level)
             const {
                 onFinish,
                 levelParams,
-                introSequence,
+                introSequence = typeof meta.introSequence === "function" ? meta.introSequence() : meta.introSequence,
                 skipCover,
-                // After loading the requested level, also proactively load any other known level objects (level1/level2/etc.)
+                // After loading the requested level, also proactively load any other registered levels
                 // so subsequent transitions have zero load time or flashes.
                 preloadOtherLevels = true,
                 // Marker (formerly photodiode) visual trigger options (optional; defaults disabled)
                 markerEnabled = false,
                 markerFlashDuration = 100, // ms the square turns black after a trigger
-                markerSize = 60, // px square size
+                markerSize, // px square size (calibrated size or 60 if omitted)
+                markerPosition, // corner or { corner, x, y } (calibrated position or top-left if omitted)
                 markerTriggerMode = "stimulus", // 'stimulus' | 'keypress'
+                markerEncoding = "binary", // 'binary' (markerBits squares) | 'gray' (one square, markerGrayLevels shades)
+                markerBits = 1, // 1 = single square flashing on stimulus onsets (and key presses in 'keypress' mode)
+                markerGrayLevels = 8,
+                markerCodes, // event name -> code, merged over DEFAULT_MARKER_CODES
+                markerMinFrames = 2, // frames each code stays on screen at least (a blank frame always follows)
+                triggerTransport, // WebSocket URL or { send(message) } receiving event messages (see triggers.js)
                 fullscreen = false, // if true, resize canvas to window inner size (CSS/layout fullscreen, not browser Fullscreen API)
+                autoPause = false, // if true, pause automatically when the tab is hidden or the window loses focus
+                seed, // PRNG seed (number or string) for reproducible stimulus sequences; random if omitted
+                record = false, // if true, capture keys, pauses and stimulus onsets for exact replay
+                keyMap, // logical key -> physical key(s); omitted keeps the current mapping
+                inputMode, // "keyboard" | "pointer" (tablets/phones); omitted keeps the current mode
+                timingProbe = true, // invisible refresh-rate / timer probe before gameplay (saved in gameParams.timing)
+                timingThresholds, // overrides of DEFAULT_TIMING_THRESHOLDS
+                onTimingWarning, // called with the probe report when the machine falls below the thresholds
+                stutterThreshold = 2, // frame intervals (in refresh intervals) above which a trial is flagged
+                musicVolume, // 0-1; omitted keeps the current DoggoNogoAudio volume
+                effectsVolume,
+                muteKey = "KeyM", // toggles DoggoNogoAudio mute; null disables
+                onAudioError, // called with DoggoNogoAudio.report() when audio cannot start
             } = options
             this.canvas = canvas
             this.ctx = canvas.getContext("2d")
             this.level = level
+            this.levelMeta = meta
             this.animationFrameId = null
+            this._running = false
+            this._paused = null // { reason, start, wasInBreak, musicWasPlaying } while paused
+            this._recorder = null
+            this._timing = null // timing probe report (see probeTiming())
+            this._stutterThreshold = stutterThreshold
+            this._stimulusWindow = null // { start, end, row, ... } of the latest stimulus (see _noteTimingIssue())
+            this._lastFrameTime = null
             // Marker indicator state (used for external physiological synchronization via photosensor)
+            const calibrated = this.loadMarkerSettings() || {}
+            const position = this._normalizeMarkerPosition(markerPosition !== undefined ? markerPosition : calibrated)
             this._marker = {
                 enabled: !!markerEnabled,
-                flashUntil: 0,
                 flashDuration: markerFlashDuration,
-                size: markerSize,
+                size: markerSize !== undefined ? markerSize : calibrated.size || 60,
+                corner: position.corner,
+                offsetX: position.x,
+                offsetY: position.y,
+                triggerMode: markerTriggerMode,
+                encoding: markerEncoding === "gray" ? "gray" : "binary",
+                bits: Math.max(1, Math.floor(markerBits) || 1),
+                grayLevels: Math.max(2, Math.floor(markerGrayLevels) || 2),
+                codes: Object.assign({}, DEFAULT_MARKER_CODES, markerCodes || {}),
+                minFrames: Math.max(1, markerMinFrames),
+                queue: [], // codes waiting to be shown ({ name, code })
+                current: null, // code on screen ({ name, code, shownAt, frames })
+                gap: 0, // blank frames still due before the next code
                 // Set when gameplay actually starts to avoid instruction-screen noise (optional design choice)
                 active: false,
             }
+            this._triggers = this._resolveTriggerTransport(triggerTransport)
+            if (this._marker.enabled && !this._isSingleMarker()) {
+                const capacity = this._markerCapacity()
+                Object.keys(this._marker.codes).forEach((name) => {
+                    const code = this._marker.codes[name]
+                    if (!(code > 0 && code <= capacity && Math.floor(code) === code)) {
+                        console.warn(`Marker code ${name}=${code} cannot be encoded (1..${capacity}); this event will not be marked`)
+                    }
+                })
+            }
+
+            if (keyMap !== undefined) DoggoNogoCore.setKeyMap(keyMap)
+            if (musicVolume !== undefined) DoggoNogoAudio.setVolume("music", musicVolume)
+            if (effectsVolume !== undefined) DoggoNogoAudio.setVolume("effects", effectsVolume)
+            if (onAudioError !== undefined) DoggoNogoAudio.onError = onAudioError
+            if (inputMode !== undefined) DoggoNogoCore.setInputMode(inputMode)
+            // Taps must not scroll, zoom or wait for a double-tap
+            if (DoggoNogoCore.usesPointer()) canvas.style.touchAction = "none"
 
             // Override level parameters if provided
             if (levelParams) {
@@ -78,10 +278,9 @@
                 // 1b. Background preload of other defined levels (one-time) so later starts are instantaneous.
                 if (preloadOtherLevels && !global.__DoggoOtherLevelsPreloaded) {
                     try {
-                        const candidates = []
-                        if (global.level1 && global.level1 !== this.level && !global.level1._loaded) candidates.push(global.level1)
-                        if (global.level2 && global.level2 !== this.level && !global.level2._loaded) candidates.push(global.level2)
-                        // Future levels could be appended here.
+                        const candidates = this.getLevelIds()
+                            .map((id) => this.getLevel(id))
+                            .filter((lvl) => lvl !== this.level && !lvl._loaded)
                         if (candidates.length) {
                             await Promise.all(
                                 candidates.map((lvl) =>
@@ -118,11 +317,35 @@
                     window.addEventListener("resize", this._boundResizeHandler)
                 }
 
+                // Timing probe: runs (invisibly) while the cover screen and intro are shown, awaited before gameplay
+                let timingReady = Promise.resolve(null)
+                if (timingProbe) {
+                    const probeOptions = Object.assign({ thresholds: timingThresholds }, typeof timingProbe === "object" ? timingProbe : {})
+                    timingReady = this.probeTiming(probeOptions).then((report) => {
+                        this._timing = report
+                        if (report && !report.ok) {
+                            console.warn("Timing quality below thresholds:", report.warnings.join("; "))
+                            if (typeof onTimingWarning === "function") onTimingWarning(report)
+                        }
+                        return report
+                    })
+                }
+
                 // 1.5 Cover screen (optional skip for chained levels)
                 if (!skipCover) {
                     await this.showCoverScreen()
                 }
 
+                // Mute toggle, available from here on (a capture listener so it also works while paused)
+                if (muteKey && !this._boundMuteKeyHandler) {
+                    const levelKeys = [...meta.startKeys, ...meta.responseKeys]
+                    this._boundMuteKeyHandler = (e) => {
+                        if (e.code !== muteKey || e.repeat || DoggoNogoCore.logicalKey(e, levelKeys)) return
+                        DoggoNogoAudio.toggleMute()
+                    }
+                    document.addEventListener("keydown", this._boundMuteKeyHandler, true)
+                }
+
                 // Run intro if it exists (now after a user interaction)
                 if (introSequence && typeof IntroRunner !== "undefined") {
                     // Ensure intro-specific assets are loaded
@@ -157,98 +380,96 @@
                 }
 
                 // Start background music here so it plays during instruction screen
-                const bg = this.level.assets.soundBackground
-                if (bg) {
-                    try {
-                        bg.loop = true
-                        if (bg.paused) bg.play()
-                    } catch (e) {
-                        console.warn("Background music failed to start early", e)
-                    }
-                }
+                if (this.level.assets.soundBackground) DoggoNogoAudio.playMusic(this.level.assets.soundBackground)
 
                 await this.waitForStart()
+                await timingReady
                 // Activate marker after participant starts (so pre-start keys don't flash if desired)
                 if (this._marker && this._marker.enabled) {
                     this._marker.active = true
                     // Optional keypress trigger mode retained for compatibility
                     if (markerTriggerMode === "keypress" && !this._boundMarkerKeyHandler) {
                         this._boundMarkerKeyHandler = (e) => {
-                            if (!this._marker.enabled || !this._marker.active) return
+                            if (!this._marker.enabled || !this._marker.active || this._paused) return
                             if (!this.level || !this.level.state || this.level.state.gameState !== "playing") return
-                            let isResp = false
-                            if (typeof this.level.isResponseKey === "function") {
-                                try {
-                                    isResp = this.level.isResponseKey(e.key)
-                                } catch (_) {}
-                            } else {
-                                isResp = ["ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)
-                            }
-                            if (!isResp) return
-                            this.flashMarker()
+                            if (!DoggoNogoCore.logicalKey(e, this.levelMeta.responseKeys)) return
+                            this.markEvent("keypress")
                         }
                         document.addEventListener("keydown", this._boundMarkerKeyHandler, true)
                     }
                 }
 
+                // Pause handling: block level input while paused (SPACE resumes) and optionally auto-pause
+                if (!this._boundPauseKeyHandler) {
+                    this._boundPauseKeyHandler = (e) => {
+                        if (!this._paused) return
+                        // Swallow all keys so the level never sees input while paused
+                        e.stopImmediatePropagation()
+                        e.preventDefault()
+                        if (DoggoNogoCore.matchesKey(e, "Space") && !e.repeat) this.resume()
+                    }
+                    document.addEventListener("keydown", this._boundPauseKeyHandler, true)
+                }
+                if (DoggoNogoCore.usesPointer() && !this._boundPointerHandler) {
+                    this._boundPointerHandler = this.handlePointerDown.bind(this)
+                    this.canvas.addEventListener("pointerdown", this._boundPointerHandler)
+                }
+                if (autoPause && !this._boundAutoPauseHandler) {
+                    this._boundAutoPauseHandler = (e) => {
+                        if (e.type === "blur" || document.visibilityState === "hidden") this.pause(e.type)
+                    }
+                    document.addEventListener("visibilitychange", this._boundAutoPauseHandler)
+                    window.addEventListener("blur", this._boundAutoPauseHandler)
+                }
+                // Pause intervals are logged on the level state (see pause()/resume())
+                this.level.state.pauses = []
+                this.level.state.recording = null
+                // Marker events with the timestamp of the frame that first showed them (see markEvent())
+                this.level.state.markerLog = []
+
+                // Seed the shared PRNG right before the level starts so loading/intro never consume draws
+                const appliedSeed = DoggoNogoCore.rng.setSeed(seed)
+
+                if (record) this._startRecording(appliedSeed)
+
                 // 3. Start the level and the game loop
+                this._running = true
                 this.level.start(this.canvas, (state) => {
                     // This is the endGameCallback from the level
+                    this._sendTrigger("levelEnd", { score: state.score })
+                    if (this._recorder) state.recording = this._finishRecording()
                     this.stop()
                     if (typeof DoggoNogoUI !== "undefined" && DoggoNogoUI.showScoreScreen) {
-                        // Population parameters for IES Z-scoring from level parameters
-                        const populationMean = this.level.params.populationMean || 300
-                        const populationSD = this.level.params.populationSD || 20
-
-                        //  Compute Inverse Efficiency Score (IES)
-                        const correctTrials = state.data.filter((d) => d.Error === 0 && d.RT !== "NA")
-                        const meanRT = correctTrials.length
-                            ? correctTrials.map((d) => d.RT).reduce((a, b) => a + b, 0) / correctTrials.length
-                            : 0
-                        const errorRate = state.data.length > 0 ? state.data.filter((d) => d.Error === 1).length / state.data.length : 0
-                        const ies = errorRate < 1 ? meanRT / (1 - errorRate) : meanRT // Avoid division by zero
-
-                        // Z-transform the IES
-                        const zIES = (ies - populationMean) / populationSD
-
-                        // Convert Z-score to quantile
-                        const quantile = DoggoNogoUI.zScoreToQuantile(zIES)
-
                         // Persist metrics & parameter snapshot onto level state for downstream data collection
                         try {
-                            this.level.state.performance = {
-                                meanRT,
-                                errorRate,
-                                ies,
-                                zIES,
-                                quantile,
-                            }
-                            this.level.state.gameParams = {
-                                trialsNumber: this.level.params.trialsNumber,
-                                minTrialsPerPhase: this.level.params.minTrialsPerPhase,
-                                gameDifficulty: this.level.params.gameDifficulty,
-                                populationMean: this.level.params.populationMean,
-                                populationSD: this.level.params.populationSD,
-                                minScore: this.level.params.minScore,
-                                maxScore: this.level.params.maxScore,
-                                // Level 2 conflict proportions (present only if defined on level.params)
-                                neutralProportionPhase2: this.level.params.neutralProportionPhase2,
-                                incongruentProportionPhase3: this.level.params.incongruentProportionPhase3,
-                            }
+                            state.performance = this.computePerformance(this.level)
+                            state.gameParams = this.snapshotGameParams(this.level, {
+                                autoPause: !!autoPause,
+                                seed: appliedSeed,
+                                keyMap: JSON.parse(JSON.stringify(DoggoNogoCore.keyMap)),
+                                inputMode: DoggoNogoCore.inputMode,
+                                marker: this.markerConfig(),
+                                timing: this._timing,
+                                audio: DoggoNogoAudio.report(),
+                            })
                         } catch (e) {
                             console.warn("Failed to attach performance snapshot", e)
                         }
 
-                        DoggoNogoUI.showScoreScreen(this.canvas, quantile, {
+                        DoggoNogoUI.showScoreScreen(this.canvas, state.performance ? state.performance.quantile : 50, {
                             hint: options.continueHint,
-                            playerSprite: this.level.assets.imgPlayer3 || this.level.assets.imgPlayer,
+                            playerSprite: this.level.assets.imgPlayer,
                         })
                     }
                     if (onFinish) {
                         onFinish(this.level.state)
                     }
                 })
+                // First phase starts now (later phases are reported by the level after each break)
+                this.phaseStart(this.level)
 
+                this._refresh = { lastTs: null, intervals: [], estimate: null }
+                this._observeLongTasks()
                 this.loop()
             } catch (error) {
                 console.error("Error during game execution:", error)
@@ -259,59 +480,939 @@
                 this.ctx.fillText("An error occurred. See console for details.", this.canvas.width / 2, this.canvas.height / 2)
             }
         },
+        /**
+         * Computes the end-of-level performance summary from the level's trial data.
+         * IES (Inverse Efficiency Score) = mean correct RT / (1 - error rate), z-scored against the level's
+         * population parameters and converted to the quantile shown on the score screen.
+         * @param {object} level - A level object whose `state.data` holds the logged trials.
+         * @returns {{meanRT: number, errorRate: number, ies: number, zIES: number, quantile: number}}
+         */
+        computePerformance: function (level) {
+            const data = level.state.data || []
+            // Population parameters for IES Z-scoring from level parameters
+            const populationMean = level.params.populationMean || 300
+            const populationSD = level.params.populationSD || 20
+
+            //  Compute Inverse Efficiency Score (IES)
+            const correctTrials = data.filter((d) => d.Error === 0 && d.RT !== "NA")
+            const meanRT = correctTrials.length ? correctTrials.map((d) => d.RT).reduce((a, b) => a + b, 0) / correctTrials.length : 0
+            const errorRate = data.length > 0 ? data.filter((d) => d.Error === 1).length / data.length : 0
+            const ies = errorRate < 1 ? meanRT / (1 - errorRate) : meanRT // Avoid division by zero
+
+            // Z-transform the IES
+            const zIES = (ies - populationMean) / populationSD
+
+            // Convert Z-score to quantile
+            const quantile = DoggoNogoUI.zScoreToQuantile(zIES)
+            return { meanRT, errorRate, ies, zIES, quantile }
+        },
+
+        /**
+         * Returns the parameter snapshot saved as `state.gameParams` at the end of a level.
+         * @param {object} level - The level object.
+         * @param {object} [extra] - Run options to record alongside the level parameters (e.g., seed).
+         * @returns {object}
+         */
+        snapshotGameParams: function (level, extra) {
+            return Object.assign(
+                {
+                    trialsNumber: level.params.trialsNumber,
+                    minTrialsPerPhase: level.params.minTrialsPerPhase,
+                    // "score" (phases end at their score target), "trials" (after a fixed number of presentations) or
+                    // "time" (after phaseDuration ms)
+                    progressionMode: level.params.progressionMode || "score",
+                    phaseDuration: level.params.progressionMode === "time" ? level.params.phaseDuration : undefined,
+                    // Phase definitions in use (see the levels' getPhases)
+                    phases: typeof level.getPhases === "function" ? level.getPhases() : undefined,
+                    gameDifficulty: level.params.gameDifficulty,
+                    // Adaptive threshold strategy (name or { type, ...options }, see thresholds.js)
+                    thresholdStrategy: level.params.thresholdStrategy || "median",
+                    populationMean: level.params.populationMean,
+                    populationSD: level.params.populationSD,
+                    minScore: level.params.minScore,
+                    maxScore: level.params.maxScore,
+                    // Level 2 conflict proportions (present only if defined on level.params)
+                    neutralProportionPhase2: level.params.neutralProportionPhase2,
+                    incongruentProportionPhase3: level.params.incongruentProportionPhase3,
+                    // Level 3 no-go proportions per phase (present only if defined on level.params)
+                    noGoProportions: level.params.noGoProportions,
+                },
+                // Run options (e.g., autoPause, and the seed that regenerates the exact stimulus sequence)
+                extra || {}
+            )
+        },
+
+        /**
+         * Measures this machine's timing without drawing anything: refresh rate and frame-time variability from
+         * requestAnimationFrame timestamps, dropped frames (intervals spanning several refresh cycles), and the lateness of
+         * chained setTimeout callbacks. Uses the browser's own timers, not the level clock.
+         * @param {object} [options]
+         * @param {number} [options.duration=1000] - Probe duration (ms).
+         * @param {number} [options.timerDelay=10] - Delay (ms) requested from each setTimeout.
+         * @param {object} [options.thresholds] - Overrides of defaultTimingThresholds used to flag the report.
+         * @returns {Promise<object|null>} { refreshRate, refreshInterval, frameJitter, frames, droppedFrames, droppedFrameRate,
+         *   timerError, timerErrorMax, timerSamples, duration, thresholds, warnings, ok }, or null without requestAnimationFrame.
+         */
+        probeTiming: function ({ duration = 1000, timerDelay = 10, thresholds } = {}) {
+            if (typeof requestAnimationFrame !== "function" || typeof performance === "undefined") return Promise.resolve(null)
+            return new Promise((resolve) => {
+                const start = performance.now()
+                const frameTimes = []
+                const timerErrors = []
+                let finished = false
+                let rafId = null
+                let timerId = null
+                const onFrame = (ts) => {
+                    frameTimes.push(ts)
+                    if (!finished) rafId = requestAnimationFrame(onFrame)
+                }
+                const nextTimer = () => {
+                    const requested = performance.now()
+                    timerId = setTimeout(() => {
+                        timerErrors.push(performance.now() - requested - timerDelay)
+                        if (!finished) nextTimer()
+                    }, timerDelay)
+                }
+                rafId = requestAnimationFrame(onFrame)
+                nextTimer()
+                // Ends on a timer, so a hidden tab (no animation frames) still yields a (failing) report
+                setTimeout(() => {
+                    finished = true
+                    cancelAnimationFrame(rafId)
+                    clearTimeout(timerId)
+                    resolve(this._timingReport(frameTimes, timerErrors, performance.now() - start, thresholds))
+                }, duration)
+            })
+        },
+
+        _timingReport: function (frameTimes, timerErrors, duration, thresholds) {
+            const limits = Object.assign({}, DEFAULT_TIMING_THRESHOLDS, thresholds || {})
+            const intervals = frameTimes.slice(1).map((t, i) => t - frameTimes[i])
+            const refreshInterval = DoggoNogoCore.computeMedian(intervals)
+            const mean = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null)
+            const meanInterval = mean(intervals)
+            const frameJitter = intervals.length ? Math.sqrt(mean(intervals.map((d) => (d - meanInterval) ** 2))) : null
+            // An interval of n refresh cycles means n - 1 frames were not produced in time
+            const droppedFrames = refreshInterval ? intervals.reduce((n, d) => n + Math.max(0, Math.round(d / refreshInterval) - 1), 0) : 0
+            const report = {
+                refreshRate: refreshInterval ? 1000 / refreshInterval : null,
+                refreshInterval,
+                frameJitter,
+                frames: frameTimes.length,
+                droppedFrames,
+                droppedFrameRate: intervals.length ? droppedFrames / (intervals.length + droppedFrames) : null,
+                timerError: mean(timerErrors),
+                timerErrorMax: timerErrors.length ? Math.max(...timerErrors) : null,
+                timerSamples: timerErrors.length,
+                duration,
+                thresholds: limits,
+                warnings: [],
+            }
+            const fmt = (v, unit) => `${v.toFixed(1)}${unit}`
+            if (!report.refreshRate) report.warnings.push("no animation frames (hidden tab?)")
+            else if (report.refreshRate < limits.minRefreshRate)
+                report.warnings.push(`refresh rate ${fmt(report.refreshRate, " Hz")} < ${limits.minRefreshRate} Hz`)
+            if (frameJitter !== null && frameJitter > limits.maxFrameJitter)
+                report.warnings.push(`frame jitter ${fmt(frameJitter, " ms")} > ${limits.maxFrameJitter} ms`)
+            if (report.droppedFrameRate !== null && report.droppedFrameRate > limits.maxDroppedFrameRate)
+                report.warnings.push(`dropped frames ${fmt(report.droppedFrameRate * 100, "%")} > ${limits.maxDroppedFrameRate * 100}%`)
+            if (report.timerError !== null && report.timerError > limits.maxTimerError)
+                report.warnings.push(`timer error ${fmt(report.timerError, " ms")} > ${limits.maxTimerError} ms`)
+            report.ok = report.warnings.length === 0
+            return report
+        },
+
+        /**
+         * Pauses the running level: freezes the level clock, trial timers, the game loop and background music,
+         * and shows a "Press SPACE to resume" overlay (SPACE or its mapped key). The interrupted trial is flagged in its data row.
+         * @param {string} [reason] - Logged with the pause interval (e.g., "manual", "visibilitychange", "blur").
+         * @returns {boolean} true if the game was paused by this call.
+         */
+        pause: function (reason = "manual") {
+            if (!this._running || this._paused || !this.level) return false
+            const state = this.level.state
+            if (state.gameState !== "playing") return false
+            this._paused = {
+                reason,
+                start: DoggoNogoCore.clock.now(),
+                wasInBreak: !!state.inBreak,
+                musicWasPlaying: DoggoNogoAudio.isMusicPlaying(),
+            }
+            DoggoNogoCore.pauseTimers()
+            if (this.animationFrameId) {
+                cancelAnimationFrame(this.animationFrameId)
+                this.animationFrameId = null
+            }
+            if (this._paused.musicWasPlaying) DoggoNogoAudio.pauseMusic()
+            // Breaks are untimed, so only pauses during a trial (ISI or stimulus window) contaminate data
+            if (!state.inBreak) state.trialPaused = true
+            this.drawPauseOverlay()
+            return true
+        },
+
+        /**
+         * Resumes a paused level and records the pause interval in `level.state.pauses`.
+         * @returns {boolean} true if the game was resumed by this call.
+         */
+        resume: function () {
+            if (!this._paused) return false
+            const info = this._paused
+            this._paused = null
+            const duration = DoggoNogoCore.resumeTimers()
+            const state = this.level.state
+            if (!info.wasInBreak) state.trialPauseDuration = (state.trialPauseDuration || 0) + duration
+            if (Array.isArray(state.pauses)) {
+                state.pauses.push({
+                    Start: info.start, // level clock time (ms) at which the pause started
+                    Duration: duration,
+                    Reason: info.reason,
+                    Phase: state.phaseIndex + 1,
+                    Trial: state.trials, // number of stimuli presented when the pause started
+                    DuringBreak: info.wasInBreak ? 1 : 0,
+                    StimulusVisible: state.stimulus && state.stimulus.visible ? 1 : 0,
+                })
+            }
+            this._recordEvent({ type: "pause", t: info.start, duration, reason: info.reason, inBreak: info.wasInBreak })
+            if (info.musicWasPlaying) DoggoNogoAudio.resumeMusic()
+            this.loop()
+            return true
+        },
+
+        /** Returns true while the game is paused. */
+        isPaused: function () {
+            return !!this._paused
+        },
+
+        /**
+         * Darkens the last rendered frame and prompts the player to resume.
+         */
+        drawPauseOverlay: function () {
+            const ctx = this.ctx
+            const canvas = this.canvas
+            const scale = (canvas.width / 1792 + canvas.height / 1024) / 2
+            ctx.save()
+            ctx.fillStyle = "rgba(0,0,0,0.7)"
+            ctx.fillRect(0, 0, canvas.width, canvas.height)
+            ctx.textAlign = "center"
+            ctx.fillStyle = "white"
+            ctx.font = `bold ${Math.round(56 * scale)}px Arial`
+            ctx.fillText("Paused", canvas.width / 2, canvas.height * 0.45)
+            ctx.font = `${Math.round(32 * scale)}px Arial`
+            ctx.fillStyle = "#FFD54F"
+            ctx.fillText(`${DoggoNogoCore.actionPrompt("Space")} to resume`, canvas.width / 2, canvas.height * 0.55)
+            ctx.restore()
+            if (this._marker && this._marker.enabled) this.drawMarkerIndicator(false)
+        },
+
+        /**
+         * Pointer input mode: routes a tap/click on the canvas to the level as the logical key it stands for (see
+         * pointerResponseKey()). A tap during a break stands for SPACE, and a tap while paused resumes.
+         * @param {PointerEvent} e
+         */
+        handlePointerDown: function (e) {
+            if (!this._running || e.isPrimary === false) return
+            e.preventDefault()
+            if (this._paused) {
+                this.resume()
+                return
+            }
+            const state = this.level.state
+            if (!state || state.gameState !== "playing") return
+            const point = DoggoNogoCore.canvasPoint(this.canvas, e)
+            this.dispatchPointerResponse({
+                key: state.inBreak ? "Space" : this.pointerResponseKey(point.x),
+                pointerType: e.pointerType || "mouse",
+                x: point.x,
+                y: point.y,
+                time: DoggoNogoCore.eventTime(e),
+            })
+        },
+
+        /**
+         * Logical response key of a tap at canvas x: the whole screen for single-key levels, otherwise the screen is
+         * split into as many vertical strips as the level has response keys (level2: left half, right half).
+         * @param {number} x - Canvas x coordinate (px).
+         * @returns {string}
+         */
+        pointerResponseKey: function (x) {
+            const keys = this.levelMeta.responseKeys
+            const i = Math.floor((x / this.canvas.width) * keys.length)
+            return keys[Math.max(0, Math.min(keys.length - 1, i))]
+        },
+
+        /**
+         * Delivers a tap to the level (and the recording) as a key-like event (see DoggoNogoCore.pointerResponse).
+         * @param {{key: string, pointerType: string, x: number, y: number, time: number}} pointer - Logical key, canvas
+         *   position and level-clock time of the tap (see DoggoNogoCore.eventTime).
+         */
+        dispatchPointerResponse: function (pointer) {
+            this._recordEvent(Object.assign({ type: "pointer", t: DoggoNogoCore.clock.now() }, pointer))
+            if (this._marker && this._marker.triggerMode === "keypress" && this._marker.active) {
+                if (this.levelMeta.responseKeys.indexOf(pointer.key) !== -1) this.markEvent("keypress")
+            }
+            this.level.handleKeyDown(DoggoNogoCore.pointerResponse(pointer))
+        },
+
+        /**
+         * Called by levels when a stimulus appears: flashes the marker and records the onset.
+         * @param {object} level - The level object (its `state.trials` already counts the new stimulus).
+         */
+        stimulusOnset: function (level) {
+            const state = level.state
+            const condition = state.stimulus.difficulty || state.stimulus.kind
+            const name = condition ? `stimulus:${condition}` : "stimulus"
+            this.markEvent(name)
+            const onset = {
+                type: "onset",
+                t: state.startTime,
+                scheduled: state.scheduledOnset,
+                trial: state.trials,
+                phase: state.phaseIndex + 1,
+                x: state.stimulus.x,
+                y: state.stimulus.y,
+            }
+            STIMULUS_FIELDS.forEach((k) => {
+                if (state.stimulus[k] !== undefined && state.stimulus[k] !== null) onset[k] = state.stimulus[k]
+            })
+            this._recordEvent(onset)
+            if (this._replay) this._checkReplayOnset(onset)
+            this._stimulusWindow = { start: state.startTime, end: null, row: null, worstFrameDelay: null, longTasks: 0, issue: 0 }
+            const details = { scheduled: state.scheduledOnset }
+            STIMULUS_FIELDS.forEach((k) => {
+                if (state.stimulus[k] !== undefined && state.stimulus[k] !== null) details[k] = state.stimulus[k]
+            })
+            this._sendTrigger(name, details)
+        },
+
+        /**
+         * Frame-locked onset: shows the stimulus a level has prepared (see DoggoNogoCore.requestStimulusOnset) on the
+         * frame about to be drawn, by calling level.showStimulus() with that frame's time. Called before level.update()
+         * on every frame by the game loop, the replay and the headless runner. A frame that started before the stimulus
+         * was due (its timer can fire between a frame's timestamp and its callbacks) leaves it pending for the next one,
+         * so the logged onset is always the time of a frame that showed it.
+         * A stimulus with a sound (`state.stimulus.sound`, e.g. an auditory go-signal) starts it on the same frame, with
+         * `state.stimulus.soundOptions` (pan, rate; see DoggoNogoAudio.play()), and also passes showStimulus() the time
+         * the sound reaches the speakers, taken from the audio clock. The stereo pan actually applied is set as
+         * `state.audioPan` (null when unknown, or when the sound played centered because panning was unavailable).
+         * @param {object} level
+         * @param {number} frameTime - Level-clock time of the frame (its requestAnimationFrame timestamp).
+         * @param {number|null} refreshInterval - Estimated display refresh interval (ms), logged with the trial.
+         * @param {number|null} [audioOnset] - Level-clock onset of the stimulus sound when replaying a recording (the
+         *   sound is then not played); omitted, the sound is played and its onset measured (null when unknown).
+         * @param {number|null} [audioPan] - Stereo pan the recorded sound was played with (when replaying).
+         * @returns {boolean} true if a stimulus was shown.
+         */
+        presentPendingStimulus: function (level, frameTime, refreshInterval, audioOnset, audioPan) {
+            const state = level.state
+            if (!state.stimulus || !state.stimulus.pending || state.gameState !== "playing" || state.inBreak) return false
+            if (frameTime < state.scheduledOnset) return false
+            state.refreshInterval = typeof refreshInterval === "number" ? refreshInterval : null
+            state.audioPan = typeof audioPan === "number" ? audioPan : null
+            if (audioOnset === undefined) {
+                audioOnset = null
+                if (state.stimulus.sound) {
+                    const played = DoggoNogoAudio.playTimed(state.stimulus.sound, state.stimulus.soundOptions)
+                    // performance.now() -> level clock (the level clock may be jsPsych's or virtual)
+                    if (played.onset !== null) audioOnset = DoggoNogoCore.clock.now() - (performance.now() - played.onset)
+                    state.audioPan = played.pan
+                }
+            }
+            level.showStimulus(frameTime, audioOnset)
+            return true
+        },
+
+        /**
+         * Updates the running estimate of the display refresh interval from consecutive frame timestamps.
+         * @param {number} [ts] - requestAnimationFrame timestamp.
+         * @returns {number|null} Median of the recent frame intervals (ms), or null before two frames were seen.
+         */
+        _estimateRefresh: function (ts) {
+            const r = this._refresh
+            if (!r) return null
+            if (typeof ts !== "number") {
+                // Direct calls (start, resume) break the frame sequence
+                r.lastTs = null
+            } else {
+                const delta = ts - r.lastTs
+                // Gaps longer than a few frames are stalls or pauses, not refresh cycles
+                if (r.lastTs !== null && delta > 0 && delta < 100) {
+                    r.intervals.push(delta)
+                    if (r.intervals.length > 60) r.intervals.shift()
+                    r.estimate = null
+                }
+                r.lastTs = ts
+            }
+            if (!r.intervals.length) return null
+            if (r.estimate === null) r.estimate = DoggoNogoCore.computeMedian(r.intervals)
+            return r.estimate
+        },
+
+        // -----------------------------------------------------------------------------------------------------------
+        // Session recording & replay
+        // A recording holds the seed, the level parameters, the canvas size, the frame times and a list of events
+        // timed on the level clock relative to level start: keydown/keyup, pauses, timer lateness, frame-locked
+        // presentations and stimulus onsets (with their scheduled time). Replaying feeds the same inputs, frames and timer firings at the same
+        // level-clock times into a level seeded identically, so every stimulus and every logged trial is regenerated.
+        // -----------------------------------------------------------------------------------------------------------
+
+        _startRecording: function (seed) {
+            const level = this.level
+            this._recorder = {
+                version: 2, // 2: stimuli are shown on frames ("present" events)
+                levelId: level.id,
+                seed,
+                levelParams: JSON.parse(JSON.stringify(level.params)),
+                canvas: { width: this.canvas.width, height: this.canvas.height },
+                keyMap: JSON.parse(JSON.stringify(DoggoNogoCore.keyMap)),
+                inputMode: DoggoNogoCore.inputMode,
+                startedAt: new Date().toISOString(),
+                start: DoggoNogoCore.clock.now(),
+                end: null,
+                events: [],
+                frames: [], // level-clock time of every level.update() call
+            }
+            // Timer lateness (real timers fire a few ms after their due time) is recorded per timer, numbered in
+            // creation order, so the replay can fire each timer exactly when the original did
+            const timerBase = DoggoNogoCore._timerSeq
+            DoggoNogoCore.onTimerFire = (id, late) => {
+                if (late > 0) this._recordEvent({ type: "timer", t: DoggoNogoCore.clock.now(), n: id - timerBase, late })
+            }
+            // Capture phase, registered after the pause handler: keys swallowed while paused are not recorded
+            this._boundRecordKeyHandler = (e) => {
+                if (!this._recorder) return
+                this._recordEvent({
+                    type: e.type,
+                    t: DoggoNogoCore.clock.now(),
+                    time: DoggoNogoCore.eventTime(e), // when the key moved (RTs use it), slightly before `t`
+                    key: e.key,
+                    code: e.code,
+                    repeat: !!e.repeat,
+                })
+            }
+            document.addEventListener("keydown", this._boundRecordKeyHandler, true)
+            document.addEventListener("keyup", this._boundRecordKeyHandler, true)
+        },
+
+        _recordEvent: function (event) {
+            if (!this._recorder) return
+            // Store times relative to level start
+            const e = Object.assign({}, event)
+            e.t = event.t - this._recorder.start
+            if (typeof e.scheduled === "number") e.scheduled -= this._recorder.start
+            if (typeof e.onset === "number") e.onset -= this._recorder.start
+            if (typeof e.audioOnset === "number") e.audioOnset -= this._recorder.start
+            if (typeof e.time === "number") e.time -= this._recorder.start
+            this._recorder.events.push(e)
+        },
+
+        _finishRecording: function () {
+            const rec = this._recorder
+            rec.end = DoggoNogoCore.clock.now() - rec.start
+            rec.start = 0
+            this._stopRecording()
+            return rec
+        },
+
+        _stopRecording: function () {
+            if (this._recorder) DoggoNogoCore.onTimerFire = null
+            this._recorder = null
+            if (this._boundRecordKeyHandler) {
+                document.removeEventListener("keydown", this._boundRecordKeyHandler, true)
+                document.removeEventListener("keyup", this._boundRecordKeyHandler, true)
+                this._boundRecordKeyHandler = null
+            }
+        },
+
+        /**
+         * Replays a recorded session on a canvas: same seed, parameters and canvas size, with the recorded inputs and
+         * level updates fed in at their original level-clock times. Time runs on a virtual clock advanced by `speed` x
+         * the real frame time (display frames only draw), so an accelerated replay produces exactly the same trials.
+         * Real keyboard input is ignored while replaying.
+         * @param {HTMLCanvasElement} canvas - The canvas to render on (resized to the recorded size).
+         * @param {object} recording - A `state.recording` object from a run with `record: true`.
+         * @param {object} [options]
+         * @param {number} [options.speed=1] - Playback speed (1 = real time, 4 = four times faster).
+         * @param {string} [options.assetBasePath] - Base path for level assets.
+         * @param {function} [options.onFinish] - Called with the replay result (see returns).
+         * @returns {Promise<{data: Array<object>, performance: object, divergences: Array<object>, state: object}>}
+         *   `divergences` lists stimulus onsets that differ from the recording (empty for an exact replay).
+         */
+        replay: async function (canvas, recording, options = {}) {
+            const { speed = 1, assetBasePath = "", onFinish } = options
+            const level = this.getLevel(recording.levelId)
+            if (!level) throw new Error(`Unknown level "${recording.levelId}". Ensure its script is loaded.`)
+            this.stop()
+            this.canvas = canvas
+            this.ctx = canvas.getContext("2d")
+            this.level = level
+            this.levelMeta = this.getLevelMeta(level)
+            this._marker = { enabled: false }
+            canvas.width = recording.canvas.width
+            canvas.height = recording.canvas.height
+
+            if (!level._loaded) {
+                await level.load(canvas, { assetBasePath })
+                level._loaded = true
+            } else {
+                level.state.canvas = canvas
+                level.handleResize()
+            }
+            const originalParams = Object.assign({}, level.params)
+            Object.assign(level.params, recording.levelParams)
+
+            const scheduler = DoggoNogoCore.createVirtualScheduler()
+            DoggoNogoCore.setScheduler(scheduler)
+            DoggoNogoCore.rng.setSeed(recording.seed)
+            const previousKeyMap = DoggoNogoCore.keyMap
+            const previousInputMode = DoggoNogoCore.inputMode
+            DoggoNogoCore.setKeyMap(recording.keyMap)
+            DoggoNogoCore.setInputMode(recording.inputMode)
+            const onsets = recording.events.filter((e) => e.type === "onset")
+            this._replay = { speed, onsets, onsetIndex: 0, divergences: [], previousKeyMap, previousInputMode }
+            const lateness = {}
+            recording.events.forEach((e) => {
+                if (e.type === "timer") lateness[e.n] = e.late
+            })
+            const timerBase = DoggoNogoCore._timerSeq
+            DoggoNogoCore.timerLateness = (id) => lateness[id - timerBase] || 0
+
+            // Block real keyboard input; replayed events are untrusted synthetic events
+            this._boundReplayBlocker = (e) => {
+                if (!e.isTrusted) return
+                e.stopImmediatePropagation()
+                e.preventDefault()
+            }
+            document.addEventListener("keydown", this._boundReplayBlocker, true)
+            document.addEventListener("keyup", this._boundReplayBlocker, true)
+
+            return new Promise((resolve) => {
+                const state = level.state
+                state.pauses = []
+                let lastTs = null
+                recording.events.forEach((ev) => {
+                    if (ev.type === "keydown" || ev.type === "keyup") {
+                        scheduler.setTimeout(() => {
+                            const event = new KeyboardEvent(ev.type, { key: ev.key, code: ev.code, repeat: ev.repeat, bubbles: true })
+                            if (typeof ev.time === "number") event.levelTime = ev.time
+                            document.dispatchEvent(event)
+                        }, ev.t)
+                    } else if (ev.type === "pointer") {
+                        scheduler.setTimeout(() => level.handleKeyDown(DoggoNogoCore.pointerResponse(ev)), ev.t)
+                    } else if (ev.type === "pause") {
+                        // Pauses froze the level clock, so they take no level time; only restore their logging
+                        scheduler.setTimeout(() => {
+                            if (!ev.inBreak) {
+                                state.trialPaused = true
+                                state.trialPauseDuration = (state.trialPauseDuration || 0) + ev.duration
+                            }
+                            state.pauses.push({
+                                Start: ev.t,
+                                Duration: ev.duration,
+                                Reason: ev.reason,
+                                Phase: state.phaseIndex + 1,
+                                Trial: state.trials,
+                                DuringBreak: ev.inBreak ? 1 : 0,
+                                StimulusVisible: state.stimulus && state.stimulus.visible ? 1 : 0,
+                            })
+                        }, ev.t)
+                    }
+                })
+
+                // Level updates (animations, break prompt) at the recorded frame times, showing pending stimuli on the
+                // frames that showed them (recordings made before frame-locked onsets show them on the next frame)
+                const presents = {}
+                recording.events.forEach((ev) => {
+                    if (ev.type === "present") presents[ev.t] = ev
+                })
+                ;(recording.frames || []).forEach((t) =>
+                    scheduler.setTimeout(() => {
+                        if (!this._replay) return
+                        const present = presents[t]
+                        if (present) {
+                            const audioOnset = typeof present.audioOnset === "number" ? present.audioOnset : null
+                            const audioPan = typeof present.audioPan === "number" ? present.audioPan : null
+                            this.presentPendingStimulus(level, present.onset, present.refresh, audioOnset, audioPan)
+                        } else if (!(recording.version >= 2)) this.presentPendingStimulus(level, t, null, null)
+                        level.update()
+                    }, t)
+                )
+
+                level.start(canvas, (endState) => {
+                    const result = {
+                        data: endState.data,
+                        performance: this.computePerformance(level),
+                        divergences: this._replay.divergences,
+                        state: endState,
+                    }
+                    this._endReplay(originalParams)
+                    DoggoNogoUI.showScoreScreen(canvas, result.performance.quantile, {
+                        hint: result.divergences.length ? `Replay diverged at ${result.divergences.length} onset(s)` : "Replay complete",
+                        playerSprite: level.assets.imgPlayer,
+                    })
+                    if (onFinish) onFinish(result)
+                    resolve(result)
+                })
+
+                const frame = (ts) => {
+                    if (!this._replay) return
+                    if (lastTs !== null) scheduler.runUntil(scheduler.now() + (ts - lastTs) * speed)
+                    lastTs = ts
+                    if (!this._replay) return // the level ended during this frame
+                    level.draw()
+                    this._drawReplayBadge(scheduler.now())
+                    this.animationFrameId = requestAnimationFrame(frame)
+                }
+                this.animationFrameId = requestAnimationFrame(frame)
+            })
+        },
+
+        _checkReplayOnset: function (onset) {
+            const r = this._replay
+            const expected = r.onsets[r.onsetIndex++]
+            const t = onset.t
+            if (!expected || expected.trial !== onset.trial || Math.abs(expected.t - t) > 1) {
+                r.divergences.push({ trial: onset.trial, expected: expected || null, actual: Object.assign({}, onset, { t }) })
+            }
+        },
+
+        _endReplay: function (originalParams) {
+            if (this.animationFrameId) {
+                cancelAnimationFrame(this.animationFrameId)
+                this.animationFrameId = null
+            }
+            DoggoNogoCore.keyMap = this._replay.previousKeyMap
+            DoggoNogoCore.inputMode = this._replay.previousInputMode
+            this._replay = null
+            DoggoNogoCore.timerLateness = null
+            DoggoNogoCore.setScheduler(null)
+            if (originalParams) Object.assign(this.level.params, originalParams)
+            if (this._boundReplayBlocker) {
+                document.removeEventListener("keydown", this._boundReplayBlocker, true)
+                document.removeEventListener("keyup", this._boundReplayBlocker, true)
+                this._boundReplayBlocker = null
+            }
+        },
+
+        _drawReplayBadge: function (t) {
+            const ctx = this.ctx
+            const scale = (this.canvas.width / 1792 + this.canvas.height / 1024) / 2
+            const label = `REPLAY x${this._replay.speed}  ${(t / 1000).toFixed(1)} s`
+            ctx.save()
+            ctx.font = `bold ${Math.round(22 * scale)}px Arial`
+            ctx.textAlign = "right"
+            ctx.fillStyle = "rgba(0,0,0,0.6)"
+            ctx.fillRect(this.canvas.width - 260 * scale, 0, 260 * scale, 40 * scale)
+            ctx.fillStyle = "#FF5252"
+            ctx.fillText(label, this.canvas.width - 12 * scale, 28 * scale)
+            ctx.restore()
+        },
+
         /** Public helper for levels to trigger the marker flash (e.g., on stimulus onset). */
         flashMarker: function () {
-            if (!this._marker || !this._marker.enabled || !this._marker.active) return
-            const nowTs = typeof performance !== "undefined" && performance.now ? performance.now() : Date.now()
-            this._marker.flashUntil = nowTs + this._marker.flashDuration
+            this.markEvent("stimulus")
+        },
+
+        /**
+         * Queues an event code on the marker. Codes come from the marker code table (defaultMarkerCodes merged with
+         * `markerCodes`); "stimulus:<condition>" falls back to "stimulus". The single square (markerBits 1) only
+         * flashes on stimulus onsets and, in "keypress" trigger mode, on response keys.
+         * Each queued code is logged in `level.state.markerLog` with its cause, trial, request time and the
+         * requestAnimationFrame timestamp of the first frame that showed it (same time base as performance.now()).
+         * @param {string} name - Event name (e.g., "stimulus:congruent", "response", "error", "phaseStart").
+         * @returns {boolean} true if a code was queued.
+         */
+        markEvent: function (name) {
+            const m = this._marker
+            if (!m || !m.enabled || !m.active) return false
+            const code = this._isSingleMarker() ? (name.indexOf("stimulus") === 0 || name === "keypress" ? 1 : 0) : this._markerCode(name)
+            if (!(code > 0 && code <= this._markerCapacity())) return false
+            const state = this.level.state
+            const entry = {
+                Event: name,
+                Code: code,
+                Trial: state.trials, // stimuli presented so far (the current trial for onsets and responses)
+                Phase: state.phaseIndex + 1,
+                RequestTime: performance.now(), // when the event was requested (ms, performance.now() time base)
+                LevelTime: DoggoNogoCore.clock.now(), // level clock, as used for RTs and recordings
+                FrameTime: null, // rAF timestamp of the first frame showing the code (null if never drawn)
+                Delay: null, // FrameTime - RequestTime
+                Frames: 0, // frames the code stayed on screen
+            }
+            if (Array.isArray(state.markerLog)) state.markerLog.push(entry)
+            m.queue.push({ name, code, entry })
+            return true
+        },
+
+        /**
+         * Called by levels when a trial ends: marks the response (correct or error) on the marker and sends the
+         * response and feedback triggers. Trials without a response (timeouts, withheld NOGO) only send feedback.
+         * @param {object} level - The level object.
+         * @param {object} outcome - The outcome passed to the level's finishTrial().
+         */
+        trialOutcome: function (level, outcome) {
+            if (!outcome) return
+            // The stimulus window closes with its row; frames and long tasks reported later still update that row
+            const w = this._stimulusWindow
+            if (w && w.end === null && level.state.onsetActual !== null) {
+                w.end = level.now()
+                w.row = level.state.data[level.state.data.length - 1] || null
+            }
+            if (outcome.responseKey) {
+                const name = outcome.correct === false || outcome.type === "early" ? "error" : "response"
+                this.markEvent(name)
+                this._sendTrigger(name, { key: outcome.responseKey, rt: typeof outcome.rt === "number" ? outcome.rt : null })
+            }
+            this._sendTrigger("feedback", { outcome: outcome.type, points: outcome.points })
         },
 
         /**
-         * Waits for the player to press the down arrow to start the game.
+         * Called by levels when gameplay resumes after a phase break (the engine marks the first phase itself).
+         * @param {object} level - The level object.
+         */
+        phaseStart: function (level) {
+            this.markEvent("phaseStart")
+            this._sendTrigger("phaseStart")
+        },
+
+        /**
+         * Marker settings and code table as saved in gameParams (null when the marker is disabled).
+         * @returns {object|null}
+         */
+        markerConfig: function () {
+            const m = this._marker
+            if (!m || !m.enabled) return null
+            return {
+                encoding: m.encoding,
+                bits: m.encoding === "binary" ? m.bits : null,
+                grayLevels: m.encoding === "gray" ? m.grayLevels : null,
+                size: m.size,
+                position: { corner: m.corner, x: m.offsetX, y: m.offsetY },
+                minDuration: m.flashDuration,
+                minFrames: m.minFrames,
+                triggerMode: m.triggerMode,
+                codes: this._isSingleMarker() ? null : Object.assign({}, m.codes),
+            }
+        },
+
+        // Code of an event in the marker code table; "stimulus:<condition>" falls back to "stimulus"
+        _markerCode: function (name) {
+            const codes = (this._marker && this._marker.codes) || DEFAULT_MARKER_CODES
+            if (codes[name] !== undefined) return codes[name]
+            return name.indexOf("stimulus:") === 0 ? codes.stimulus : undefined
+        },
+
+        _resolveTriggerTransport: function (option) {
+            if (this._ownedTriggers) this._ownedTriggers.close()
+            this._ownedTriggers = null
+            if (!option) return null
+            if (typeof DoggoNogoTriggers === "undefined") {
+                if (typeof option !== "string") return option
+                console.warn("triggerTransport is a URL but triggers.js is not loaded; no triggers will be sent")
+                return null
+            }
+            const transport = DoggoNogoTriggers.resolveTransport(option)
+            // Transport objects belong to the host; the engine only closes the connections it opened
+            if (transport !== option) this._ownedTriggers = transport
+            return transport
+        },
+
+        /**
+         * Sends one trigger message: { seq, event, code, t, levelTime, level, phase, trial, ...details }, where `t` is
+         * performance.now() and `code` the event's marker code (null if it has none). Transport errors never reach the game.
+         * @param {string} event - Event name ("stimulus:<condition>", "response", "error", "feedback", "phaseStart", "levelEnd").
+         * @param {object} [details] - Extra fields (e.g., the response key and RT).
+         */
+        _sendTrigger: function (event, details) {
+            if (!this._triggers) return
+            const state = this.level.state
+            const code = this._markerCode(event)
+            const message = Object.assign(
+                {
+                    seq: ++this._triggerSeq,
+                    event,
+                    code: code === undefined ? null : code,
+                    t: performance.now(),
+                    levelTime: DoggoNogoCore.clock.now(),
+                    level: this.level.id,
+                    phase: state.phaseIndex + 1,
+                    trial: state.trials,
+                },
+                details || {}
+            )
+            try {
+                this._triggers.send(message)
+            } catch (e) {
+                console.warn("Trigger transport failed", e)
+            }
+        },
+
+        _isSingleMarker: function () {
+            return this._marker.encoding === "binary" && this._marker.bits === 1
+        },
+
+        _markerCapacity: function () {
+            const m = this._marker
+            return m.encoding === "gray" ? m.grayLevels - 1 : Math.pow(2, m.bits) - 1
+        },
+
+        // Code to draw this frame. A code stays up for at least `minFrames` drawn frames and `flashDuration` ms
+        // (counted from its first frame), then one blank frame separates it from the next queued code, so a dropped
+        // or torn frame can neither hide a code nor merge two consecutive codes.
+        _advanceMarker: function (nowTs) {
+            const m = this._marker
+            if (m.current && m.current.frames >= m.minFrames && nowTs - m.current.shownAt >= m.flashDuration) {
+                m.current = null
+                m.gap = 1
+            }
+            if (!m.current) {
+                if (m.gap > 0) {
+                    m.gap--
+                    return 0
+                }
+                if (!m.queue.length) return 0
+                m.current = Object.assign(m.queue.shift(), { shownAt: nowTs, frames: 0 })
+                m.current.entry.FrameTime = nowTs
+                m.current.entry.Delay = nowTs - m.current.entry.RequestTime
+            }
+            m.current.frames++
+            m.current.entry.Frames = m.current.frames
+            return m.current.code
+        },
+
+        /**
+         * Waits for the player to press one of the level's registered start keys (or the keys they are mapped to),
+         * or to tap the canvas in pointer mode.
          * @returns {Promise<void>}
          */
         waitForStart: function () {
             return new Promise((resolve) => {
-                const levelName = (this.level && this.level.name) || ""
-                const isLevel2 = /level ?2/i.test(levelName) || (this.level && this.level === window.level2)
-                const startHandler = (e) => {
-                    if ((!isLevel2 && e.key === "ArrowDown") || (isLevel2 && (e.key === "ArrowLeft" || e.key === "ArrowRight"))) {
-                        document.removeEventListener("keydown", startHandler)
-                        // Play start sound if available on the level assets
-                        if (this.level && this.level.assets && this.level.assets.soundStart) {
-                            try {
-                                this.level.assets.soundStart.currentTime = 0
-                                this.level.assets.soundStart.play()
-                            } catch (e2) {}
-                        }
-                        resolve()
-                    }
-                }
-                document.addEventListener("keydown", startHandler)
+                DoggoNogoCore.onceInput(this.canvas, this.levelMeta.startKeys, () => {
+                    DoggoNogoAudio.unlock()
+                    // Play start sound if available on the level assets
+                    if (this.level && this.level.assets && this.level.assets.soundStart) DoggoNogoAudio.play(this.level.assets.soundStart)
+                    resolve()
+                })
             })
         },
 
         /**
          * The main game loop.
+         * @param {number} [ts] - requestAnimationFrame timestamp (omitted when called directly, e.g. on resume).
          */
-        loop: function () {
+        loop: function (ts) {
+            const now = DoggoNogoCore.clock.now()
+            // Frame times are part of a recording: animations and the break prompt advance per frame
+            if (this._recorder) this._recorder.frames.push(now - this._recorder.start)
+            // Level-clock time of this frame: rAF timestamps share performance.now()'s time base
+            const frameTime = typeof ts === "number" ? now - Math.max(0, performance.now() - ts) : now
+            const refresh = this._estimateRefresh(ts)
+            if (this._lastFrameTime !== null && refresh) {
+                const interval = frameTime - this._lastFrameTime
+                this._noteTimingIssue(this._lastFrameTime, frameTime, {
+                    frameDelay: interval - refresh,
+                    issue: interval > this._stutterThreshold * refresh,
+                })
+            }
+            this._lastFrameTime = frameTime
+            if (this.presentPendingStimulus(this.level, frameTime, refresh)) {
+                const state = this.level.state
+                const present = { type: "present", t: now, onset: state.onsetActual, refresh }
+                if (typeof state.audioOnset === "number") present.audioOnset = state.audioOnset
+                if (typeof state.audioPan === "number") present.audioPan = state.audioPan
+                this._recordEvent(present)
+            }
             this.level.update()
             this.level.draw() // Separated draw call
             // Overlay marker square last so it's never occluded
             if (this._marker && this._marker.enabled) {
-                this.drawMarkerIndicator()
+                this.drawMarkerIndicator(true, ts)
             }
             this.animationFrameId = requestAnimationFrame(this.loop.bind(this))
         },
 
+        /**
+         * Attributes a timing problem spanning level-clock times [from, to] to the stimulus window it overlaps: the
+         * current trial (state.trialTimingIssue / trialWorstFrameDelay / trialLongTasks, logged with its row) or, once
+         * logged, the last trial's row (frames and long-task entries are only reported after the fact).
+         * @param {number} from
+         * @param {number} to
+         * @param {{frameDelay?: number, issue?: boolean, longTask?: boolean}} info - frameDelay: time (ms) a frame came
+         *   later than the refresh interval; issue: flag the trial; longTask: count a long task.
+         */
+        _noteTimingIssue: function (from, to, info) {
+            const w = this._stimulusWindow
+            if (!w || !this.level || to <= w.start || (w.end !== null && from >= w.end)) return
+            if (typeof info.frameDelay === "number") {
+                w.worstFrameDelay = w.worstFrameDelay === null ? info.frameDelay : Math.max(w.worstFrameDelay, info.frameDelay)
+            }
+            if (info.longTask) w.longTasks++
+            if (info.issue || info.longTask) w.issue = 1
+            const state = this.level.state
+            if (w.row) {
+                w.row.TimingIssue = w.issue
+                w.row.WorstFrameDelay = w.worstFrameDelay === null ? "NA" : w.worstFrameDelay
+                w.row.LongTasks = w.longTasks
+            } else {
+                state.trialTimingIssue = w.issue
+                state.trialWorstFrameDelay = w.worstFrameDelay
+                state.trialLongTasks = w.longTasks
+            }
+        },
+
+        // Long tasks (main thread blocked > 50 ms) where the browser reports them (PerformanceObserver "longtask")
+        _observeLongTasks: function () {
+            if (this._longTaskObserver || typeof PerformanceObserver === "undefined") return
+            const types = PerformanceObserver.supportedEntryTypes || []
+            if (types.indexOf("longtask") === -1) return
+            this._longTaskObserver = new PerformanceObserver((list) => {
+                if (!this._running) return
+                const now = DoggoNogoCore.clock.now()
+                const perfNow = performance.now()
+                list.getEntries().forEach((entry) => {
+                    const start = now - (perfNow - entry.startTime)
+                    this._noteTimingIssue(start, start + entry.duration, { longTask: true })
+                })
+            })
+            this._longTaskObserver.observe({ type: "longtask", buffered: false })
+        },
+
         /**
          * Stops the game loop.
          */
         stop: function () {
+            this._running = false
+            this._triggers = null
+            if (this._ownedTriggers) {
+                this._ownedTriggers.close()
+                this._ownedTriggers = null
+            }
+            if (this._longTaskObserver) {
+                this._longTaskObserver.disconnect()
+                this._longTaskObserver = null
+            }
+            this._stopRecording()
+            if (this._replay) this._endReplay()
+            if (this._paused) {
+                this._paused = null
+                DoggoNogoCore.resumeTimers()
+            }
             if (this.animationFrameId) {
                 cancelAnimationFrame(this.animationFrameId)
                 this.animationFrameId = null
             }
+            if (this._boundPauseKeyHandler) {
+                document.removeEventListener("keydown", this._boundPauseKeyHandler, true)
+                this._boundPauseKeyHandler = null
+            }
+            if (this._boundPointerHandler) {
+                this.canvas.removeEventListener("pointerdown", this._boundPointerHandler)
+                this._boundPointerHandler = null
+            }
+            if (this._boundAutoPauseHandler) {
+                document.removeEventListener("visibilitychange", this._boundAutoPauseHandler)
+                window.removeEventListener("blur", this._boundAutoPauseHandler)
+                this._boundAutoPauseHandler = null
+            }
             if (this._boundResizeHandler) {
                 window.removeEventListener("resize", this._boundResizeHandler)
                 this._boundResizeHandler = null
@@ -320,6 +1421,10 @@
                 document.removeEventListener("keydown", this._boundMarkerKeyHandler, true)
                 this._boundMarkerKeyHandler = null
             }
+            if (this._boundMuteKeyHandler) {
+                document.removeEventListener("keydown", this._boundMuteKeyHandler, true)
+                this._boundMuteKeyHandler = null
+            }
             if (this._injectedFullscreenStyleEl) {
                 try {
                     this._injectedFullscreenStyleEl.remove()
@@ -332,19 +1437,208 @@
             }
         },
         /**
-         * Draw a persistent white square that flashes black briefly after response key presses.
-         * Positioned at top-left corner (0,0) to align with a photosensor.
+         * Draw the persistent marker at its corner (top-left by default) to align with photosensors: white squares showing
+         * the current event code (see markEvent()). Binary codes are drawn least significant bit first from the corner in
+         * a single row, so a tear line (which runs horizontally) cannot split one code across two frames.
+         * @param {boolean} [advance=true] - Count this as a displayed frame (false for redraws, e.g. the pause overlay).
+         * @param {number} [frameTs] - requestAnimationFrame timestamp of this frame (defaults to performance.now()).
          */
-        drawMarkerIndicator: function () {
-            if (!this._marker || !this._marker.enabled) return
-            const sz = this._marker.size || 60
-            const nowTs = typeof performance !== "undefined" && performance.now ? performance.now() : Date.now()
-            const isBlack = nowTs < this._marker.flashUntil
+        drawMarkerIndicator: function (advance = true, frameTs) {
+            const m = this._marker
+            if (!m || !m.enabled) return
+            const nowTs = typeof frameTs === "number" ? frameTs : performance.now()
+            const code = advance ? this._advanceMarker(nowTs) : m.current ? m.current.code : 0
             this.ctx.save()
-            this.ctx.fillStyle = isBlack ? "#000" : "#FFF"
-            this.ctx.fillRect(0, 0, sz, sz)
+            if (m.encoding === "gray") {
+                const v = Math.round(255 * (1 - code / (m.grayLevels - 1)))
+                const r = this._markerRect(0)
+                this.ctx.fillStyle = `rgb(${v},${v},${v})`
+                this.ctx.fillRect(r.x, r.y, r.size, r.size)
+            } else {
+                for (let i = 0; i < m.bits; i++) {
+                    const r = this._markerRect(i)
+                    this.ctx.fillStyle = (code >> i) & 1 ? "#000" : "#FFF"
+                    this.ctx.fillRect(r.x, r.y, r.size, r.size)
+                }
+            }
             this.ctx.restore()
         },
+
+        // Canvas rectangle of the i-th marker square (squares run away from the corner along the top/bottom edge)
+        _markerRect: function (i) {
+            const m = this._marker
+            const size = m.size || 60
+            const right = m.corner === "top-right" || m.corner === "bottom-right"
+            const bottom = m.corner === "bottom-left" || m.corner === "bottom-right"
+            return {
+                x: right ? this.canvas.width - m.offsetX - (i + 1) * size : m.offsetX + i * size,
+                y: bottom ? this.canvas.height - m.offsetY - size : m.offsetY,
+                size,
+            }
+        },
+
+        _normalizeMarkerPosition: function (position) {
+            const p = typeof position === "string" ? { corner: position } : position || {}
+            return {
+                corner: MARKER_CORNERS.indexOf(p.corner) !== -1 ? p.corner : "top-left",
+                x: Math.max(0, Number(p.x) || 0),
+                y: Math.max(0, Number(p.y) || 0),
+            }
+        },
+
+        /**
+         * Marker size and position saved by the calibration screen, or null (nothing saved or storage unavailable).
+         * @returns {{size: number, corner: string, x: number, y: number}|null}
+         */
+        loadMarkerSettings: function () {
+            try {
+                const raw = global.localStorage && global.localStorage.getItem(MARKER_STORAGE_KEY)
+                return raw ? JSON.parse(raw) : null
+            } catch (e) {
+                return null
+            }
+        },
+
+        /**
+         * Saves the marker size and position used by later run() calls that do not set markerSize / markerPosition.
+         * @param {{size: number, corner: string, x: number, y: number}} settings
+         * @returns {boolean} true if saved.
+         */
+        saveMarkerSettings: function (settings) {
+            try {
+                global.localStorage.setItem(MARKER_STORAGE_KEY, JSON.stringify(settings))
+                return true
+            } catch (e) {
+                console.warn("Could not save the marker settings", e)
+                return false
+            }
+        },
+
+        /**
+         * Photodiode calibration and timing-test screen. Shows the marker at its corner and size, flashing it black for
+         * `flashDuration` ms every `interval` ms, with the measured frame interval and frames per flash. The
+         * experimenter places it under the sensor with the keyboard:
+         *   arrows: move (Shift: 10 px steps) | + / -: resize (Shift: 10 px steps) | C: next corner
+         *   Enter: save to localStorage and finish | Escape: finish without saving
+         * @param {HTMLCanvasElement} canvas
+         * @param {object} [options]
+         * @param {number} [options.markerSize] - Initial size (px); defaults to the saved size or 60.
+         * @param {string|object} [options.markerPosition] - Initial corner or { corner, x, y }; defaults to the saved position.
+         * @param {number} [options.markerBits=1] - Number of squares in the row (as run()'s markerBits); all flash together.
+         * @param {number} [options.interval=1000] - Flash period (ms).
+         * @param {number} [options.flashDuration=100] - Time (ms) the marker stays black on each flash.
+         * @returns {Promise<{size: number, corner: string, x: number, y: number, saved: boolean}>}
+         */
+        calibrateMarker: function (canvas, options = {}) {
+            const { markerBits = 1, interval = 1000, flashDuration = 100 } = options
+            const saved = this.loadMarkerSettings() || {}
+            const position = this._normalizeMarkerPosition(options.markerPosition !== undefined ? options.markerPosition : saved)
+            this.canvas = canvas
+            this.ctx = canvas.getContext("2d")
+            this._marker = {
+                enabled: true,
+                size: options.markerSize || saved.size || 60,
+                corner: position.corner,
+                offsetX: position.x,
+                offsetY: position.y,
+                bits: Math.max(1, Math.floor(markerBits) || 1),
+            }
+            const m = this._marker
+            const timing = { nextFlash: null, flashStart: -Infinity, lastTs: null, frameIntervals: [], flashFrames: 0, lastFlashFrames: 0 }
+
+            return new Promise((resolve) => {
+                let rafId = null
+                const finish = (save) => {
+                    cancelAnimationFrame(rafId)
+                    document.removeEventListener("keydown", onKey)
+                    const result = { size: m.size, corner: m.corner, x: m.offsetX, y: m.offsetY }
+                    result.saved = save ? this.saveMarkerSettings({ size: result.size, corner: result.corner, x: result.x, y: result.y }) : false
+                    resolve(result)
+                }
+                const onKey = (e) => {
+                    const step = e.shiftKey ? 10 : 1
+                    const right = m.corner === "top-right" || m.corner === "bottom-right"
+                    const bottom = m.corner === "bottom-left" || m.corner === "bottom-right"
+                    // Arrows move the square on screen, whichever corner its offsets are measured from
+                    const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] }
+                    if (moves[e.key]) {
+                        m.offsetX = Math.max(0, m.offsetX + (right ? -1 : 1) * moves[e.key][0])
+                        m.offsetY = Math.max(0, m.offsetY + (bottom ? -1 : 1) * moves[e.key][1])
+                    } else if (e.key === "+" || e.key === "=") {
+                        m.size += step
+                    } else if (e.key === "-" || e.key === "_") {
+                        m.size = Math.max(10, m.size - step)
+                    } else if (e.key === "c" || e.key === "C") {
+                        m.corner = MARKER_CORNERS[(MARKER_CORNERS.indexOf(m.corner) + 1) % MARKER_CORNERS.length]
+                        m.offsetX = 0
+                        m.offsetY = 0
+                    } else if (e.key === "Enter") {
+                        finish(true)
+                    } else if (e.key === "Escape") {
+                        finish(false)
+                    } else {
+                        return
+                    }
+                    e.preventDefault()
+                }
+                const frame = (ts) => {
+                    if (timing.lastTs !== null) {
+                        timing.frameIntervals.push(ts - timing.lastTs)
+                        if (timing.frameIntervals.length > 120) timing.frameIntervals.shift()
+                    }
+                    timing.lastTs = ts
+                    if (timing.nextFlash === null) timing.nextFlash = ts
+                    if (ts >= timing.nextFlash) {
+                        timing.lastFlashFrames = timing.flashFrames
+                        timing.flashFrames = 0
+                        timing.flashStart = ts
+                        timing.nextFlash += interval * Math.max(1, Math.ceil((ts - timing.nextFlash + 1) / interval))
+                    }
+                    const on = ts - timing.flashStart < flashDuration
+                    if (on) timing.flashFrames++
+                    this._drawCalibrationScreen(on, timing, { interval, flashDuration })
+                    rafId = requestAnimationFrame(frame)
+                }
+                document.addEventListener("keydown", onKey)
+                rafId = requestAnimationFrame(frame)
+            })
+        },
+
+        _drawCalibrationScreen: function (on, timing, { interval, flashDuration }) {
+            const ctx = this.ctx
+            const canvas = this.canvas
+            const m = this._marker
+            const scale = (canvas.width / 1792 + canvas.height / 1024) / 2
+            const intervals = timing.frameIntervals
+            const frameMs = intervals.length ? intervals.reduce((a, b) => a + b, 0) / intervals.length : 0
+            ctx.save()
+            ctx.fillStyle = "#444"
+            ctx.fillRect(0, 0, canvas.width, canvas.height)
+            ctx.textAlign = "center"
+            ctx.fillStyle = "white"
+            ctx.font = `bold ${Math.round(44 * scale)}px Arial`
+            ctx.fillText("Marker calibration", canvas.width / 2, canvas.height * 0.3)
+            ctx.font = `${Math.round(26 * scale)}px Arial`
+            const lines = [
+                `Position: ${m.corner} + (${m.offsetX}, ${m.offsetY}) px    Size: ${m.size} px`,
+                `Flash: ${flashDuration} ms every ${interval} ms    Display: ${frameMs ? (1000 / frameMs).toFixed(1) : "?"} Hz ` +
+                    `(${frameMs.toFixed(2)} ms/frame)    Last flash: ${timing.lastFlashFrames} frame(s)`,
+                "",
+                "Arrows: move    + / -: resize    C: next corner    (hold Shift for 10 px steps)",
+                "Enter: save and continue    Escape: continue without saving",
+            ]
+            lines.forEach((line, i) => ctx.fillText(line, canvas.width / 2, canvas.height * 0.42 + i * Math.round(40 * scale)))
+            for (let i = 0; i < m.bits; i++) {
+                const r = this._markerRect(i)
+                ctx.fillStyle = on ? "#000" : "#FFF"
+                ctx.fillRect(r.x, r.y, r.size, r.size)
+                // Outline so the square stays visible against the sensor housing while black
+                ctx.strokeStyle = "#FF5252"
+                ctx.lineWidth = 1
+                ctx.strokeRect(r.x - 0.5, r.y - 0.5, r.size + 1, r.size + 1)
+            }
+            ctx.restore()
+        },
         _applyViewportFullscreenStyles: function () {
             if (this._injectedFullscreenStyleEl) return
             // Save previous styles to restore later
@@ -372,7 +1666,7 @@
     }
 
     /**
-     * Displays a cover screen (if cover assets loaded) and waits for SPACE key.
+     * Displays a cover screen (if cover assets loaded) and waits for SPACE key (or its mapped key, or a tap in pointer mode).
      * Ensures at least one user interaction before attempting to play intro audio.
      */
     GameEngine.showCoverScreen = function () {
@@ -411,20 +1705,18 @@
                     const scale = (this.canvas.width / 1792 + this.canvas.height / 1024) / 2
                     ctx.font = `${Math.round(28 * scale)}px Arial`
                     ctx.fillStyle = "white"
-                    ctx.fillText("Press SPACE to start the game", this.canvas.width / 2, this.canvas.height * 0.9)
+                    ctx.fillText(`${DoggoNogoCore.actionPrompt("Space")} to start the game`, this.canvas.width / 2, this.canvas.height * 0.9)
                 }
                 if (!finished) requestAnimationFrame(draw)
             }
             requestAnimationFrame(draw)
 
-            const handler = (e) => {
-                if (e.code === "Space") {
-                    finished = true
-                    document.removeEventListener("keydown", handler)
-                    resolve()
-                }
-            }
-            document.addEventListener("keydown", handler)
+            DoggoNogoCore.onceInput(this.canvas, "Space", () => {
+                // First user gesture: browsers only allow audio to start from one
+                DoggoNogoAudio.unlock()
+                finished = true
+                resolve()
+            })
         })
     }
 
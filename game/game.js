@@ -121,7 +121,24 @@
 // Embedded shared helpers
 ;(function (global) {
     if (typeof global.DoggoNogoTrialTypes === "undefined") {
-        global.DoggoNogoTrialTypes = { FAST: "fast", SLOW: "slow", EARLY: "early", TIMEOUT: "timeout", ERROR: "error" }
+        global.DoggoNogoTrialTypes = {
+            FAST: "fast",
+            SLOW: "slow",
+            EARLY: "early",
+            TIMEOUT: "timeout",
+            ERROR: "error",
+            // Go/No-Go (level 3)
+            COMMISSION: "commission",
+            WITHHOLD: "withhold",
+        }
+    }
+    // Assets shared by all levels. Level manifests are added under their id by DoggoNogoEngine.registerLevel().
+    if (!global.DoggoNogoAssets) global.DoggoNogoAssets = {}
+    if (!global.DoggoNogoAssets.shared) {
+        global.DoggoNogoAssets.shared = {
+            images: ["cover1_noText.png", "text.png"],
+            audio: ["sound_levelup.mp3", "sound_phasecomplete.mp3", "sound_start.mp3"],
+        }
     }
     function mergeManifests(manifest) {
         const out = { images: [], audio: [] }
@@ -129,7 +146,9 @@
         const pushUniq = (arr, v) => {
             if (arr.indexOf(v) === -1) arr.push(v)
         }
-        ;["shared", "level1", "level2", "level3"].forEach((k) => {
+        // Shared assets first, then every level manifest in registration order
+        const keys = ["shared", ...Object.keys(manifest).filter((k) => k !== "shared")]
+        keys.forEach((k) => {
             if (manifest[k]) {
                 ;(manifest[k].images || []).forEach((p) => pushUniq(out.images, p))
                 ;(manifest[k].audio || []).forEach((p) => pushUniq(out.audio, p))
@@ -137,8 +156,401 @@
         })
         return out
     }
+    // Seedable PRNG (mulberry32). next() is a drop-in replacement for Math.random().
+    function createRng(initialSeed) {
+        const rng = {
+            seed: null,
+            _state: 0,
+            // Accepts a 32-bit integer or any string (hashed); a missing seed draws a random one. Returns the applied seed.
+            setSeed(seed) {
+                let s = seed
+                if (typeof s === "string") {
+                    let h = 2166136261
+                    for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619)
+                    s = h >>> 0
+                } else if (typeof s !== "number" || !isFinite(s)) {
+                    s = Math.floor(Math.random() * 4294967296)
+                }
+                this.seed = typeof seed === "string" ? seed : s >>> 0
+                this._state = s >>> 0
+                return this.seed
+            },
+            // Uniform float in [0, 1)
+            next() {
+                if (this.seed === null) this.setSeed()
+                let t = (this._state = (this._state + 0x6d2b79f5) >>> 0)
+                t = Math.imul(t ^ (t >>> 15), t | 1)
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+            },
+        }
+        if (initialSeed !== undefined) rng.setSeed(initialSeed)
+        return rng
+    }
+    // Virtual time for DoggoNogoCore.setScheduler(): a queue of callbacks ordered by due time (ties run in scheduling
+    // order). Time only moves when step()/runUntil() is called, so runs are exact regardless of real timer jitter.
+    function createVirtualScheduler() {
+        let time = 0
+        let seq = 0
+        const queue = []
+        const nextIndex = () => {
+            let k = 0
+            for (let i = 1; i < queue.length; i++) {
+                if (queue[i].due < queue[k].due || (queue[i].due === queue[k].due && queue[i].id < queue[k].id)) k = i
+            }
+            return k
+        }
+        return {
+            now() {
+                return time
+            },
+            setTimeout(fn, delay) {
+                const id = ++seq
+                queue.push({ id, due: time + Math.max(0, delay || 0), fn })
+                return id
+            },
+            clearTimeout(id) {
+                const i = queue.findIndex((e) => e.id === id)
+                if (i >= 0) queue.splice(i, 1)
+            },
+            // Advances the clock to the next due callback and runs it. Returns false when nothing is scheduled.
+            step() {
+                if (!queue.length) return false
+                const e = queue.splice(nextIndex(), 1)[0]
+                time = Math.max(time, e.due)
+                e.fn()
+                return true
+            },
+            // Runs every callback due up to `target` (including ones scheduled meanwhile), then sets the clock to it
+            runUntil(target) {
+                while (queue.length && queue[nextIndex()].due <= target) this.step()
+                time = Math.max(time, target)
+            },
+        }
+    }
     if (typeof global.DoggoNogoCore === "undefined") {
         global.DoggoNogoCore = {
+            // Shared level clock (ms). Uses jsPsych's clock when available, else performance.now().
+            // Time stands still while paused, so RTs, break sequences and animations ignore pause intervals.
+            clock: {
+                pausedAt: null,
+                pausedTotal: 0,
+                source() {
+                    if (global.DoggoNogoCore.scheduler) return global.DoggoNogoCore.scheduler.now()
+                    if (typeof jsPsych !== "undefined") return jsPsych.getTotalTime()
+                    if (typeof performance !== "undefined" && typeof performance.now === "function") return performance.now()
+                    return Date.now()
+                },
+                now() {
+                    const t = this.pausedAt !== null ? this.pausedAt : this.source()
+                    return t - this.pausedTotal
+                },
+                isPaused() {
+                    return this.pausedAt !== null
+                },
+                pause() {
+                    if (this.pausedAt === null) this.pausedAt = this.source()
+                },
+                // Returns the duration (ms) of the pause that just ended
+                resume() {
+                    if (this.pausedAt === null) return 0
+                    const duration = this.source() - this.pausedAt
+                    this.pausedTotal += duration
+                    this.pausedAt = null
+                    return duration
+                },
+            },
+            // Optional injected time source + timer backend ({ now, setTimeout, clearTimeout }), e.g. the headless
+            // runner's virtual clock. When null, the browser clock and window timers are used.
+            scheduler: null,
+            setScheduler(scheduler) {
+                Object.keys(this._timers).forEach((id) => this.clearTimer(id))
+                this.scheduler = scheduler || null
+                this.clock.pausedAt = null
+                this.clock.pausedTotal = 0
+            },
+            // Pausable timers scheduled on the level clock (use instead of setTimeout for trial timing).
+            _timers: {},
+            _timerSeq: 1,
+            // Optional hooks used by session recording/replay: onTimerFire(id, lateMs) observes how late each timer ran,
+            // timerLateness(id) returns extra delay so a replay reproduces the original firing times
+            onTimerFire: null,
+            timerLateness: null,
+            setTimer(fn, delay) {
+                const id = this._timerSeq++
+                const extra = this.timerLateness ? this.timerLateness(id) || 0 : 0
+                this._timers[id] = { fn, due: this.clock.now() + (delay || 0) + extra, handle: null }
+                if (!this.clock.isPaused()) this._armTimer(id)
+                return id
+            },
+            clearTimer(id) {
+                const t = this._timers[id]
+                if (!t) return
+                if (t.handle !== null) this._clearHandle(t.handle)
+                delete this._timers[id]
+            },
+            _armTimer(id) {
+                const t = this._timers[id]
+                const fire = () => {
+                    delete this._timers[id]
+                    if (this.onTimerFire) this.onTimerFire(id, this.clock.now() - t.due)
+                    t.fn()
+                }
+                const delay = Math.max(0, t.due - this.clock.now())
+                t.handle = this.scheduler ? this.scheduler.setTimeout(fire, delay) : setTimeout(fire, delay)
+            },
+            _clearHandle(handle) {
+                if (this.scheduler) this.scheduler.clearTimeout(handle)
+                else clearTimeout(handle)
+            },
+            // Freeze the level clock and all pending timers (their remaining time is preserved)
+            pauseTimers() {
+                this.clock.pause()
+                Object.keys(this._timers).forEach((id) => {
+                    const t = this._timers[id]
+                    if (t.handle !== null) this._clearHandle(t.handle)
+                    t.handle = null
+                })
+            },
+            // Returns the duration (ms) of the pause that just ended
+            resumeTimers() {
+                const duration = this.clock.resume()
+                Object.keys(this._timers).forEach((id) => this._armTimer(id))
+                return duration
+            },
+            // Seedable PRNG shared by all levels for every experimental draw (ISI, positions, conditions).
+            // Cosmetic effects (particles) keep Math.random so they never shift the stimulus sequence.
+            rng: createRng(),
+            createRng,
+            createVirtualScheduler,
+            random() {
+                return this.rng.next()
+            },
+            // Fisher-Yates shuffle (in place) drawing from the shared PRNG; returns `arr`
+            shuffle(arr) {
+                for (let i = arr.length - 1; i > 0; i--) {
+                    const j = Math.floor(this.random() * (i + 1))
+                    const tmp = arr[i]
+                    arr[i] = arr[j]
+                    arr[j] = tmp
+                }
+                return arr
+            },
+            // Pre-generated trial list: shuffles `trials` (whose composition sets the exact proportions) until the order
+            // meets the sequence constraints, keeping the order with the fewest violations if none does within
+            // `maxAttempts`. Constraints apply to the condition of each trial (`conditionOf`):
+            //  - maxRunLength: longest allowed run of the same condition (null = any)
+            //  - balanceTransitions: each first-order transition a->b occurs within 1 of its expected count for a random
+            //    order, n_a * (n_b - [a = b]) / n
+            // Returns { trials, attempts, violations } (violations = 0 when every constraint holds).
+            generateTrialList(
+                trials,
+                { conditionOf = (t) => t.condition, maxRunLength = null, balanceTransitions = false, maxAttempts = 1000 } = {}
+            ) {
+                const countViolations = (list) => {
+                    const conditions = list.map(conditionOf)
+                    let violations = 0
+                    if (maxRunLength > 0) {
+                        let run = 1
+                        for (let i = 1; i < conditions.length; i++) {
+                            run = conditions[i] === conditions[i - 1] ? run + 1 : 1
+                            if (run > maxRunLength) violations++
+                        }
+                    }
+                    if (balanceTransitions && conditions.length > 1) {
+                        const counts = {}
+                        const transitions = {}
+                        conditions.forEach((c, i) => {
+                            counts[c] = (counts[c] || 0) + 1
+                            if (i > 0) transitions[`${conditions[i - 1]}>${c}`] = (transitions[`${conditions[i - 1]}>${c}`] || 0) + 1
+                        })
+                        const kinds = Object.keys(counts)
+                        kinds.forEach((a) =>
+                            kinds.forEach((b) => {
+                                const expected = (counts[a] * (counts[b] - (a === b ? 1 : 0))) / conditions.length
+                                if (Math.abs((transitions[`${a}>${b}`] || 0) - expected) > 1) violations++
+                            })
+                        )
+                    }
+                    return violations
+                }
+                let best = null
+                let attempts = 0
+                while (attempts < Math.max(1, maxAttempts)) {
+                    attempts++
+                    const list = this.shuffle(trials.slice())
+                    const violations = countViolations(list)
+                    if (!best || violations < best.violations) best = { trials: list, violations }
+                    if (violations === 0) break
+                }
+                return { trials: best.trials, attempts, violations: best.violations }
+            },
+            // Response key mapping. Logical keys are the game's defaults ("ArrowDown", "ArrowLeft", "ArrowRight",
+            // "Space"); each may be bound to one or more physical keys given as KeyboardEvent.code ("KeyJ") or .key ("j").
+            // Unmapped logical keys keep their default binding.
+            keyMap: {},
+            setKeyMap(map) {
+                this.keyMap = {}
+                Object.keys(map || {}).forEach((logical) => {
+                    const bindings = [].concat(map[logical]).filter((b) => typeof b === "string" && b.length)
+                    if (bindings.length) this.keyMap[logical] = bindings
+                })
+                return this.keyMap
+            },
+            // Returns the binding of `logical` that the event matches, or null
+            matchedBinding(e, logical) {
+                if (!e) return null
+                // Taps routed by the engine already carry the logical key they stand for (see pointerResponse)
+                if (e.logicalKey !== undefined) return e.logicalKey === logical ? logical : null
+                const bindings = this.keyMap[logical] || [logical]
+                return (
+                    bindings.find((b) => {
+                        if (e.code === b || e.key === b) return true
+                        if (b.length === 1 && typeof e.key === "string" && e.key.toLowerCase() === b.toLowerCase()) return true
+                        // Default SPACE binding also accepts legacy key values
+                        return b === "Space" && (e.key === " " || e.key === "Spacebar")
+                    }) || null
+                )
+            },
+            matchesKey(e, logical) {
+                return this.matchedBinding(e, logical) !== null
+            },
+            // True if the event matches a remapped key (so dev shortcuts like 's' never swallow a response)
+            isMappedKey(e) {
+                return Object.keys(this.keyMap).some((logical) => this.matchesKey(e, logical))
+            },
+            // Returns the first logical key in `candidates` the event is bound to, or null
+            logicalKey(e, candidates) {
+                return candidates.find((logical) => this.matchesKey(e, logical)) || null
+            },
+            // Name of the physical key pressed for `logical`, as logged in the ResponseKey column
+            // (the logical name itself when the key is not remapped)
+            responseKeyName(e, logical) {
+                return this.keyMap[logical] ? this.matchedBinding(e, logical) || logical : logical
+            },
+            // Human-readable name for on-screen prompts ("the DOWN arrow", "SPACE", or the mapped key, e.g. "J").
+            // `unmappedLabel` replaces the default wording when the key is not remapped.
+            keyLabel(logical, unmappedLabel) {
+                const bindings = this.keyMap[logical]
+                if (!bindings) {
+                    if (unmappedLabel !== undefined) return unmappedLabel
+                    const defaults = { ArrowDown: "the DOWN arrow", ArrowLeft: "the LEFT arrow", ArrowRight: "the RIGHT arrow", Space: "SPACE" }
+                    return defaults[logical] || logical
+                }
+                const b = bindings[0]
+                if (b === " " || b === "Space") return "SPACE"
+                if (/^Key[A-Z]$/.test(b)) return b.slice(3)
+                if (/^(Digit|Numpad)\d$/.test(b)) return b.slice(-1)
+                if (/^Arrow/.test(b)) return `the ${b.slice(5).toUpperCase()} arrow`
+                return b.toUpperCase()
+            },
+            // Input mode: "keyboard" (default) or "pointer" (taps/clicks on the canvas respond too; keys keep working)
+            inputMode: "keyboard",
+            setInputMode(mode) {
+                this.inputMode = mode === "pointer" ? "pointer" : "keyboard"
+                return this.inputMode
+            },
+            usesPointer() {
+                return this.inputMode === "pointer"
+            },
+            // On-screen call to action: "Press <key>" or, in pointer mode, "Tap <tapTarget>"
+            actionPrompt(logical, unmappedLabel, tapTarget = "the screen") {
+                return this.usesPointer() ? `Tap ${tapTarget}` : `Press ${this.keyLabel(logical, unmappedLabel)}`
+            },
+            // Pointer position in canvas pixels (the canvas may be scaled by CSS)
+            canvasPoint(canvas, e) {
+                const rect = canvas.getBoundingClientRect()
+                return {
+                    x: (e.clientX - rect.left) * (canvas.width / (rect.width || canvas.width)),
+                    y: (e.clientY - rect.top) * (canvas.height / (rect.height || canvas.height)),
+                }
+            },
+            // Key-like event for a tap standing for `pointer.key`; levels handle it in handleKeyDown like a key press
+            pointerResponse(pointer) {
+                return {
+                    type: "pointerdown",
+                    key: pointer.key,
+                    code: pointer.key,
+                    logicalKey: pointer.key,
+                    repeat: false,
+                    pointerType: pointer.pointerType || "mouse",
+                    x: pointer.x,
+                    y: pointer.y,
+                    levelTime: pointer.time,
+                }
+            },
+            // How a response was given, as logged per trial: InputType plus tap position in percent of the canvas, and the
+            // event's level-clock time and key (code) used to measure how long the key is held (see holdResponse)
+            inputInfo(e, canvas) {
+                const time = this.eventTime(e)
+                if (!e || e.logicalKey === undefined) return { type: "keyboard", x: null, y: null, time, code: e ? e.code || e.key : null }
+                const pct = (v, size) => (typeof v === "number" && size ? (v / size) * 100 : null)
+                return { type: e.pointerType, x: pct(e.x, canvas && canvas.width), y: pct(e.y, canvas && canvas.height), time, code: null }
+            },
+            // Level-clock time at which an input event happened: its timeStamp (performance.now() time base) rather than
+            // when the handler runs, so event-loop delays do not inflate RTs. Synthetic events (replays, simulated or
+            // tap responses) carry their time as `levelTime`.
+            eventTime(e) {
+                if (e && typeof e.levelTime === "number") return e.levelTime
+                const now = this.clock.now()
+                if (!e || !(e.timeStamp > 0) || typeof performance === "undefined") return now
+                // Durations are clock independent: subtract the event's age from the level clock
+                return now - Math.max(0, performance.now() - e.timeStamp)
+            },
+            // RT of a response event to the stimulus shown at state.startTime. A key pressed between the onset frame's
+            // timestamp and the stimulus being shown is counted as pressed at onset.
+            reactionTime(state, e) {
+                return Math.max(0, this.eventTime(e) - state.startTime)
+            },
+            // Anticipation of an auditory stimulus: RTs then count from the sound's onset (state.audioOnset), later than
+            // the frame that made the stimulus responsive. Returns the (negative) RT of a press before the sound, else null;
+            // levels score such presses as early rather than as clamped 0 ms responses.
+            anticipation(state, e) {
+                if (typeof state.audioOnset !== "number" || state.startTime !== state.audioOnset) return null
+                const rt = this.eventTime(e) - state.audioOnset
+                return rt < 0 ? rt : null
+            },
+            // Response durations: once a keyboard response is logged (the last row of state.data), its key-up fills the
+            // row's ResponseDuration (ms held) and auto-repeats of the held key are counted in its KeyRepeats
+            holdResponse(state) {
+                const input = state.trialInput
+                const row = state.data[state.data.length - 1]
+                if (input && input.type === "keyboard" && row) state.heldResponse = { code: input.code, down: input.time, row }
+            },
+            releaseResponse(state, e) {
+                const held = state.heldResponse
+                if (!held || held.code !== (e.code || e.key)) return
+                held.row.ResponseDuration = this.eventTime(e) - held.down
+                state.heldResponse = null
+            },
+            // Auto-repeated keydowns (key held down) are never responses: returns true for them after counting them in
+            // state.keyRepeats (and on the held response's row)
+            ignoreRepeat(state, e) {
+                if (!e || !e.repeat) return false
+                state.keyRepeats = (state.keyRepeats || 0) + 1
+                const held = state.heldResponse
+                if (held && held.code === (e.code || e.key)) held.row.KeyRepeats++
+                return true
+            },
+            // Calls `callback(e)` once when one of `logicalKeys` is pressed or, in pointer mode, the canvas is tapped
+            onceInput(canvas, logicalKeys, callback) {
+                const keys = [].concat(logicalKeys)
+                const finish = (e) => {
+                    document.removeEventListener("keydown", onKey)
+                    if (canvas) canvas.removeEventListener("pointerdown", onPointer)
+                    callback(e)
+                }
+                const onKey = (e) => {
+                    if (this.logicalKey(e, keys)) finish(e)
+                }
+                const onPointer = (e) => {
+                    if (e.isPrimary === false) return
+                    e.preventDefault()
+                    finish(e)
+                }
+                document.addEventListener("keydown", onKey)
+                if (canvas && this.usesPointer()) canvas.addEventListener("pointerdown", onPointer)
+            },
             // Render a unified white loading screen (standalone & jsPsych use the same look)
             renderLoadingScreen(target, message = "Loading the game...") {
                 // target can be a canvas or a DOM element container
@@ -198,6 +610,8 @@
                                 a.src = basePath + rel
                                 // Optionally store specific shared audios globally for reuse
                                 if (rel.endsWith("sound_phasecomplete.mp3")) global.__DoggoPhaseCompleteAudio = a
+                                // Decode for low-latency playback too (best-effort; the element is the fallback)
+                                if (global.DoggoNogoAudio) global.DoggoNogoAudio.load(a.src)
                             } catch (e) {
                                 res()
                             }
@@ -205,7 +619,34 @@
                 )
                 return Promise.all([...imagePromises, ...audioPromises])
             },
-            // Draw the top progress bar (3 segments) based on current score and phase targets.
+            // Wait for a level's image and audio elements (their src already set). Rejects on the first load error; audio
+            // that never fires canplaythrough (some browsers, for very short files) counts as loaded once it can play.
+            loadAssets(assets) {
+                return Promise.all(
+                    assets.map(
+                        (asset) =>
+                            new Promise((res, rej) => {
+                                if (asset instanceof HTMLImageElement) {
+                                    asset.onload = res
+                                    asset.onerror = rej
+                                } else if (asset instanceof HTMLAudioElement) {
+                                    const done = () => {
+                                        asset.oncanplaythrough = null
+                                        asset.onerror = null
+                                        res()
+                                    }
+                                    asset.oncanplaythrough = done
+                                    asset.onerror = (e) => rej(e)
+                                    setTimeout(() => {
+                                        if (!asset.readyState || asset.readyState < 3) return // HAVE_FUTURE_DATA
+                                        done()
+                                    }, 2000)
+                                } else res()
+                            })
+                    )
+                )
+            },
+            // Draw the top progress bar (one segment per phase) based on current score and phase targets.
             drawProgressBar(level, opts = {}) {
                 if (!level || !level.state) return
                 const ctx = level.state.ctx
@@ -220,13 +661,27 @@
                 const y = canvas.height * topOffsetRatio
                 ctx.fillStyle = "#555"
                 ctx.fillRect(x, y, barWidth, barHeight)
-                const segWidth = barWidth / 3
                 const phaseTargets = typeof level.getPhaseTargets === "function" ? level.getPhaseTargets() : [1, 1, 1]
-                for (let i = 0; i < 3; i++) {
-                    const startScore = i === 0 ? 0 : phaseTargets.slice(0, i).reduce((a, b) => a + b, 0)
-                    const endScore = startScore + (phaseTargets[i] || 0)
-                    if (endScore <= startScore) continue
-                    const raw = (level.state.score - startScore) / (endScore - startScore)
+                const segWidth = barWidth / Math.max(1, phaseTargets.length)
+                const mode = this.progressionMode(level)
+                for (let i = 0; i < phaseTargets.length; i++) {
+                    let raw
+                    if (mode !== "score") {
+                        // Presentations or elapsed time of the active phase; earlier phases are full
+                        const phaseIndex = level.state.phaseIndex
+                        const done =
+                            mode === "trials"
+                                ? (level.state.phasePresentations || 0) / this.phaseTrialCount(level, i)
+                                : level.state.inBreak
+                                  ? 0
+                                  : this.phaseElapsed(level) / this.phaseDuration(level, i)
+                        raw = i < phaseIndex ? 1 : i > phaseIndex ? 0 : done
+                    } else {
+                        const startScore = i === 0 ? 0 : phaseTargets.slice(0, i).reduce((a, b) => a + b, 0)
+                        const endScore = startScore + (phaseTargets[i] || 0)
+                        if (endScore <= startScore) continue
+                        raw = (level.state.score - startScore) / (endScore - startScore)
+                    }
                     const frac = Math.min(1, Math.max(0, raw))
                     if (frac <= 0) continue
                     ctx.fillStyle = colors[i % colors.length]
@@ -274,6 +729,52 @@
                 const textY = barY + barHeight * 0.75
                 ctx.fillText(level.state.scoreText, textX, textY)
             },
+            // Draw the end-of-level overlay: title, average RT and the Continue button (its rect kept for handleEndClick)
+            drawEndOverlay(level, title = "Level Complete") {
+                const ctx = level.state.ctx
+                const canvas = level.state.canvas
+                ctx.save()
+                ctx.fillStyle = "rgba(0,0,0,0.6)"
+                ctx.fillRect(0, 0, canvas.width, canvas.height)
+                const cX = canvas.width / 2
+                const cY = canvas.height / 2
+                const rts = level.state.reactionTimes || []
+                const avg = rts.length ? rts.reduce((a, b) => a + b, 0) / rts.length : 0
+                ctx.fillStyle = "#fff"
+                ctx.textAlign = "center"
+                ctx.font = `${Math.round(canvas.height * 0.06)}px Arial`
+                ctx.fillText(title, cX, cY - canvas.height * 0.12)
+                ctx.font = `${Math.round(canvas.height * 0.035)}px Arial`
+                ctx.fillText(`Average RT: ${avg.toFixed(1)} ms`, cX, cY - canvas.height * 0.06)
+                const btnW = Math.round(canvas.width * 0.25)
+                const btnH = Math.round(canvas.height * 0.08)
+                const btnX = Math.round(cX - btnW / 2)
+                const btnY = Math.round(cY)
+                level.state.endButtonRect = { x: btnX, y: btnY, w: btnW, h: btnH }
+                ctx.fillStyle = "#2196F3"
+                ctx.strokeStyle = "#0b79d0"
+                ctx.lineWidth = 2
+                ctx.fillRect(btnX, btnY, btnW, btnH)
+                ctx.strokeRect(btnX, btnY, btnW, btnH)
+                ctx.fillStyle = "#fff"
+                ctx.font = `${Math.round(btnH * 0.45)}px Arial`
+                ctx.fillText(level.state.continueLabel || "Continue", cX, btnY + Math.round(btnH * 0.66))
+                ctx.restore()
+            },
+            // Canvas click while the end overlay shows: the Continue button ends the level (level.endGameCallback)
+            handleEndClick(level, e) {
+                const state = level.state
+                if (!(state.gameState === "done" && state.endOverlayVisible && state.showContinueButton)) return
+                const rect = state.canvas.getBoundingClientRect()
+                const x = (e.clientX - rect.left) * (state.canvas.width / rect.width)
+                const y = (e.clientY - rect.top) * (state.canvas.height / rect.height)
+                const btn = state.endButtonRect
+                if (x >= btn.x && x <= btn.x + btn.w && y >= btn.y && y <= btn.y + btn.h) {
+                    state.endOverlayVisible = false
+                    if (level.boundClickHandler) state.canvas.removeEventListener("click", level.boundClickHandler)
+                    level.endGameCallback(state)
+                }
+            },
             // Particle helpers
             createParticles(level, x, y, count, config = {}) {
                 if (!level || !level.state) return
@@ -364,13 +865,24 @@
             clearTrialTimers(state) {
                 if (!state) return
                 if (state.pendingStimulusTimeoutId) {
-                    clearTimeout(state.pendingStimulusTimeoutId)
+                    this.clearTimer(state.pendingStimulusTimeoutId)
                     state.pendingStimulusTimeoutId = null
                 }
                 if (state.currentTrialTimeoutId) {
-                    clearTimeout(state.currentTrialTimeoutId)
+                    this.clearTimer(state.currentTrialTimeoutId)
                     state.currentTrialTimeoutId = null
                 }
+                if (state.stimulus) state.stimulus.pending = false
+            },
+            // Frame-locked onset: flags the prepared stimulus so the next animation frame shows it with that frame's
+            // time as onset (DoggoNogoEngine.presentPendingStimulus -> level.showStimulus). Without an engine driving
+            // frames the stimulus is shown immediately.
+            requestStimulusOnset(level) {
+                if (typeof global.DoggoNogoEngine === "undefined") {
+                    level.showStimulus(level.now())
+                    return
+                }
+                level.state.stimulus.pending = true
             },
             ensureSharedPhaseCompleteSound(levelObj, basePath) {
                 if (!levelObj) return null
@@ -394,7 +906,59 @@
                             : levelObj.params.assetBasePath + "/"
                         : (levelObj && levelObj.assets && levelObj.assets.basePath) || "assets/"
                 )
-                if (shared) this.safePlay(shared, true)
+                if (!shared) return
+                if (global.DoggoNogoAudio) global.DoggoNogoAudio.play(shared)
+                else this.safePlay(shared, true)
+            },
+            // Phase progression (a level's params.progressionMode): "score" (default) ends a phase when its score target is
+            // reached, "trials" after an exact number of stimulus presentations and "time" once the trial in flight when
+            // its duration elapses has finished (the score is then only motivational)
+            progressionMode(level) {
+                const mode = level && level.params ? level.params.progressionMode : null
+                return mode === "trials" || mode === "time" ? mode : "score"
+            },
+            usesTrialProgression(level) {
+                return this.progressionMode(level) === "trials"
+            },
+            // Stimulus presentations of a phase in progressionMode "trials": the phase's `trials`, else trialsNumber split
+            // evenly across the phases
+            phaseTrialCount(level, phaseIdx) {
+                const phases = level.getPhases()
+                const phase = phases[Math.min(phaseIdx, phases.length - 1)]
+                if (phase && phase.trials > 0) return Math.round(phase.trials)
+                return Math.max(1, Math.ceil(level.params.trialsNumber / phases.length))
+            },
+            // Duration (ms) of a phase in progressionMode "time": the phase's `duration`, else the level's phaseDuration
+            phaseDuration(level, phaseIdx) {
+                const phases = level.getPhases()
+                const phase = phases[Math.min(phaseIdx, phases.length - 1)]
+                if (phase && phase.duration > 0) return phase.duration
+                return level.params.phaseDuration > 0 ? level.params.phaseDuration : 120000
+            },
+            // Level-clock time since the active phase started (breaks excluded; the clock stands still while paused)
+            phaseElapsed(level) {
+                return Math.max(0, level.now() - (level.state.phaseStartTime || 0))
+            },
+            // Whether the active phase is over, in any progression mode
+            isPhaseComplete(level) {
+                const state = level.state
+                const mode = this.progressionMode(level)
+                if (mode === "trials") return (state.phasePresentations || 0) >= this.phaseTrialCount(level, state.phaseIndex)
+                if (mode === "time") return this.phaseElapsed(level) >= this.phaseDuration(level, state.phaseIndex)
+                const epsilon = 1e-6
+                return state.score + epsilon >= state.phaseFloorScore + level.ensurePhaseTarget()
+            },
+            // Player sprite of a phase definition (`phase.sprite`, relative to the level's asset base path). Images are
+            // cached per level and path, so phases configured after load() (e.g., through levelParams) still get theirs.
+            phaseSprite(level, phase) {
+                if (!phase || !phase.sprite) return level.assets.imgPlayer
+                const cache = level.assets.playerSprites || (level.assets.playerSprites = {})
+                if (!cache[phase.sprite]) {
+                    const img = new Image()
+                    img.src = (level.assets.basePath || "") + phase.sprite
+                    cache[phase.sprite] = img
+                }
+                return cache[phase.sprite]
             },
             startStimulusExit(state, nowFn, type) {
                 if (!state || !state.stimulus || !nowFn) return
@@ -408,6 +972,15 @@
                 stim.exitInitialWidth = stim.width
                 stim.exitInitialHeight = stim.height
             },
+            // Make the player jump, higher for faster responses: from params.maxJumpStrength at 0 ms to
+            // params.minJumpStrength at the trial's maxRT
+            jump(level, reactionTime) {
+                const { player, maxRT } = level.state
+                if (player.jumping) return
+                player.jumping = true
+                const rtRatio = 1 - Math.min(reactionTime, maxRT) / maxRT
+                player.velocityY = level.params.minJumpStrength + (level.params.maxJumpStrength - level.params.minJumpStrength) * rtRatio
+            },
             // Cache & tint a sprite. Cache stored on level.state.tintedSpriteCache
             getTintedSprite(level, img, color) {
                 if (!img || !img.naturalWidth) return img
@@ -443,8 +1016,8 @@
                 if (!levelObj || !levelObj.state) return
                 levelObj.state.scoreText = text
                 levelObj.state.scoreTextVisible = true
-                if (levelObj.state.scoreTextTimeout) clearTimeout(levelObj.state.scoreTextTimeout)
-                levelObj.state.scoreTextTimeout = setTimeout(() => {
+                if (levelObj.state.scoreTextTimeout) this.clearTimer(levelObj.state.scoreTextTimeout)
+                levelObj.state.scoreTextTimeout = this.setTimer(() => {
                     levelObj.state.scoreTextVisible = false
                 }, durationMs)
             },
@@ -0,0 +1,517 @@
+/**
+ * @file Headless simulation runner (no browser, no DOM).
+ *
+ * Drives a registered level through a virtual clock and timer scheduler (injected into DoggoNogoCore) instead of
+ * setTimeout / requestAnimationFrame / level.now(), with a no-op renderer. A synthetic participant is asked for a
+ * response on every stimulus onset, so a whole session runs in milliseconds and yields the same `state.data`,
+ * `performance` and `gameParams` objects that a real session produces.
+ *
+ * Usage (Node):
+ *   const DoggoNogoHeadless = require("./game/headless.js")
+ *   const result = await DoggoNogoHeadless.simulate("level1", {
+ *       seed: 42,
+ *       levelParams: { trialsNumber: 24 },
+ *       participant: (trial) => ({ key: trial.expectedKey, rt: 320 }), // return null to withhold
+ *   })
+ *   console.log(result.data.length, result.performance)
+ *
+ * CLI: node game/headless.js [levelId] [--seed N] [--trials N] [--meanRT ms] [--sdRT ms]
+ */
+;(function (global) {
+    // ---------------------------------------------------------------------------------------------------------------
+    // Minimal DOM stand-ins (installed only when no real DOM exists)
+    // ---------------------------------------------------------------------------------------------------------------
+
+    // Canvas 2D context whose methods do nothing; property writes are kept so reads stay consistent
+    function createNoopContext(canvas) {
+        const props = { canvas }
+        const noop = () => {}
+        const special = {
+            measureText: () => ({ width: 0 }),
+            createRadialGradient: () => ({ addColorStop: noop }),
+            createLinearGradient: () => ({ addColorStop: noop }),
+            createPattern: () => ({}),
+            getImageData: () => ({ data: new Uint8ClampedArray(4) }),
+        }
+        return new Proxy(props, {
+            get(target, prop) {
+                if (prop in target) return target[prop]
+                return special[prop] || noop
+            },
+            set(target, prop, value) {
+                target[prop] = value
+                return true
+            },
+        })
+    }
+
+    class HeadlessElement {
+        constructor() {
+            this.style = {}
+        }
+        addEventListener() {}
+        removeEventListener() {}
+        appendChild() {}
+    }
+
+    class HeadlessCanvas extends HeadlessElement {
+        constructor(width = 1792, height = 1024) {
+            super()
+            this.width = width
+            this.height = height
+            this._ctx = null
+        }
+        getContext() {
+            if (!this._ctx) this._ctx = createNoopContext(this)
+            return this._ctx
+        }
+        getBoundingClientRect() {
+            return { left: 0, top: 0, width: this.width, height: this.height }
+        }
+    }
+
+    // Reads PNG dimensions from disk (Node only) so sprite aspect ratios, and thus logged positions, match the browser
+    function readImageSize(src) {
+        const fallback = { width: 100, height: 100 }
+        if (typeof require !== "function" || !src) return fallback
+        try {
+            const fs = require("fs")
+            const path = require("path")
+            const file = path.resolve(headless.assetRoot || process.cwd(), src.replace(headless.assetBasePath, ""))
+            const fd = fs.openSync(file, "r")
+            const buf = Buffer.alloc(24)
+            fs.readSync(fd, buf, 0, 24, 0)
+            fs.closeSync(fd)
+            if (buf.toString("ascii", 12, 16) !== "IHDR") return fallback
+            return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) }
+        } catch (e) {
+            return fallback
+        }
+    }
+
+    class HeadlessImage extends HeadlessElement {
+        constructor() {
+            super()
+            this.complete = false
+            this.naturalWidth = 0
+            this.naturalHeight = 0
+            this.onload = null
+            this.onerror = null
+            this._src = ""
+        }
+        get src() {
+            return this._src
+        }
+        set src(value) {
+            this._src = value
+            const size = readImageSize(value)
+            this.naturalWidth = this.width = size.width
+            this.naturalHeight = this.height = size.height
+            // Load handlers are attached right after src is set, so resolve on the next microtask
+            Promise.resolve().then(() => {
+                this.complete = true
+                if (this.onload) this.onload()
+            })
+        }
+    }
+
+    class HeadlessAudio extends HeadlessElement {
+        constructor(src) {
+            super()
+            this.paused = true
+            this.loop = false
+            this.volume = 1
+            this.muted = false
+            this.currentTime = 0
+            this.readyState = 4 // HAVE_ENOUGH_DATA
+            this.oncanplaythrough = null
+            this.onerror = null
+            this._src = ""
+            if (src) this.src = src
+        }
+        get src() {
+            return this._src
+        }
+        set src(value) {
+            this._src = value
+            Promise.resolve().then(() => {
+                if (this.oncanplaythrough) this.oncanplaythrough()
+            })
+        }
+        play() {
+            this.paused = false
+            return Promise.resolve()
+        }
+        pause() {
+            this.paused = true
+        }
+        cloneNode() {
+            return new HeadlessAudio(this._src)
+        }
+        load() {}
+    }
+
+    // Document with real keydown/keyup dispatch (capture listeners first, honoring stopImmediatePropagation)
+    function createHeadlessDocument() {
+        const listeners = []
+        const doc = new HeadlessElement()
+        doc.visibilityState = "visible"
+        doc.hidden = false
+        doc.body = new HeadlessElement()
+        doc.head = new HeadlessElement()
+        doc.documentElement = new HeadlessElement()
+        doc.createElement = (tag) => (tag === "canvas" ? new HeadlessCanvas(0, 0) : new HeadlessElement())
+        doc.addEventListener = (type, fn, capture) => {
+            const useCapture = typeof capture === "object" ? !!capture.capture : !!capture
+            if (!listeners.some((l) => l.type === type && l.fn === fn && l.capture === useCapture))
+                listeners.push({ type, fn, capture: useCapture })
+        }
+        doc.removeEventListener = (type, fn, capture) => {
+            const useCapture = typeof capture === "object" ? !!capture.capture : !!capture
+            const i = listeners.findIndex((l) => l.type === type && l.fn === fn && l.capture === useCapture)
+            if (i >= 0) listeners.splice(i, 1)
+        }
+        doc.dispatchEvent = (event) => {
+            let stopped = false
+            event.stopImmediatePropagation = () => (stopped = true)
+            event.stopPropagation = event.stopPropagation || (() => {})
+            event.preventDefault = () => (event.defaultPrevented = true)
+            const ordered = listeners.filter((l) => l.type === event.type && l.capture).concat(listeners.filter((l) => l.type === event.type && !l.capture))
+            for (const l of ordered) {
+                if (stopped) break
+                l.fn(event)
+            }
+            return !event.defaultPrevented
+        }
+        return doc
+    }
+
+    /**
+     * Installs the DOM stand-ins on the global object. No-op in a browser.
+     */
+    function installEnvironment() {
+        if (typeof global.document !== "undefined") return
+        global.document = createHeadlessDocument()
+        global.HTMLElement = HeadlessElement
+        global.HTMLCanvasElement = HeadlessCanvas
+        global.HTMLImageElement = HeadlessImage
+        global.HTMLAudioElement = HeadlessAudio
+        global.Image = HeadlessImage
+        global.Audio = HeadlessAudio
+    }
+
+    // Node only: evaluates the game scripts in the global scope, in the same order as index.html
+    function loadGameScripts(gameDir) {
+        const fs = require("fs")
+        const path = require("path")
+        const vm = require("vm")
+        const dir = gameDir || __dirname
+        const levelFiles = fs
+            .readdirSync(path.join(dir, "levels"))
+            .filter((f) => /^level\d+\.js$/.test(f))
+            .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10))
+            .map((f) => path.join("levels", f))
+        ;["game.js", "audio.js", "thresholds.js", "engine.js"].concat(levelFiles).forEach((rel) => {
+            const file = path.join(dir, rel)
+            vm.runInThisContext(fs.readFileSync(file, "utf8"), { filename: file })
+        })
+        headless.assetRoot = path.join(dir, "assets")
+    }
+
+    // ---------------------------------------------------------------------------------------------------------------
+    // Synthetic participants
+    // ---------------------------------------------------------------------------------------------------------------
+
+    /**
+     * Creates a simple synthetic participant: normally distributed RTs, optional wrong-key errors and misses.
+     * A participant is any function `(trial) => ({ key, rt }) | null`; `rt` is in ms from stimulus onset and
+     * `null` means no response (omission, or withholding on no-go trials). A participant may also define
+     * `anticipate(isi) => ({ key, delay }) | null`, called when an ISI starts, to press `delay` ms into the ISI.
+     * @param {object} [options]
+     * @param {number} [options.meanRT=350] - Mean RT (ms).
+     * @param {number} [options.sdRT=50] - RT standard deviation (ms).
+     * @param {number} [options.minRT=100] - RTs are clamped to at least this value.
+     * @param {number} [options.errorRate=0] - Probability of pressing a wrong response key.
+     * @param {number} [options.missRate=0] - Probability of not responding.
+     * @param {number|string} [options.seed] - Seed of the participant's own PRNG (never shifts the stimulus sequence).
+     * @returns {function(object): ({key: string, rt: number}|null)}
+     */
+    function createParticipant({ meanRT = 350, sdRT = 50, minRT = 100, errorRate = 0, missRate = 0, seed } = {}) {
+        const rng = DoggoNogoCore.createRng(seed)
+        const gaussian = () => {
+            // Box-Muller
+            const u = 1 - rng.next()
+            const v = rng.next()
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+        }
+        return function (trial) {
+            if (rng.next() < missRate) return null
+            if (trial.expectedKey === null) return null // withhold on no-go trials
+            let key = trial.expectedKey
+            if (rng.next() < errorRate) {
+                const wrong = trial.responseKeys.filter((k) => k !== trial.expectedKey)
+                if (wrong.length) key = wrong[Math.floor(rng.next() * wrong.length)]
+            }
+            return { key, rt: Math.max(minRT, meanRT + sdRT * gaussian()) }
+        }
+    }
+
+    const KEY_CODES = { " ": "Space", ArrowDown: "ArrowDown", ArrowUp: "ArrowUp", ArrowLeft: "ArrowLeft", ArrowRight: "ArrowRight" }
+
+    // Physical {key, code} of a logical key under the current key map (first binding wins)
+    function physicalKey(logical) {
+        const name = logical === " " ? "Space" : logical
+        const bindings = DoggoNogoCore.keyMap[name]
+        const binding = bindings && bindings.length ? bindings[0] : logical
+        if (/^Key[A-Z]$/.test(binding)) return { key: binding.slice(3).toLowerCase(), code: binding }
+        if (/^Digit[0-9]$/.test(binding)) return { key: binding.slice(5), code: binding }
+        if (binding === "Space") return { key: " ", code: "Space" }
+        return { key: binding, code: KEY_CODES[binding] || binding }
+    }
+
+    /**
+     * Runs one level to completion on a virtual clock.
+     * @param {string|object} levelOrId - A registered level id (e.g., "level1") or level object.
+     * @param {object} [options]
+     * @param {function} [options.participant] - Synthetic participant (see createParticipant). Defaults to createParticipant().
+     * @param {number|string} [options.seed] - Stimulus PRNG seed (as DoggoNogoEngine.run's `seed`).
+     * @param {object} [options.levelParams] - Level parameter overrides for this run (restored afterwards).
+     * @param {object} [options.keyMap] - Response key mapping (as DoggoNogoEngine.run's `keyMap`); presses use the mapped keys.
+     * @param {string} [options.inputMode] - "pointer" to answer with touch taps (on the part of the screen standing for
+     *   the key, as routed by DoggoNogoEngine.handlePointerDown) instead of key presses.
+     * @param {number} [options.frameRate=60] - Virtual display refresh rate (Hz) driving level.update()/draw().
+     * @param {number} [options.breakDelay=1000] - Time (ms) the participant waits before pressing SPACE at a break prompt.
+     * @param {number} [options.keyHoldDuration=100] - Time (ms) between keydown and keyup of each simulated press.
+     * @param {boolean} [options.render=true] - Call level.draw() on every frame (on a no-op 2D context).
+     * @param {number} [options.width=1792] - Virtual canvas width (px).
+     * @param {number} [options.height=1024] - Virtual canvas height (px).
+     * @param {number} [options.maxDuration=21600000] - Virtual time (ms) after which the run is aborted.
+     * @returns {Promise<{data: Array<object>, performance: object, gameParams: object, pauses: Array<object>, duration: number, state: object}>}
+     */
+    async function simulate(levelOrId, options = {}) {
+        const {
+            participant = createParticipant({ seed: options.seed }),
+            seed,
+            levelParams,
+            keyMap,
+            inputMode,
+            frameRate = 60,
+            breakDelay = 1000,
+            keyHoldDuration = 100,
+            render = true,
+            width = 1792,
+            height = 1024,
+            maxDuration = 6 * 60 * 60 * 1000,
+        } = options
+        const level = typeof levelOrId === "string" ? DoggoNogoEngine.getLevel(levelOrId) : levelOrId
+        if (!level) throw new Error(`Unknown level: ${levelOrId}`)
+        const meta = DoggoNogoEngine.getLevelMeta(level)
+
+        // Assets "load" instantly from the stand-ins; reuse the canvas across runs and relayout on size changes
+        if (!level._headlessCanvas) {
+            level._headlessCanvas = new HeadlessCanvas(width, height)
+            await level.load(level._headlessCanvas, { assetBasePath: headless.assetBasePath })
+            level._loaded = true
+        }
+        const canvas = level._headlessCanvas
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width
+            canvas.height = height
+            level.state.canvas = canvas
+            level.handleResize()
+        }
+
+        const originalParams = Object.assign({}, level.params)
+        if (levelParams) Object.assign(level.params, levelParams)
+
+        const scheduler = DoggoNogoCore.createVirtualScheduler()
+        DoggoNogoCore.setScheduler(scheduler)
+        const appliedSeed = DoggoNogoCore.rng.setSeed(seed)
+        if (keyMap !== undefined) DoggoNogoCore.setKeyMap(keyMap)
+        if (inputMode !== undefined) DoggoNogoCore.setInputMode(inputMode)
+        const state = level.state
+        const frameInterval = 1000 / frameRate
+        let finished = false
+        let lastOnsetTrial = -1
+        let lastIsiTimer = null
+        let breakPressScheduled = false
+
+        // Participants answer with logical keys; translate them to the mapped physical key (or a tap)
+        const press = (logical) => {
+            if (DoggoNogoCore.usesPointer()) {
+                const i = meta.responseKeys.indexOf(logical)
+                const x = i === -1 ? canvas.width / 2 : ((i + 0.5) / meta.responseKeys.length) * canvas.width
+                const pointer = { key: logical === " " ? "Space" : logical, pointerType: "touch", x, y: canvas.height / 2 }
+                level.handleKeyDown(DoggoNogoCore.pointerResponse(pointer))
+                return
+            }
+            const { key, code } = physicalKey(logical)
+            const eventInit = () => ({ key, code, repeat: false, levelTime: scheduler.now() })
+            document.dispatchEvent(Object.assign({ type: "keydown" }, eventInit()))
+            scheduler.setTimeout(() => document.dispatchEvent(Object.assign({ type: "keyup" }, eventInit())), keyHoldDuration)
+        }
+
+        // Called after every scheduler event: answers break prompts and new stimulus onsets
+        const observe = () => {
+            if (finished) return
+            if (state.inBreak && state.breakState === "ready") {
+                if (!breakPressScheduled) {
+                    breakPressScheduled = true
+                    scheduler.setTimeout(() => {
+                        breakPressScheduled = false
+                        if (!finished && state.inBreak) press(" ")
+                    }, breakDelay)
+                }
+                return
+            }
+            // New ISI: give the participant a chance to anticipate (press before the stimulus appears)
+            if (state.pendingStimulusTimeoutId && state.pendingStimulusTimeoutId !== lastIsiTimer) {
+                lastIsiTimer = state.pendingStimulusTimeoutId
+                if (typeof participant.anticipate === "function") {
+                    const isiTimer = lastIsiTimer
+                    const anticipation = participant.anticipate({
+                        levelId: level.id,
+                        phase: state.phaseIndex + 1,
+                        trial: state.trials + 1,
+                        time: scheduler.now(),
+                        responseKeys: meta.responseKeys.slice(),
+                        minISI: level.params.minISI,
+                        maxISI: level.params.maxISI,
+                    })
+                    if (anticipation && typeof anticipation.delay === "number") {
+                        scheduler.setTimeout(() => {
+                            if (!finished && !state.inBreak && state.pendingStimulusTimeoutId === isiTimer) press(anticipation.key || meta.responseKeys[0])
+                        }, Math.max(0, anticipation.delay))
+                    }
+                }
+            }
+            if (state.stimulus.visible && state.trials !== lastOnsetTrial) {
+                lastOnsetTrial = state.trials
+                const trial = {
+                    levelId: level.id,
+                    phase: state.phaseIndex + 1,
+                    trial: state.trials,
+                    time: scheduler.now(),
+                    stimulus: {
+                        kind: state.stimulus.kind,
+                        side: state.stimulus.side,
+                        region: state.stimulus.region,
+                        difficulty: state.stimulus.difficulty,
+                    },
+                    expectedKey: typeof level.getExpectedResponse === "function" ? level.getExpectedResponse() : meta.responseKeys[0],
+                    responseKeys: meta.responseKeys.slice(),
+                    threshold: typeof level.getEffectiveThreshold === "function" ? level.getEffectiveThreshold() : state.medianRT,
+                    maxRT: state.maxRT,
+                }
+                const response = participant(trial)
+                if (response && response.key && typeof response.rt === "number") {
+                    const onsetTrial = state.trials
+                    scheduler.setTimeout(() => {
+                        // Responses slower than the trial's timeout are dropped (the trial already ended as a miss)
+                        if (!finished && state.trials === onsetTrial && state.stimulus.visible) press(response.key)
+                    }, Math.max(0, response.rt))
+                }
+            }
+        }
+
+        try {
+            const endState = await new Promise((resolve, reject) => {
+                state.pauses = []
+                level.start(canvas, (s) => {
+                    finished = true
+                    resolve(s)
+                })
+                const frame = () => {
+                    if (finished) return
+                    // Pending stimuli appear on frames, exactly on the simulated display's refresh grid
+                    DoggoNogoEngine.presentPendingStimulus(level, scheduler.now(), frameInterval)
+                    level.update()
+                    if (render) level.draw()
+                    scheduler.setTimeout(frame, frameInterval)
+                }
+                scheduler.setTimeout(frame, frameInterval)
+                while (!finished && scheduler.step()) {
+                    observe()
+                    if (scheduler.now() > maxDuration) {
+                        DoggoNogoCore.clearTrialTimers(state)
+                        document.removeEventListener("keydown", level.boundKeyDownHandler)
+                        state.gameState = "done"
+                        reject(new Error(`Simulation of ${level.id} exceeded ${maxDuration} ms of virtual time`))
+                        return
+                    }
+                }
+            })
+            endState.performance = DoggoNogoEngine.computePerformance(level)
+            endState.gameParams = DoggoNogoEngine.snapshotGameParams(level, {
+                autoPause: false,
+                seed: appliedSeed,
+                keyMap: JSON.parse(JSON.stringify(DoggoNogoCore.keyMap)),
+                inputMode: DoggoNogoCore.inputMode,
+            })
+            return {
+                data: endState.data,
+                performance: endState.performance,
+                gameParams: endState.gameParams,
+                pauses: endState.pauses,
+                duration: scheduler.now(),
+                state: endState,
+            }
+        } finally {
+            DoggoNogoCore.setScheduler(null)
+            Object.keys(level.params).forEach((k) => {
+                if (!(k in originalParams)) delete level.params[k]
+            })
+            Object.assign(level.params, originalParams)
+        }
+    }
+
+    const headless = {
+        assetBasePath: "assets/",
+        assetRoot: null,
+        installEnvironment,
+        loadGameScripts,
+        createParticipant,
+        simulate,
+    }
+
+    global.DoggoNogoHeadless = headless
+
+    // Node: set up the environment and load the game so `require("./game/headless.js")` is ready to simulate
+    if (typeof module !== "undefined" && module.exports) {
+        installEnvironment()
+        if (typeof global.DoggoNogoEngine === "undefined") loadGameScripts(__dirname)
+        module.exports = headless
+
+        if (require.main === module) {
+            const args = process.argv.slice(2)
+            const opt = (name, fallback) => {
+                const i = args.indexOf(`--${name}`)
+                return i >= 0 && i + 1 < args.length ? args[i + 1] : fallback
+            }
+            const levelId = args[0] && !args[0].startsWith("--") ? args[0] : DoggoNogoEngine.getLevelIds()[0]
+            const seedArg = opt("seed")
+            const seed = seedArg === undefined ? undefined : isNaN(Number(seedArg)) ? seedArg : Number(seedArg)
+            const trials = opt("trials")
+            simulate(levelId, {
+                seed,
+                levelParams: trials ? { trialsNumber: Number(trials) } : undefined,
+                participant: createParticipant({ meanRT: Number(opt("meanRT", 350)), sdRT: Number(opt("sdRT", 50)), seed }),
+            })
+                .then((r) => {
+                    const phases = {}
+                    r.data.forEach((d) => (phases[d.Phase] = (phases[d.Phase] || 0) + 1))
+                    console.log(
+                        JSON.stringify(
+                            { level: levelId, trials: r.data.length, trialsPerPhase: phases, duration: r.duration, performance: r.performance, gameParams: r.gameParams },
+                            null,
+                            2
+                        )
+                    )
+                })
+                .catch((e) => {
+                    console.error(e)
+                    process.exitCode = 1
+                })
+        }
+    }
+})(typeof window !== "undefined" ? window : globalThis)
@@ -63,7 +63,8 @@
                 this.currentSpriteYPercent = null
                 // key handler to skip entire intro (simplest implementation)
                 this.boundKeyHandler = (e) => {
-                    if (e.key && e.key.toLowerCase() === "s") {
+                    const isMapped = typeof DoggoNogoCore !== "undefined" && DoggoNogoCore.isMappedKey(e)
+                    if (e.key && e.key.toLowerCase() === "s" && !isMapped) {
                         this.requestSkip()
                     }
                 }
@@ -219,17 +220,12 @@
                         if (!/^https?:\/\//i.test(src) && !src.startsWith("/") && this.assetBasePath) {
                             src = this.assetBasePath + src
                         }
-                        snd.oncanplaythrough = () => snd.play().catch(() => {})
                         snd.onerror = () => console.warn("Intro sound load failed:", step.what, src)
                         snd.src = src
                         this.assets[step.what] = snd
-                    } else {
-                        try {
-                            snd.play()
-                        } catch (e) {
-                            console.warn("Sound play failed", step.what, e)
-                        }
                     }
+                    // Starts once loaded (element) or immediately (decoded)
+                    DoggoNogoAudio.play(snd)
                     break
                 }
                 case "wait": {
@@ -2,67 +2,10 @@
     Lightweight jsPsych integration helpers for the Doggo/Nogo game.
     The engine now performs global + level preloading internally, so this layer only
     needs to create jsPsych call-function trials for running levels.
+    Levels are looked up in the engine's level registry (see DoggoNogoEngine.registerLevel).
 */
 
 ;(function (global) {
-    // Inline asset manifest used for preload defaults
-    if (!global.DoggoNogoAssets) {
-        global.DoggoNogoAssets = {
-            shared: {
-                images: ["cover1_noText.png", "text.png"],
-                audio: ["sound_levelup.mp3", "sound_phasecomplete.mp3", "sound_start.mp3"],
-            },
-            level1: {
-                images: [
-                    "level1/player_1.png",
-                    "level1/player_2.png",
-                    "level1/player_3.png",
-                    "level1/stimulus.png",
-                    "level1/background.png",
-                    "level1/feedback_slow1.png",
-                    "level1/feedback_late1.png",
-                    "level1/feedback_early1.png",
-                    "level1/feedback_fast1.png",
-                    "level1/feedback_fast2.png",
-                    "level1/feedback_fast3.png",
-                    "level1/intro_background.png",
-                ],
-                audio: [
-                    "level1/sound_background.mp3",
-                    "level1/sound_fast.mp3",
-                    "level1/sound_slow.mp3",
-                    "level1/sound_early.mp3",
-                    "level1/sound_evolve.mp3",
-                    "level1/sound_intro_metaldoor.mp3",
-                    "level1/sound_intro_dogwhining.mp3",
-                ],
-            },
-            level2: {
-                images: [
-                    "level2/player_1.png",
-                    "level2/player_2.png",
-                    "level2/player_3.png",
-                    "level2/stimulus_1.png",
-                    "level2/stimulus_2.png",
-                    "level2/background.png",
-                    "level2/feedback_slow1.png",
-                    "level2/feedback_late1.png",
-                    "level2/feedback_fast1.png",
-                    "level2/feedback_fast2.png",
-                    "level2/feedback_fast3.png",
-                    "level2/feedback_error1.png",
-                    "level2/feedback_early1.png",
-                ],
-                audio: [
-                    "level2/sound_evolve.mp3",
-                    "level2/sound_error.mp3",
-                    "level2/sound_fast.mp3",
-                    "level2/sound_slow.mp3",
-                    "level2/Fishbone.mp3",
-                ],
-            },
-        }
-    }
     function normalizeBasePath(p) {
         if (!p) return ""
         // Ensure trailing slash and collapse any duplicated segments like assets/assets
@@ -97,14 +40,35 @@
             targetAspectWidth = 1792,
             targetAspectHeight = 1024,
             assetBasePath = "game/assets/",
-            levelGetter = () => (typeof level1 !== "undefined" ? level1 : undefined),
+            levelId = "level1",
+            levelGetter = () => DoggoNogoEngine.getLevel(levelId),
             trialsNumber,
-            introSequence = null,
+            levelParams, // further level parameter overrides (e.g. { modality: "auditory" }), merged over trialsNumber
+            introSequence, // defaults to the intro registered with the level; pass null to disable
             skipCover = false,
             markerEnabled = false,
             markerFlashDuration = 100,
-            markerSize = 60,
+            markerSize, // px; defaults to the size saved by the calibration screen (or 60)
+            markerPosition, // corner or { corner, x, y }; defaults to the calibrated position (or top-left)
+            markerEncoding, // "binary" (markerBits squares) or "gray" (see DoggoNogoEngine.run); engine defaults if omitted
+            markerBits,
+            markerGrayLevels,
+            markerCodes, // event name -> code overrides (the code table is saved in game_params.marker)
+            markerMinFrames,
+            triggerTransport, // WebSocket URL (load game/triggers.js) or { send(message) } receiving event triggers
             fullscreen = false,
+            autoPause = false,
+            seed, // PRNG seed for a reproducible stimulus sequence (random if omitted; always saved in gameParams)
+            record = false, // if true, save an input/onset recording (trial data `recording`) for DoggoNogoEngine.replay()
+            keyMap, // logical key -> physical key(s), e.g. { ArrowDown: "KeyJ" } (see DoggoNogoCore.setKeyMap)
+            inputMode, // "pointer" for tablets/phones (taps respond; see DoggoNogoEngine.handlePointerDown), else "keyboard"
+            timingProbe, // refresh-rate / timer probe before gameplay (on unless false; report in game_params.timing)
+            timingThresholds, // overrides of DoggoNogoEngine.defaultTimingThresholds
+            onTimingWarning, // called with the timing report when this machine falls below the thresholds
+            musicVolume, // 0-1 background music volume
+            effectsVolume, // 0-1 sound effects volume
+            muteKey, // key code toggling mute ("KeyM" unless null; the audio setup is saved in game_params.audio)
+            onAudioError, // called when audio cannot start (e.g., autoplay blocked)
             initialFillColor = "#000", // color to immediately paint when suppressLoading to avoid white flash
         } = {}) {
             return {
@@ -163,18 +127,41 @@
                         return
                     }
 
+                    // Apply the key map and input mode before building any prompt text that names keys
+                    if (keyMap !== undefined) DoggoNogoCore.setKeyMap(keyMap)
+                    if (inputMode !== undefined) DoggoNogoCore.setInputMode(inputMode)
+
                     // Use the centralized game engine
                     DoggoNogoEngine.run(canvas, level, {
                         assetBasePath: normalizeBasePath(assetBasePath),
-                        levelParams: { trialsNumber },
-                        continueHint: "Press SPACE to continue",
+                        levelParams: { trialsNumber, ...levelParams },
+                        continueHint: `${DoggoNogoCore.actionPrompt("Space")} to continue`,
                         introSequence,
                         skipCover,
                         preloadOtherLevels: true,
                         markerEnabled,
                         markerFlashDuration,
                         markerSize,
+                        markerPosition,
+                        markerEncoding,
+                        markerBits,
+                        markerGrayLevels,
+                        markerCodes,
+                        markerMinFrames,
+                        triggerTransport,
                         fullscreen,
+                        autoPause,
+                        seed,
+                        record,
+                        keyMap,
+                        inputMode,
+                        timingProbe,
+                        timingThresholds,
+                        onTimingWarning,
+                        musicVolume,
+                        effectsVolume,
+                        muteKey,
+                        onAudioError,
                         onFinish: (finalState) => {
                             // Data to be saved by jsPsych
                             const trialData = {
@@ -185,17 +172,18 @@
                                 phases_completed: finalState.phaseIndex + 1,
                                 game_params: finalState.gameParams || null,
                                 performance: finalState.performance || null,
+                                pauses: finalState.pauses || [],
+                                recording: finalState.recording || null,
+                                marker_log: finalState.markerLog || [],
+                                key_repeats: finalState.keyRepeats || 0,
+                                trial_lists: finalState.trialLists || null, // pre-generated trial lists (level 2 trialOrder "list")
                             }
 
-                            // Wait for spacebar press to formally end the trial
-                            const onSpace = (e) => {
-                                if (e.code === "Space") {
-                                    document.removeEventListener("keydown", onSpace)
-                                    el.innerHTML = "" // Clean up canvas
-                                    done(trialData) // End jsPsych trial
-                                }
-                            }
-                            document.addEventListener("keydown", onSpace)
+                            // Wait for spacebar press (or a tap in pointer mode) to formally end the trial
+                            DoggoNogoCore.onceInput(canvas, "Space", () => {
+                                el.innerHTML = "" // Clean up canvas
+                                done(trialData) // End jsPsych trial
+                            })
                         },
                     }).catch((err) => {
                         console.error("Failed to run game engine", err)
@@ -205,19 +193,44 @@
             }
         },
 
-        // Convenience: build a complete Level 1 sequence with optional preload and a single game trial
-        level1: function ({
-            assetBasePath = "game/assets/",
-            width,
-            height,
-            maintainAspect = true,
-            trialsNumber,
-            markerEnabled = false,
-            markerFlashDuration = 100,
-            markerSize = 60,
-            fullscreen = false,
-            showCover = true,
-        } = {}) {
+        // Convenience: build a complete sequence (a single game trial) for any registered level.
+        // The cover screen is shown by default only for the first registered level.
+        level: function (
+            levelId,
+            {
+                assetBasePath = "game/assets/",
+                width,
+                height,
+                maintainAspect = true,
+                trialsNumber,
+                levelParams,
+                markerEnabled = false,
+                markerFlashDuration = 100,
+                markerSize,
+                markerPosition,
+                markerEncoding,
+                markerBits,
+                markerGrayLevels,
+                markerCodes,
+                markerMinFrames,
+                triggerTransport,
+                fullscreen = false,
+                autoPause = false,
+                seed,
+                record = false,
+                keyMap,
+                inputMode,
+                timingProbe,
+                timingThresholds,
+                onTimingWarning,
+                musicVolume,
+                effectsVolume,
+                muteKey,
+                onAudioError,
+                showCover = DoggoNogoEngine.getLevelIds()[0] === levelId,
+                initialFillColor = "#000",
+            } = {}
+        ) {
             return [
                 this.createGameTrial({
                     width,
@@ -225,46 +238,66 @@
                     maintainAspect,
                     assetBasePath: normalizeBasePath(assetBasePath),
                     trialsNumber,
-                    introSequence: typeof level1IntroSequence !== "undefined" ? level1IntroSequence : null,
-                    skipCover: !showCover,
-                    markerEnabled,
-                    markerFlashDuration,
-                    markerSize,
-                    fullscreen,
-                }),
-            ]
-        },
-        level2: function ({
-            assetBasePath = "game/assets/",
-            width,
-            height,
-            maintainAspect = true,
-            trialsNumber,
-            markerEnabled = false,
-            markerFlashDuration = 100,
-            markerSize = 60,
-            fullscreen = false,
-            showCover = false,
-            initialFillColor = "#000",
-        } = {}) {
-            return [
-                this.createGameTrial({
-                    width,
-                    height,
-                    maintainAspect,
-                    assetBasePath: normalizeBasePath(assetBasePath),
-                    trialsNumber,
-                    levelGetter: () => (typeof level2 !== "undefined" ? level2 : undefined),
-                    introSequence: typeof level2IntroSequence !== "undefined" ? level2IntroSequence : null,
+                    levelParams,
+                    levelId,
                     skipCover: !showCover,
                     markerEnabled,
                     markerFlashDuration,
                     markerSize,
+                    markerPosition,
+                    markerEncoding,
+                    markerBits,
+                    markerGrayLevels,
+                    markerCodes,
+                    markerMinFrames,
+                    triggerTransport,
                     fullscreen,
+                    autoPause,
+                    seed,
+                    record,
+                    keyMap,
+                    inputMode,
+                    timingProbe,
+                    timingThresholds,
+                    onTimingWarning,
+                    musicVolume,
+                    effectsVolume,
+                    muteKey,
+                    onAudioError,
                     initialFillColor,
                 }),
             ]
         },
+        // Photodiode calibration screen (see DoggoNogoEngine.calibrateMarker): the chosen marker size and position are
+        // saved in localStorage and used by later game trials that do not set markerSize / markerPosition.
+        createCalibrationTrial: function ({ width = 1792, height = 1024, markerSize, markerPosition, markerBits, interval, flashDuration } = {}) {
+            return {
+                type: jsPsychCallFunction,
+                async: true,
+                func: (done) => {
+                    const el = jsPsych.getDisplayElement()
+                    const canvas = document.createElement("canvas")
+                    canvas.width = width
+                    canvas.height = height
+                    canvas.style.display = "block"
+                    canvas.style.margin = "0 auto"
+                    el.appendChild(canvas)
+                    DoggoNogoEngine.calibrateMarker(canvas, { markerSize, markerPosition, markerBits, interval, flashDuration }).then((result) => {
+                        el.innerHTML = ""
+                        done({ marker_calibration: result })
+                    })
+                },
+            }
+        },
+        level1: function (options = {}) {
+            return this.level("level1", options)
+        },
+        level2: function (options = {}) {
+            return this.level("level2", options)
+        },
+        level3: function (options = {}) {
+            return this.level("level3", options)
+        },
     }
 
     // Expose
@@ -41,7 +41,20 @@
         { type: "wait", duration: 2000 },
     ]
 
-    global.DoggoNogoIntroSequences = { level1IntroSequence, level2IntroSequence }
+    const level3IntroSequence = [
+        { type: "fill", color: "black" },
+        { type: "wait", duration: 1000 },
+        { type: "text", what: "NOGO has found out where DOGGO's food is hidden...", animation: "appear", y: 40 },
+        { type: "wait", duration: 2000 },
+        { type: "image", what: "level2/player_1.png", animation: "reveal", duration: 1000, y: 65 },
+        { type: "wait", duration: 1500 },
+        { type: "fill", color: "black" },
+        { type: "text", what: "Feed DOGGO, but don't let NOGO fool you!", animation: "appear", y: 50 },
+        { type: "wait", duration: 2000 },
+    ]
+
+    global.DoggoNogoIntroSequences = { level1IntroSequence, level2IntroSequence, level3IntroSequence }
     global.level1IntroSequence = level1IntroSequence
     global.level2IntroSequence = level2IntroSequence
+    global.level3IntroSequence = level3IntroSequence
 })(typeof window !== "undefined" ? window : globalThis)
@@ -17,7 +17,8 @@
  *    - If pressed before the stimulus appears: early → penalty (−minScore).
  *    - If pressed while visible and RT > Threshold (median RT): slow → +0.
  *    - If pressed while visible and RT ≤ Threshold: fast → positive points.
- * 3) Valid RTs (fast or slow within maxRT) update Threshold (running median) and are sent to the score screen.
+ * 3) Valid RTs (fast or slow within maxRT) update Threshold (running median by default, see "Threshold strategies")
+ *    and are sent to the score screen.
  * 4) If no press occurs before maxRT (2 × Threshold at onset), the trial times out with 0 points.
  * 5) Level ends when the current phase's target is reached for the final phase.
  *
@@ -34,10 +35,34 @@
  * 3. After another second, a "Press SPACE to continue" prompt appears.
  * 4. The player can then press SPACE to start the next phase.
  *
+ * Phases:
+ * -------
+ * `params.phases` declares the phases as an array (any length); null uses the three default phases. Each entry:
+ *  - sprite: player sprite path, relative to the asset base path (e.g., "level1/player_2.png").
+ *  - modalityProportions: go-signal modality weights for the phase (default: params.modalityProportions).
+ *  - target: fixed score target for the phase (default: the adaptive target below).
+ *  - trials: stimulus presentations of the phase in progressionMode "trials" (default: trialsNumber split evenly).
+ *  - duration: length (ms) of the phase in progressionMode "time" (default: params.phaseDuration).
+ *  - break: false to evolve the sprite and carry straight on instead of pausing before the phase (default true).
+ *  - breakText: line shown above the prompt during the break before the phase.
+ * The progress bar shows one segment per phase and rows log the 1-based `Phase`.
+ *
  * Data Logging:
  * -------------
  * On every keypress, a data record is pushed to `level1.state.data`. This array is also
  * exposed as `window.level1Data` for easy access from the browser console.
+ * Trials during which the game was paused (see DoggoNogoEngine.pause) are flagged with `Paused = 1`.
+ * Stimuli appear on the first animation frame after their ISI elapses, and RTs are measured from that frame:
+ * `OnsetRequested`, `OnsetActual` and `OnsetDelay` log the due and displayed onset times, `RefreshInterval` the
+ * estimated display refresh interval.
+ *
+ * Go-signal modality:
+ * -------------------
+ * Each trial's go-signal is drawn from `params.modalityProportions` and logged as `Modality`: "visual" (the falling
+ * stimulus), "auditory" (a cue sound, nothing drawn) or "audiovisual" (both, for redundancy gains). The cue sound starts
+ * on the frame that presents the trial; `AudioOnset` logs when it reached the speakers, estimated from the audio clock.
+ * RTs count from the first signal: the sound for auditory trials and the earlier of both for audiovisual ones (the
+ * frame when the audio onset cannot be measured, e.g. without Web Audio).
  *
  * Adaptive phase targets and perceived agency
  * ------------------------------------------
@@ -69,6 +94,22 @@
  * Dynamic targets are the max of this minimum and an estimate based on
  * remaining trials (assuming ~50% fast), preventing too-short phases.
  *
+ * Fixed-trial-count and time-limited modes
+ * ----------------------------------------
+ * With `params.progressionMode = "trials"` (default "score"), each phase ends after an exact number of stimulus
+ * presentations instead of at its score target, so every participant sees the same number of trials. Early presses
+ * do not count. With "time", each phase lasts `params.phaseDuration` ms of gameplay (breaks and pauses excluded); the
+ * trial in flight when it elapses still finishes. In both modes scores are still awarded but only motivate: phase
+ * breaks no longer raise the score to the phase floor, and the progress bar fills with the phase's presentations or
+ * elapsed time.
+ *
+ * Threshold strategies
+ * --------------------
+ * `params.thresholdStrategy` picks how the fast/slow threshold adapts (see thresholds.js): the running median of all
+ * valid RTs ("median", default), a sliding-window median ("window"), a weighted up/down staircase targeting a fast
+ * proportion ("staircase") or a QUEST-style Bayesian estimate ("quest"). Rows log `ThresholdStrategy` and
+ * `ThresholdState`, the strategy's internal state after the trial (JSON).
+ *
  * Performance Score (IES)
  * -------------------------
  * The performance score is based on the Inverse Efficiency Score (IES),
@@ -88,8 +129,9 @@ if (typeof TrialTypes === "undefined") {
 }
 
 const level1 = {
-    // Use jsPsych's time function for consistency
+    // Use the shared level clock (jsPsych's time when available; stands still while the engine is paused)
     now: function () {
+        if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.clock.now()
         // jsPsych is loaded globally in the HTML
         if (typeof jsPsych !== "undefined") {
             return jsPsych.getTotalTime()
@@ -100,16 +142,26 @@ const level1 = {
         }
         return Date.now()
     },
+    // Uniform [0, 1) draw from the shared seeded PRNG (DoggoNogoEngine.run's `seed` option) for reproducible sequences
+    random: function () {
+        if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.random()
+        return Math.random()
+    },
     params: {
         // Parameters
         trialsNumber: 12, // The (theoretical) number of valid trials for the entire level
         minTrialsPerPhase: 4, // Minimum (theoretical) trials the player should effectively complete per phase
+        progressionMode: "score", // "score": phases end at their score target; "trials": after a fixed number of stimuli;
+        // "time": after phaseDuration (see header documentation)
+        phaseDuration: 120000, // ms per phase in progressionMode "time"
         minISI: 1000, // Minimum Inter-Stimulus Interval
         maxISI: 3000, // Maximum Inter-Stimulus Interval
         minScore: 100, // Minimum score awarded for a fast trial
         maxScore: 200, // Maximum score awarded for a fast trial
         // RT thresholds and bounds
-        gameDifficulty: 1, // dimensionless; effective threshold = medianRT / gameDifficulty
+        gameDifficulty: 1, // dimensionless; effective threshold = strategy threshold / gameDifficulty
+        // Adaptive threshold strategy (see thresholds.js): "median" | "window" | "staircase" | "quest" | { type, ...options }
+        thresholdStrategy: "median",
 
         // IES population parameters (for Z-scoring)
         populationMean: 300,
@@ -128,14 +180,19 @@ const level1 = {
         feedbackBubbleHeight: 0.2, // % of canvas height
         earlyFlashDuration: 150, // ms duration of red flash for early presses
         earlyFlashTintColor: "255,0,0", // base RGB for tint (alpha animated)
+
+        // Go-signal modality proportions (relative weights): visual only, the cue sound only, or both
+        modalityProportions: { visual: 1, auditory: 0, audiovisual: 0 },
+
+        // Phase definitions (see header documentation); null = the three default phases
+        phases: null,
     },
 
     assets: {
         // Image and audio assets for the level
         imgPlayer: new Image(), // current sprite used for drawing
-        imgPlayer1: new Image(), // phase 1 sprite
-        imgPlayer2: new Image(), // phase 2 sprite
-        imgPlayer3: new Image(), // phase 3 sprite
+        playerSprites: {}, // phase sprites by path (see DoggoNogoCore.phaseSprite)
+        basePath: "", // asset base path given to load()
         imgStimulus: new Image(),
         imgBackground: new Image(),
         imgFeedbackSlow: new Image(),
@@ -151,6 +208,7 @@ const level1 = {
         soundSlow: new Audio(),
         soundEarly: new Audio(),
         soundStart: new Audio(),
+        soundCue: new Audio(), // auditory go-signal
 
         // (Intro assets moved to intro_assets.js)
         // Cover screen assets (shared)
@@ -193,6 +251,7 @@ const level1 = {
             width: 50, // These will be overwritten by calculated values
             height: 50,
             visible: false,
+            pending: false, // prepared and waiting for the next animation frame (see DoggoNogoCore.requestStimulusOnset)
             exiting: false,
             exitType: "catch", // "catch" | "timeout"
             exitDuration: 200, // ms
@@ -202,11 +261,28 @@ const level1 = {
             initialY: 0, // Store the initial Y position for the fall animation
             exitInitialWidth: 0,
             exitInitialHeight: 0,
+            modality: "visual", // "visual" | "auditory" | "audiovisual" (see params.modalityProportions)
+            sound: null, // cue sound the engine plays at onset (auditory and audiovisual trials)
         },
 
         // Timestamp for reaction time calculation
         startTime: 0,
 
+        // Set by DoggoNogoEngine.pause() when the current trial (ISI or stimulus window) was interrupted
+        trialPaused: false,
+        trialPauseDuration: 0, // ms spent paused during the current trial
+        // Set by the engine from frame timing during the stimulus window (see DoggoNogoEngine._noteTimingIssue)
+        trialTimingIssue: 0,
+        trialWorstFrameDelay: null, // ms a frame came later than the refresh interval (worst case)
+        trialLongTasks: 0,
+        trialInput: null, // how the current response was given (see DoggoNogoCore.inputInfo)
+        heldResponse: null, // logged keyboard response whose key is still down (see DoggoNogoCore.holdResponse)
+        keyRepeats: 0, // auto-repeated keydowns ignored during the level
+        scheduledOnset: 0, // level-clock time at which the pending stimulus is due (set when the ISI starts)
+        onsetActual: null, // level-clock time of the animation frame that first drew the stimulus
+        refreshInterval: null, // estimated display refresh interval (ms) at onset
+        audioOnset: null, // level-clock time the cue sound reached the speakers (audio clock estimate)
+
         // Internal timers/handles
         pendingStimulusTimeoutId: null, // ISI -> stimulus visible timer
         currentTrialTimeoutId: null, // timeout for max RT
@@ -219,17 +295,19 @@ const level1 = {
         scoreTextVisible: false,
         scoreTextTimeout: null,
         scoreTextPoints: 0, // raw delta for last score change (for dynamic color/size)
-        // Phase progression state (3 phases with 2 breaks)
-        phaseIndex: 0, // 0: phase1 active; 1: phase2 active; 2: phase3 active (final)
+        // Phase progression state (one break before each phase after the first, see getPhases)
+        phaseIndex: 0, // 0-based index of the active phase
         inBreak: false, // true when waiting for SPACE between phases
         breakState: "idle", // "idle" | "started" | "effects" | "ready"
         breakStartTime: 0,
         showBreakText: false,
         // Per-phase required targets, computed at the start of each phase based on remaining valid trials
-        phaseRequiredScores: [0, 0, 0],
+        phaseRequiredScores: [],
 
         // Reset phase floor
         phaseFloorScore: 0,
+        phasePresentations: 0, // stimuli presented in the active phase (progressionMode "trials")
+        phaseStartTime: 0, // level-clock start of the active phase (progressionMode "time")
         canvas: null, // Reference to the canvas element
         ctx: null, // Reference to the canvas context
         // End overlay/button
@@ -247,8 +325,9 @@ const level1 = {
         this.state.canvas = canvas
         this.state.ctx = canvas.getContext("2d")
 
-        // Player dimensions (based on phase 1 sprite, assuming all player sprites have the same aspect ratio)
-        const playerAspectRatio = this.assets.imgPlayer1.naturalWidth / this.assets.imgPlayer1.naturalHeight
+        // Player dimensions (based on the first phase's sprite, assuming all player sprites have the same aspect ratio)
+        const firstSprite = DoggoNogoCore.phaseSprite(this, this.getPhases()[0])
+        const playerAspectRatio = firstSprite.naturalWidth / firstSprite.naturalHeight
         this.state.player.height = canvas.height * this.params.playerHeight
         this.state.player.width = this.state.player.height * playerAspectRatio
 
@@ -269,11 +348,10 @@ const level1 = {
     load: function (canvas, options) {
         // Optional base path so this level can be loaded from different HTML locations (e.g., jsPsych root vs game/)
         const base = (options && options.assetBasePath) || ""
+        this.assets.basePath = base
         // Set asset sources
         // Preload all player sprites for phase-based swapping
-        this.assets.imgPlayer1.src = base + "level1/player_1.png"
-        this.assets.imgPlayer2.src = base + "level1/player_2.png"
-        this.assets.imgPlayer3.src = base + "level1/player_3.png"
+        const playerSprites = this.getPhases().map((phase) => DoggoNogoCore.phaseSprite(this, phase))
         this.assets.imgStimulus.src = base + "level1/stimulus.png"
         this.assets.imgBackground.src = base + "level1/background.png"
         this.assets.imgFeedbackSlow.src = base + "level1/feedback_slow1.png"
@@ -288,6 +366,7 @@ const level1 = {
         this.assets.soundEarly.src = base + "level1/sound_early.mp3"
         this.assets.soundEvolve.src = base + "level1/sound_evolve.mp3"
         this.assets.soundStart.src = base + "sound_start.mp3"
+        this.assets.soundCue.src = base + "level1/doggo_whine2.wav"
 
         // Generic assets (shared across levels)
         this.assets.soundLevelUp.src = base + "sound_levelup.mp3"
@@ -298,9 +377,7 @@ const level1 = {
 
         // Create a promise that resolves when all assets are loaded
         const assetRefs = [
-            this.assets.imgPlayer1,
-            this.assets.imgPlayer2,
-            this.assets.imgPlayer3,
+            ...playerSprites,
             this.assets.imgStimulus,
             this.assets.imgBackground,
             this.assets.imgFeedbackSlow,
@@ -316,23 +393,12 @@ const level1 = {
             this.assets.soundSlow,
             this.assets.soundEarly,
             this.assets.soundStart,
+            this.assets.soundCue,
             // Cover assets
             this.assets.imgCover,
             this.assets.imgCoverText,
         ]
-        const promises = assetRefs.map((asset) => {
-            return new Promise((resolve, reject) => {
-                if (asset instanceof HTMLImageElement) {
-                    asset.onload = resolve
-                    asset.onerror = reject
-                } else if (asset instanceof HTMLAudioElement) {
-                    asset.oncanplaythrough = resolve
-                    asset.onerror = reject
-                }
-            })
-        })
-
-        return Promise.all(promises).then(() => {
+        return DoggoNogoCore.loadAssets(assetRefs).then(() => {
             // Now that images are loaded, we can calculate dimensions while preserving aspect ratio
             this.initializeDimensions(canvas)
             // Place the player horizontally centered & vertically based on params.playerY (interpreted as center position)
@@ -415,8 +481,8 @@ const level1 = {
         const instructions = [
             "But Doggo is in need of urgent care and feeding!",
             "",
-            "Help him get as many bones as possible by pressing",
-            "the down arrow as fast as possible.",
+            `Help him get as many bones as possible by ${DoggoNogoCore.usesPointer() ? "tapping" : "pressing"}`,
+            `${DoggoNogoCore.usesPointer() ? "the screen" : DoggoNogoCore.keyLabel("ArrowDown", "the down arrow")} as fast as possible.`,
         ]
         const lineHeight = scaleFontPx(40)
         const instructionStartY = canvas.height * 0.4
@@ -440,7 +506,7 @@ const level1 = {
         setTimeout(() => {
             ctx.font = `bold ${scaleFontPx(32)}px Arial`
             ctx.fillStyle = "yellow"
-            ctx.fillText("Press the DOWN arrow to start", canvas.width / 2, canvas.height * 0.85)
+            ctx.fillText(`${DoggoNogoCore.actionPrompt("ArrowDown")} to start`, canvas.width / 2, canvas.height * 0.85)
         }, 1000)
     },
 
@@ -457,6 +523,12 @@ const level1 = {
         this.state.score = 0
         this.state.reactionTimes = []
         this.state.trials = 0
+        // No stimulus carries over from a previous run (e.g., one that ended while it was still on screen)
+        this.state.stimulus.visible = false
+        this.state.stimulus.exiting = false
+        this.state.stimulus.pending = false
+        this.state.keyRepeats = 0
+        this.state.heldResponse = null
         // Reset data in-place to preserve any external references
         if (Array.isArray(this.state.data)) {
             this.state.data.length = 0
@@ -466,7 +538,7 @@ const level1 = {
         this.state.gameState = "playing"
         this.state.phaseIndex = 0
         this.state.inBreak = false
-        this.state.phaseRequiredScores = [0, 0, 0]
+        this.state.phaseRequiredScores = this.getPhases().map(() => 0)
         // End overlay/button options
         this.state.showContinueButton = !!opts.showContinueButton
         this.state.continueLabel = typeof opts.continueLabel === "string" ? opts.continueLabel : "Continue"
@@ -474,10 +546,12 @@ const level1 = {
 
         // Reset thresholds
         this.state.medianRT = 1000 // Reset to initial value
-        this.state.maxRT = 2 * this.state.medianRT
+        this.thresholdStrategy = DoggoNogoThresholds.create(this.params.thresholdStrategy)
+        this.state.maxRT = 2 * this.getBaseThreshold()
 
         // Reset phase floor
         this.state.phaseFloorScore = 0
+        this.state.phasePresentations = 0
         // Compute target for phase 0 at level start
         this.state.phaseRequiredScores[0] = this.computePhaseTarget(0)
 
@@ -485,16 +559,17 @@ const level1 = {
         if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
 
         // Start background music (loop)
-        try {
-            this.assets.soundBackground.loop = true
-            if (this.assets.soundBackground.paused) this.assets.soundBackground.play()
-        } catch (e) {}
+        DoggoNogoAudio.playMusic(this.assets.soundBackground)
 
         // Set up keyboard input handler
         this.boundKeyDownHandler = this.handleKeyDown.bind(this)
         document.addEventListener("keydown", this.boundKeyDownHandler)
+        // Key-ups complete the held response's duration, including after the level ended (the last response)
+        if (this.boundKeyUpHandler) document.removeEventListener("keyup", this.boundKeyUpHandler)
+        this.boundKeyUpHandler = this.handleKeyUp.bind(this)
+        document.addEventListener("keyup", this.boundKeyUpHandler)
         // Set up click handler for end overlay button (only used when visible)
-        this.boundClickHandler = this.handleClick.bind(this)
+        this.boundClickHandler = (e) => DoggoNogoCore.handleEndClick(this, e)
         canvas.addEventListener("click", this.boundClickHandler)
 
         // Expose data in the browser console
@@ -504,8 +579,9 @@ const level1 = {
         }
 
         // Start the first trial
-        this.assets.imgPlayer = this.assets.imgPlayer1
+        this.assets.imgPlayer = DoggoNogoCore.phaseSprite(this, this.getPhase())
         // Start sound now played centrally by engine.waitForStart()
+        this.state.phaseStartTime = this.now()
         this.startNewTrial()
     },
 
@@ -573,7 +649,7 @@ const level1 = {
         DoggoNogoCore.drawFeedbackBubbles(this)
         // If game is done and end overlay is enabled, draw it
         if (this.state.gameState === "done" && this.state.endOverlayVisible && this.state.showContinueButton) {
-            this.drawEndOverlay()
+            DoggoNogoCore.drawEndOverlay(this, "Game Over")
         }
 
         // If on a break, draw the overlay
@@ -642,7 +718,7 @@ const level1 = {
      * Draws a break overlay prompting the player to continue.
      */
     drawBreakOverlay: function () {
-        const message = "Press SPACE to continue"
+        const message = `${DoggoNogoCore.actionPrompt("Space")} to continue`
         this.state.ctx.save()
 
         // Create a radial gradient for the tunnel effect, centered on the player
@@ -671,58 +747,19 @@ const level1 = {
             this.state.ctx.font = `${this.state.canvas.height * 0.053}px Arial` // Font size relative to canvas height
             this.state.ctx.textAlign = "center"
             this.state.ctx.fillText(message, this.state.canvas.width / 2, (2.5 / 3) * this.state.canvas.height)
+            // Optional phase-specific line above the prompt
+            const breakText = this.getPhase().breakText
+            if (breakText) this.state.ctx.fillText(breakText, this.state.canvas.width / 2, (2.2 / 3) * this.state.canvas.height)
         }
         this.state.ctx.restore()
     },
 
-    /**
-     * Draws the end-of-level overlay with a Continue button (when enabled).
-     */
-    drawEndOverlay: function () {
-        const ctx = this.state.ctx
-        const canvas = this.state.canvas
-        ctx.save()
-        // Darken background
-        ctx.fillStyle = "rgba(0,0,0,0.6)"
-        ctx.fillRect(0, 0, canvas.width, canvas.height)
-
-        // Title and stats
-        const centerX = canvas.width / 2
-        const centerY = canvas.height / 2
-        const rts = this.state.reactionTimes || []
-        const avg = rts.length ? rts.reduce((a, b) => a + b, 0) / rts.length : 0
-
-        ctx.fillStyle = "#fff"
-        ctx.textAlign = "center"
-        ctx.font = `${Math.round(canvas.height * 0.06)}px Arial`
-        ctx.fillText("Game Over", centerX, centerY - canvas.height * 0.12)
-        ctx.font = `${Math.round(canvas.height * 0.035)}px Arial`
-        ctx.fillText(`Average RT: ${avg.toFixed(1)} ms`, centerX, centerY - canvas.height * 0.06)
-
-        // Button
-        const btnW = Math.round(canvas.width * 0.25)
-        const btnH = Math.round(canvas.height * 0.08)
-        const btnX = Math.round(centerX - btnW / 2)
-        const btnY = Math.round(centerY)
-        // Store rect for click detection
-        this.state.endButtonRect = { x: btnX, y: btnY, w: btnW, h: btnH }
-
-        // Button style
-        ctx.fillStyle = "#2196F3"
-        ctx.strokeStyle = "#0b79d0"
-        ctx.lineWidth = 2
-        ctx.fillRect(btnX, btnY, btnW, btnH)
-        ctx.strokeRect(btnX, btnY, btnW, btnH)
-        ctx.fillStyle = "#fff"
-        ctx.font = `${Math.round(btnH * 0.45)}px Arial`
-        ctx.fillText(this.state.continueLabel || "Continue", centerX, btnY + Math.round(btnH * 0.66))
-        ctx.restore()
-    },
-
     /**
      * Draws the stimulus if it's visible or animating.
      */
     drawStimulus: function () {
+        // Auditory go-signals have no visual counterpart
+        if (this.state.stimulus.modality === "auditory") return
         if (this.state.stimulus.exiting) {
             const elapsedTime = this.now() - this.state.stimulus.exitStartTime
             const progress = Math.min(elapsedTime / this.state.stimulus.exitDuration, 1)
@@ -778,50 +815,105 @@ const level1 = {
      * Starts a new trial by scheduling the next stimulus appearance.
      */
     startNewTrial: function () {
-        const delay = Math.random() * (this.params.maxISI - this.params.minISI) + this.params.minISI
+        this.state.trialPaused = false
+        this.state.trialPauseDuration = 0
+        this.state.trialTimingIssue = 0
+        this.state.trialWorstFrameDelay = null
+        this.state.trialLongTasks = 0
+        this.state.trialInput = null
+        this.state.stimulus.pending = false
+        this.state.onsetActual = null
+        this.state.refreshInterval = null
+        this.state.audioOnset = null
+        const delay = this.random() * (this.params.maxISI - this.params.minISI) + this.params.minISI
+        this.state.scheduledOnset = this.now() + delay // level-clock time the stimulus is due
         if (this.state.pendingStimulusTimeoutId) {
-            clearTimeout(this.state.pendingStimulusTimeoutId)
+            DoggoNogoCore.clearTimer(this.state.pendingStimulusTimeoutId)
             this.state.pendingStimulusTimeoutId = null
         }
-        this.state.pendingStimulusTimeoutId = setTimeout(() => {
+        this.state.pendingStimulusTimeoutId = DoggoNogoCore.setTimer(() => {
             this.state.pendingStimulusTimeoutId = null
-            // Prepare stimulus
-            this.state.stimulus.x = Math.random() * (this.state.canvas.width - this.state.stimulus.width)
+            // Prepare stimulus; it becomes visible on the next animation frame (see showStimulus)
+            this.state.stimulus.x = this.random() * (this.state.canvas.width - this.state.stimulus.width)
             const maxY = this.state.canvas.height - this.state.stimulus.height - this.params.stimulusFallDistancePx
-            this.state.stimulus.y = Math.random() * maxY
+            this.state.stimulus.y = this.random() * maxY
             this.state.stimulus.initialY = this.state.stimulus.y // Store the initial Y for the fall animation
-            this.state.stimulus.visible = true
-            this.state.stimulus.exiting = false
-            this.state.startTime = this.now()
-            // Marker flash on stimulus onset (if engine marker active)
-            if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.flashMarker === "function") {
-                DoggoNogoEngine.flashMarker()
-            }
-            // Count this as a presented trial
-            this.state.trials++
-
-            // Set per-trial max RT
-            this.state.maxRT = 2 * this.state.medianRT
-            if (this.state.currentTrialTimeoutId) {
-                clearTimeout(this.state.currentTrialTimeoutId)
-            }
-            this.state.currentTrialTimeoutId = setTimeout(() => {
-                // Timeout: slow (0 points)
-                this.state.currentTrialTimeoutId = null
-                if (this.state.gameState !== "playing") return
-                if (this.state.stimulus.visible) this.startStimulusExit && this.startStimulusExit("timeout")
-                this.finishTrial({
-                    type: "timeout",
-                    points: 0,
-                    includeInMedian: false,
-                    stimulusX: this.state.stimulus.x,
-                    stimulusY: this.state.stimulus.y,
-                    timestamp: new Date().toISOString(),
-                })
-            }, this.state.maxRT)
+            this.state.stimulus.modality = this.drawModality()
+            this.state.stimulus.sound = this.state.stimulus.modality === "visual" ? null : this.assets.soundCue
+            DoggoNogoCore.requestStimulusOnset(this)
         }, delay)
     },
 
+    /**
+     * Draws the go-signal modality of the next trial from the phase's modalityProportions (params.modalityProportions
+     * by default). A single modality draws no random number, so visual-only sessions keep the same stimulus sequence
+     * for a given seed.
+     * @returns {string} "visual", "auditory" or "audiovisual".
+     */
+    drawModality: function () {
+        const weights = this.getPhase().modalityProportions || this.params.modalityProportions || {}
+        const modalities = ["visual", "auditory", "audiovisual"].filter((m) => weights[m] > 0)
+        if (modalities.length === 0) return "visual"
+        if (modalities.length === 1) return modalities[0]
+        const total = modalities.reduce((sum, m) => sum + weights[m], 0)
+        let r = this.random() * total
+        for (const m of modalities) {
+            r -= weights[m]
+            if (r < 0) return m
+        }
+        return modalities[modalities.length - 1]
+    },
+
+    /**
+     * Shows the prepared stimulus and starts the response window. Called by the engine with the time of the
+     * animation frame that first draws it, so RTs are measured from when the stimulus was actually displayed.
+     * @param {number} onsetTime - Level-clock time of the stimulus onset.
+     * @param {number|null} [audioOnset] - Level-clock time the cue sound reached the speakers (auditory and
+     *   audiovisual trials; null when unknown).
+     */
+    showStimulus: function (onsetTime, audioOnset) {
+        const modality = this.state.stimulus.modality
+        this.state.stimulus.pending = false
+        this.state.stimulus.visible = true
+        this.state.stimulus.exiting = false
+        this.state.phasePresentations++
+        this.state.audioOnset = modality !== "visual" && typeof audioOnset === "number" ? audioOnset : null
+        // RTs count from the first signal (the audio onset may fall after this frame, by the output latency)
+        let startTime = onsetTime
+        if (this.state.audioOnset !== null) {
+            startTime = modality === "auditory" ? this.state.audioOnset : Math.min(onsetTime, this.state.audioOnset)
+        }
+        this.state.startTime = startTime
+        this.state.onsetActual = onsetTime
+        // Count this as a presented trial
+        this.state.trials++
+        // Marker flash and session recording on stimulus onset (if engine present)
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.stimulusOnset === "function") {
+            DoggoNogoEngine.stimulusOnset(this)
+        }
+
+        // Set per-trial max RT (counted from the onset, which may be slightly earlier than now)
+        this.state.maxRT = 2 * this.getBaseThreshold()
+        if (this.state.currentTrialTimeoutId) {
+            DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
+        }
+        this.state.currentTrialTimeoutId = DoggoNogoCore.setTimer(() => {
+            // Timeout: slow (0 points)
+            this.state.currentTrialTimeoutId = null
+            if (this.state.gameState !== "playing") return
+            if (this.state.stimulus.visible) DoggoNogoCore.startStimulusExit(this.state, () => this.now(), "timeout")
+            this.finishTrial({
+                type: "timeout",
+                points: 0,
+                includeInMedian: false,
+                stimulusX: this.state.stimulus.x,
+                stimulusY: this.state.stimulus.y,
+                timestamp: new Date().toISOString(),
+                thresholdUsed: this.getEffectiveThreshold(),
+            })
+        }, Math.max(0, this.state.maxRT - (this.now() - startTime)))
+    },
+
     /**
      * Finishes a trial: updates score, counters, checks end, or schedules next trial.
      * @param {{ type: 'fast'|'slow'|'early'|'timeout', points: number, rt?: number, includeInMedian?: boolean, stimulusX?: number, stimulusY?: number }} outcome
@@ -843,6 +935,11 @@ const level1 = {
         // Log the data for this trial
         this._logTrialData(outcome)
 
+        // Response/error event marker (if engine present)
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.trialOutcome === "function") {
+            DoggoNogoEngine.trialOutcome(this, outcome)
+        }
+
         // Update last trial type for streak tracking
         this.state.lastTrialType = outcome.type
 
@@ -860,14 +957,14 @@ const level1 = {
         const bubbleY = this.state.player.y
 
         if (outcome.type === TrialTypes.SLOW) {
-            ;(typeof DoggoNogoCore !== "undefined" ? DoggoNogoCore.safePlay : this.safePlay)(this.assets.soundSlow)
+            DoggoNogoAudio.play(this.assets.soundSlow)
             this.showFeedbackBubble("slow", bubbleX, bubbleY)
             this.state.lastFastFeedback = 0 // Reset fast streak
         } else if (outcome.type === TrialTypes.TIMEOUT) {
             this.showFeedbackBubble("late", bubbleX, bubbleY)
             this.state.lastFastFeedback = 0 // Reset fast streak
         } else if (outcome.type === TrialTypes.EARLY) {
-            ;(typeof DoggoNogoCore !== "undefined" ? DoggoNogoCore.safePlay : this.safePlay)(this.assets.soundEarly)
+            DoggoNogoAudio.play(this.assets.soundEarly)
             this.showFeedbackBubble("early", bubbleX, bubbleY)
             this.state.lastFastFeedback = 0
             this.state.earlyFlashUntil = this.now() + this.params.earlyFlashDuration
@@ -891,6 +988,15 @@ const level1 = {
         if (outcome.includeInMedian && typeof outcome.rt === "number") {
             this.state.reactionTimes.push(outcome.rt)
             this.state.medianRT = this.computeMedian(this.state.reactionTimes)
+            this.thresholdStrategy.update({ rt: outcome.rt, fast: outcome.type === TrialTypes.FAST, threshold: outcome.thresholdUsed })
+        } else if (outcome.type === TrialTypes.TIMEOUT || outcome.type === TrialTypes.SLOW) {
+            // Misses (no response, or one slower than the trial's maxRT) count as slow for the stepwise strategies
+            this.thresholdStrategy.update({
+                rt: typeof outcome.rt === "number" ? outcome.rt : null,
+                fast: false,
+                threshold: outcome.thresholdUsed,
+                miss: true,
+            })
         }
     },
 
@@ -901,7 +1007,8 @@ const level1 = {
      */
     _logTrialData: function (outcome) {
         if (outcome.timestamp) {
-            const rtVal = outcome.type === TrialTypes.EARLY || outcome.type === TrialTypes.TIMEOUT ? null : outcome.rt
+            // Early presses have no RT, except anticipations of an auditory stimulus (negative, see DoggoNogoCore.anticipation)
+            const rtVal = outcome.type === TrialTypes.TIMEOUT || typeof outcome.rt !== "number" ? null : outcome.rt
             this.state.data.push({
                 Level: "level 1",
                 Phase: this.state.phaseIndex + 1,
@@ -911,9 +1018,16 @@ const level1 = {
                 RT: rtVal === null ? "NA" : rtVal,
                 Error: outcome.type === TrialTypes.EARLY || outcome.type === TrialTypes.TIMEOUT ? 1 : 0,
                 Threshold: typeof outcome.thresholdUsed === "number" ? outcome.thresholdUsed : this.getEffectiveThreshold(),
+                // Threshold strategy and its internal state after this trial (JSON)
+                ThresholdStrategy: this.thresholdStrategy.type,
+                ThresholdState: JSON.stringify(this.thresholdStrategy.snapshot()),
                 Score: this.state.score,
                 ScoreChange: outcome.points,
                 ResponseKey: outcome.responseKey || (outcome.type === TrialTypes.TIMEOUT ? "NA" : "ArrowDown"),
+                // "keyboard" or the pointer type ("touch", "mouse", "pen"), and the tap position (percent of canvas)
+                InputType: this.state.trialInput ? this.state.trialInput.type : "NA",
+                PointerX: this.state.trialInput ? this.state.trialInput.x : null,
+                PointerY: this.state.trialInput ? this.state.trialInput.y : null,
                 Correct:
                     typeof outcome.correct === "boolean"
                         ? outcome.correct
@@ -935,7 +1049,27 @@ const level1 = {
                         : null,
                 CanvasWidth: this.state.canvas ? this.state.canvas.width : null,
                 CanvasHeight: this.state.canvas ? this.state.canvas.height : null,
+                // 1 if the game was paused during this trial (contaminated timing)
+                Paused: this.state.trialPaused ? 1 : 0,
+                PauseDuration: this.state.trialPauseDuration,
+                // Frame-locked onset (level clock, ms): when the stimulus was due, the frame that first drew it, and the
+                // display refresh interval estimated at that time (NA when no stimulus was shown, e.g. early presses)
+                OnsetRequested: this.state.onsetActual !== null ? this.state.scheduledOnset : "NA",
+                OnsetActual: this.state.onsetActual !== null ? this.state.onsetActual : "NA",
+                OnsetDelay: this.state.onsetActual !== null ? this.state.onsetActual - this.state.scheduledOnset : "NA",
+                RefreshInterval: this.state.onsetActual !== null && this.state.refreshInterval !== null ? this.state.refreshInterval : "NA",
+                // Go-signal modality, and when its sound reached the speakers (NA for visual trials or when unknown)
+                Modality: this.state.onsetActual !== null ? this.state.stimulus.modality : "NA",
+                AudioOnset: this.state.audioOnset !== null ? this.state.audioOnset : "NA",
+                // Keyboard responses: how long the key was held (ms; filled on key-up) and ignored auto-repeats while held
+                ResponseDuration: "NA",
+                KeyRepeats: 0,
+                // Timing quality of the stimulus window: 1 if a frame came far later than the refresh interval or a long task ran
+                TimingIssue: this.state.trialTimingIssue,
+                WorstFrameDelay: this.state.trialWorstFrameDelay !== null ? this.state.trialWorstFrameDelay : "NA",
+                LongTasks: this.state.trialLongTasks,
             })
+            DoggoNogoCore.holdResponse(this.state)
         }
     },
 
@@ -945,10 +1079,8 @@ const level1 = {
      * @private
      */
     _checkForPhaseOrLevelEnd: function () {
-        const epsilon = 1e-6
-        const currentPhaseTarget = this.ensurePhaseTarget()
-        if (this.state.score + epsilon >= this.state.phaseFloorScore + currentPhaseTarget) {
-            if (this.state.phaseIndex < 2) {
+        if (DoggoNogoCore.isPhaseComplete(this)) {
+            if (this.state.phaseIndex < this.getPhases().length - 1) {
                 this.startPhaseBreak()
             } else {
                 this.endLevel()
@@ -969,12 +1101,31 @@ const level1 = {
     },
 
     /**
-     * Returns the array of 3 phase targets. For phases not yet started, returns an estimate
+     * Returns the phase definitions: params.phases, or the three default phases (see header documentation).
+     * @returns {Array<object>}
+     */
+    getPhases: function () {
+        if (Array.isArray(this.params.phases) && this.params.phases.length > 0) return this.params.phases
+        return [{ sprite: "level1/player_1.png" }, { sprite: "level1/player_2.png" }, { sprite: "level1/player_3.png" }]
+    },
+
+    /**
+     * Returns the definition of a phase (the active one by default).
+     * @param {number} [phaseIdx]
+     * @returns {object}
+     */
+    getPhase: function (phaseIdx = this.state.phaseIndex) {
+        const phases = this.getPhases()
+        return phases[Math.min(phaseIdx, phases.length - 1)]
+    },
+
+    /**
+     * Returns the array of phase targets. For phases not yet started, returns an estimate
      * based on remaining trials at the current moment.
      */
     getPhaseTargets: function () {
-        const targets = [0, 0, 0]
-        for (let i = 0; i < 3; i++) {
+        const targets = this.getPhases().map(() => 0)
+        for (let i = 0; i < targets.length; i++) {
             if (this.state.phaseRequiredScores[i] && this.state.phaseRequiredScores[i] > 0) {
                 targets[i] = this.state.phaseRequiredScores[i]
             } else {
@@ -998,9 +1149,12 @@ const level1 = {
      * Compute the required score for a given phase index based on remaining trials and an assumed
      * fast-rate. Conservative estimate: assume 50% of the phase's trials will be fast, each worth at least minScore.
      * Enforces a minimum per-phase target = max(minScore, (minTrialsPerPhase/2) * minScore).
+     * A phase's fixed `target` (see getPhases) takes precedence.
      */
     computePhaseTarget: function (phaseIdx) {
-        const phasesRemaining = Math.max(1, 3 - phaseIdx)
+        const fixed = this.getPhase(phaseIdx).target
+        if (typeof fixed === "number" && fixed > 0) return fixed
+        const phasesRemaining = Math.max(1, this.getPhases().length - phaseIdx)
         const trialsLeft = Math.max(0, this.params.trialsNumber - this.state.trials)
         const trialsThisPhase = Math.ceil(trialsLeft / phasesRemaining)
         const assumedFastRate = 0.5
@@ -1011,13 +1165,20 @@ const level1 = {
         return Math.max(this.params.minScore, minTargetByTrials, estimatedTarget)
     },
 
+    /**
+     * Returns the threshold strategy's current threshold (ms), before gameDifficulty; the running median before start.
+     */
+    getBaseThreshold: function () {
+        return this.thresholdStrategy ? this.thresholdStrategy.threshold() : this.state.medianRT
+    },
+
     /**
      * Returns the effective threshold used for fast/slow classification.
-     * Threshold = medianRT / gameDifficulty
+     * Threshold = strategy threshold (running median by default) / gameDifficulty
      */
     getEffectiveThreshold: function () {
         const divisor = this.params.gameDifficulty && this.params.gameDifficulty > 0 ? this.params.gameDifficulty : 1
-        return this.state.medianRT / divisor
+        return this.getBaseThreshold() / divisor
     },
 
     /**
@@ -1029,20 +1190,7 @@ const level1 = {
 
         // State 1: Overlay has just appeared. Wait 1s for effects.
         if (this.state.breakState === "started" && elapsed > 1000) {
-            // Play evolution sound
-            DoggoNogoCore.safePlay(this.assets.soundEvolve)
-
-            // Create sparkles around the player
-            const playerCenterX = this.state.player.x + this.state.player.width / 2
-            const playerCenterY = this.state.player.y + this.state.player.height / 2
-            this.createSparkles(playerCenterX, playerCenterY, 50) // Increased count
-
-            // Update player sprite
-            if (this.state.phaseIndex === 1) {
-                this.assets.imgPlayer = this.assets.imgPlayer2
-            } else if (this.state.phaseIndex === 2) {
-                this.assets.imgPlayer = this.assets.imgPlayer3
-            }
+            this.evolvePlayer()
 
             this.state.breakState = "effects"
         }
@@ -1055,11 +1203,29 @@ const level1 = {
     },
 
     /**
-     * Initiates a phase break and waits for SPACE to resume.
+     * Evolution effects: plays the evolution sound, surrounds the player with sparkles and switches to the
+     * active phase's sprite.
+     */
+    evolvePlayer: function () {
+        // Play evolution sound
+        DoggoNogoAudio.play(this.assets.soundEvolve)
+
+        // Create sparkles around the player
+        const playerCenterX = this.state.player.x + this.state.player.width / 2
+        const playerCenterY = this.state.player.y + this.state.player.height / 2
+        this.createSparkles(playerCenterX, playerCenterY, 50) // Increased count
+
+        // Update player sprite
+        this.assets.imgPlayer = DoggoNogoCore.phaseSprite(this, this.getPhase())
+    },
+
+    /**
+     * Initiates a phase break and waits for SPACE to resume. Phases declared with `break: false` start
+     * right away instead, with the evolution effects but no pause.
      */
     startPhaseBreak: function () {
         // Advance to next phase
-        this.state.phaseIndex = Math.min(2, this.state.phaseIndex + 1)
+        this.state.phaseIndex = Math.min(this.getPhases().length - 1, this.state.phaseIndex + 1)
         this.state.inBreak = true
         this.state.breakState = "started"
         this.state.breakStartTime = this.now()
@@ -1069,25 +1235,34 @@ const level1 = {
 
         // Stop any pending timers and hide stimulus
         if (this.state.pendingStimulusTimeoutId) {
-            clearTimeout(this.state.pendingStimulusTimeoutId)
+            DoggoNogoCore.clearTimer(this.state.pendingStimulusTimeoutId)
             this.state.pendingStimulusTimeoutId = null
         }
         if (this.state.currentTrialTimeoutId) {
-            clearTimeout(this.state.currentTrialTimeoutId)
+            DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
             this.state.currentTrialTimeoutId = null
         }
         this.state.stimulus.visible = false
         this.state.stimulus.exiting = false
 
-        // Update the phase floor and score immediately
-        if (this.state.phaseIndex === 1) {
-            this.state.phaseFloorScore = this.state.phaseRequiredScores[0]
+        // Update the phase floor and score immediately (the "trials" and "time" progression modes leave the score alone)
+        const targets = this.state.phaseRequiredScores
+        targets[this.state.phaseIndex] = this.computePhaseTarget(this.state.phaseIndex)
+        if (DoggoNogoCore.progressionMode(this) === "score") {
+            this.state.phaseFloorScore = targets.slice(0, this.state.phaseIndex).reduce((a, b) => a + b, 0)
             this.state.score = this.state.phaseFloorScore
-            this.state.phaseRequiredScores[1] = this.computePhaseTarget(1)
-        } else if (this.state.phaseIndex === 2) {
-            this.state.phaseFloorScore = this.state.phaseRequiredScores[0] + this.state.phaseRequiredScores[1]
-            this.state.score = this.state.phaseFloorScore
-            this.state.phaseRequiredScores[2] = this.computePhaseTarget(2)
+        }
+        this.state.phasePresentations = 0
+
+        if (this.getPhase().break === false) {
+            this.state.inBreak = false
+            this.state.breakState = "idle"
+            this.evolvePlayer()
+            if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.phaseStart === "function") {
+                DoggoNogoEngine.phaseStart(this)
+            }
+            this.state.phaseStartTime = this.now()
+            this.startNewTrial()
         }
     },
 
@@ -1098,7 +1273,12 @@ const level1 = {
         if (!this.state.inBreak || this.state.breakState !== "ready") return
         this.state.inBreak = false
         this.state.breakState = "idle"
+        // Phase start event marker (if engine present)
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.phaseStart === "function") {
+            DoggoNogoEngine.phaseStart(this)
+        }
         // Start next trial
+        this.state.phaseStartTime = this.now()
         this.startNewTrial()
     },
 
@@ -1149,12 +1329,9 @@ const level1 = {
      */
     endLevel: function () {
         this.state.gameState = "done"
-        DoggoNogoCore.safePlay(this.assets.soundLevelUp)
+        DoggoNogoAudio.play(this.assets.soundLevelUp)
         document.removeEventListener("keydown", this.boundKeyDownHandler)
-        try {
-            this.assets.soundBackground.pause()
-            this.assets.soundBackground.currentTime = 0
-        } catch (e) {}
+        DoggoNogoAudio.stopMusic()
         // Clear timers via core helper
         if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
         // If configured to show in-game Continue button, draw overlay and wait for click
@@ -1167,44 +1344,19 @@ const level1 = {
     },
 
     /**
-     * Handle clicks for the end overlay button.
+     * Returns the key a correct response to the current stimulus uses (used by synthetic participants).
+     * @returns {string|null}
      */
-    handleClick: function (e) {
-        if (!(this.state.gameState === "done" && this.state.endOverlayVisible && this.state.showContinueButton)) return
-        const rect = this.state.canvas.getBoundingClientRect()
-        const scaleX = this.state.canvas.width / rect.width
-        const scaleY = this.state.canvas.height / rect.height
-        const x = (e.clientX - rect.left) * scaleX
-        const y = (e.clientY - rect.top) * scaleY
-        const btn = this.state.endButtonRect
-        if (x >= btn.x && x <= btn.x + btn.w && y >= btn.y && y <= btn.y + btn.h) {
-            // Proceed
-            this.state.endOverlayVisible = false
-            // Clean click handler to avoid leaks
-            if (this.boundClickHandler) {
-                this.state.canvas.removeEventListener("click", this.boundClickHandler)
-            }
-            this.endGameCallback(this.state)
-        }
+    getExpectedResponse: function () {
+        return "ArrowDown"
     },
 
     /**
-     * Makes the player jump with a height proportional to the reaction time.
-     * @param {number} reactionTime - The player's reaction time in milliseconds.
+     * Handles key releases: completes the response duration of the last keyboard response (see DoggoNogoCore.holdResponse).
+     * @param {KeyboardEvent} e - The keyboard event object.
      */
-    jump: function (reactionTime) {
-        if (this.state.player.jumping) return
-        this.state.player.jumping = true
-
-        // Clamp the reaction time
-        const effectiveRT = Math.min(reactionTime, this.state.maxRT)
-
-        // Linearly interpolate jump strength
-        const jumpRange = this.params.maxJumpStrength - this.params.minJumpStrength
-        const rtRatio = 1 - effectiveRT / this.state.maxRT
-        const jumpPower = this.params.minJumpStrength + jumpRange * rtRatio
-
-        this.state.player.velocityY = jumpPower
+    handleKeyUp: function (e) {
+        DoggoNogoCore.releaseResponse(this.state, e)
     },
 
     /**
@@ -1214,9 +1366,11 @@ const level1 = {
     handleKeyDown: function (e) {
         // Ignore input unless actively playing
         if (this.state.gameState !== "playing") return
+        // Auto-repeats of a held key are never responses (counted in state.keyRepeats)
+        if (DoggoNogoCore.ignoreRepeat(this.state, e)) return
 
-        // Dev/Test shortcut: Press 's' to skip the remainder of the level (fast-forward to end)
-        if (e.key === "s" || e.key === "S") {
+        // Dev/Test shortcut: Press 's' to skip the remainder of the level (fast-forward to end), unless 's' is a mapped key
+        if ((e.key === "s" || e.key === "S") && !DoggoNogoCore.isMappedKey(e)) {
             // End immediately without awarding extra points
             // Clean up timers and go straight to end screen
             if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
@@ -1224,14 +1378,16 @@ const level1 = {
             return
         }
 
-        // During breaks, only SPACE resumes (when ready)
+        // During breaks, only SPACE (or its mapped key) resumes (when ready)
         if (this.state.inBreak) {
-            const isSpace = e.code === "Space" || e.key === " " || e.key === "Spacebar"
-            if (isSpace) this.resumeFromBreak()
+            if (DoggoNogoCore.matchesKey(e, "Space")) this.resumeFromBreak()
             return
         }
 
-        if (e.key !== "ArrowDown") return
+        // The response key (ArrowDown by default, see DoggoNogoCore.setKeyMap); logged as the physical key pressed
+        if (!DoggoNogoCore.matchesKey(e, "ArrowDown")) return
+        const responseKey = DoggoNogoCore.responseKeyName(e, "ArrowDown")
+        this.state.trialInput = DoggoNogoCore.inputInfo(e, this.state.canvas)
 
         // Early press before stimulus
         if (!this.state.stimulus.visible && !this.state.stimulus.exiting) {
@@ -1240,17 +1396,41 @@ const level1 = {
             // Penalty for early press
             const nowISO = new Date().toISOString()
             const thresholdUsed = this.getEffectiveThreshold()
-            this.finishTrial({ type: "early", points: -this.params.minScore, includeInMedian: false, timestamp: nowISO, thresholdUsed })
+            this.finishTrial({
+                type: "early",
+                points: -this.params.minScore,
+                includeInMedian: false,
+                timestamp: nowISO,
+                thresholdUsed,
+                responseKey,
+            })
             return
         }
 
         // Valid press while stimulus is visible
         if (this.state.stimulus.visible && !this.state.stimulus.exiting) {
-            const reactionTime = this.now() - this.state.startTime
+            // Press before an auditory stimulus' sound: an anticipation, scored as early with its negative RT logged
+            const anticipation = DoggoNogoCore.anticipation(this.state, e)
+            if (anticipation !== null) {
+                DoggoNogoCore.clearTrialTimers(this.state)
+                this.state.stimulus.visible = false
+                this.finishTrial({
+                    type: "early",
+                    points: -this.params.minScore,
+                    rt: anticipation,
+                    includeInMedian: false,
+                    timestamp: new Date().toISOString(),
+                    thresholdUsed: this.getEffectiveThreshold(),
+                    responseKey,
+                })
+                return
+            }
+
+            const reactionTime = DoggoNogoCore.reactionTime(this.state, e)
 
             // Stop the per-trial timeout
             if (this.state.currentTrialTimeoutId) {
-                clearTimeout(this.state.currentTrialTimeoutId)
+                DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
                 this.state.currentTrialTimeoutId = null
             }
 
@@ -1267,7 +1447,7 @@ const level1 = {
             // Classify and score
             // Determine threshold for fast/slow
             const threshold = this.getEffectiveThreshold()
-            const trialMaxRT = this.state.maxRT || 2 * this.state.medianRT
+            const trialMaxRT = this.state.maxRT || 2 * this.getBaseThreshold()
 
             if (reactionTime > threshold) {
                 // Slow trial
@@ -1282,7 +1462,7 @@ const level1 = {
                     thresholdUsed: threshold,
                     stimulusX: this.state.stimulus.x,
                     stimulusY: this.state.stimulus.y,
-                    responseKey: "ArrowDown",
+                    responseKey,
                     correct: true,
                 })
                 return
@@ -1294,8 +1474,8 @@ const level1 = {
             const points = this.params.minScore + nRT * (this.params.maxScore - this.params.minScore)
 
             // Feedback and jump/sound
-            DoggoNogoCore.safePlay(this.assets.soundFast)
-            this.jump(reactionTime)
+            DoggoNogoAudio.play(this.assets.soundFast)
+            DoggoNogoCore.jump(this, reactionTime)
 
             const nowISO = new Date().toISOString()
             this.finishTrial({
@@ -1305,7 +1485,7 @@ const level1 = {
                 includeInMedian: true,
                 timestamp: nowISO,
                 thresholdUsed: threshold,
-                responseKey: "ArrowDown",
+                responseKey,
                 correct: true,
             })
         }
@@ -1334,15 +1514,44 @@ const level1 = {
         this.showScoreFeedback(`${sign}${Math.round(points)}`)
     },
     // Removed local clearTrialTimers and startStimulusExit (handled by DoggoNogoCore)
-    safePlay: function (audioEl, reset = true) {
-        if (!audioEl) return
-        try {
-            if (reset) audioEl.currentTime = 0
-            audioEl.play()
-        } catch (e) {}
-    },
     getTrialTypeLabel: function (type) {
         if (type === "timeout") return "Timeout"
         return type.charAt(0).toUpperCase() + type.slice(1)
     },
 }
+
+// Register with the engine so it can be run, preloaded and chained by id
+if (typeof DoggoNogoEngine !== "undefined") {
+    DoggoNogoEngine.registerLevel("level1", level1, {
+        name: "Level 1",
+        startKeys: ["ArrowDown"],
+        responseKeys: ["ArrowDown"],
+        introSequence: () => (typeof level1IntroSequence !== "undefined" ? level1IntroSequence : null),
+        manifest: {
+            images: [
+                "level1/player_1.png",
+                "level1/player_2.png",
+                "level1/player_3.png",
+                "level1/stimulus.png",
+                "level1/background.png",
+                "level1/feedback_slow1.png",
+                "level1/feedback_late1.png",
+                "level1/feedback_early1.png",
+                "level1/feedback_fast1.png",
+                "level1/feedback_fast2.png",
+                "level1/feedback_fast3.png",
+                "level1/intro_background.png",
+            ],
+            audio: [
+                "level1/sound_background.mp3",
+                "level1/sound_fast.mp3",
+                "level1/sound_slow.mp3",
+                "level1/sound_early.mp3",
+                "level1/sound_evolve.mp3",
+                "level1/doggo_whine2.wav",
+                "level1/sound_intro_metaldoor.mp3",
+                "level1/sound_intro_dogwhining.mp3",
+            ],
+        },
+    })
+}
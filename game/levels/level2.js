@@ -4,7 +4,8 @@
  * Cognitive Mapping / Executive Function Rationale
  * ------------------------------------------------
  *  - Level 1 is a simple reaction time task measuring baseline processing speed (single response mapping).
- *  - Level 2 introduces visuo-motor compatibility (Simon) manipulation across phases to tax inhibitory control:
+ *  - Level 2 introduces visuo-motor compatibility (Simon) manipulation across phases to tax inhibitory control
+ *    (default phases; see "Phases" below to declare others):
  *      Phase 1 (index 0): Only CONGRUENT trials (stimulus appears left/right; arrow orientation matches its position).
  *      Phase 2 (index 1): Mixture of CONGRUENT (left/right position with matching orientation) and NEUTRAL trials.
  *                         Neutral trials are vertical (TOP/BOTTOM) spawns; spatial position provides no lateral cue.
@@ -20,19 +21,65 @@
  *      Remaining Phase 3 trials are CONGRUENT. Phase 3 never spawns neutral (vertical) trials.
  *  - These parameters are included in the exported game parameter snapshot.
  *
+ * Phases
+ * ------
+ *  - params.phases declares the phases as an array (any length); null builds the three default phases above from the
+ *    conflict proportions. Each entry:
+ *      mixture   : relative weights of { congruent, neutral, incongruent } trials (default { congruent: 1 }).
+ *      sprite    : player sprite path, relative to the asset base path (e.g., "level2/player_2.png").
+ *      target    : fixed score target for the phase (default: the per-phase target below).
+ *      trials    : stimulus presentations of the phase in progressionMode "trials" (default: perPhaseTrials).
+ *      duration  : length (ms) of the phase in progressionMode "time" (default: params.phaseDuration).
+ *      break     : false to evolve the sprite and carry straight on instead of pausing before the phase (default true).
+ *      breakText : line(s) shown above the prompt during the break before the phase (default: introduces neutral
+ *                  trials when the phase adds them, reminds the relevant feature when it has incongruent ones).
+ *  - The progress bar shows one segment per phase and rows log the 1-based `Phase`.
+ *
+ * Trial Order
+ * -----------
+ *  - params.trialOrder = "random" (default) draws each trial's region, side and difficulty independently at onset.
+ *  - "list" shuffles a trial list per phase up front with the exact proportions of its mixture, one block of
+ *    perPhaseTrials (see below; the phase's `trials` in progressionMode "trials") trials at a time (a phase that needs
+ *    more trials gets another block). Optional constraints: params.maxRunLength (longest run of the same difficulty),
+ *    params.balanceSides (as many left as right trials per difficulty, and top as bottom for neutral ones) and
+ *    params.balanceTransitions (difficulty-to-difficulty transitions as frequent as the proportions imply; see
+ *    DoggoNogoCore.generateTrialList).
+ *  - The generated lists are exported as `state.trialLists` (jsPsych: `trial_lists`); rows log `ListBlock` and
+ *    `ListPosition`.
+ *
+ * Auditory Simon Mode
+ * -------------------
+ *  - params.modality = "auditory" replaces the fishbone with a bark panned hard left or right (the irrelevant spatial
+ *    feature; neutral trials are centered). The relevant feature is its pitch (params.auditoryFeature = "pitch", low
+ *    vs. high playback rate) or which character barks ("character"). LEFT answers the low bark / Doggo and RIGHT the
+ *    high bark / Nogo; params.auditoryMapping = "reversed" swaps them (counterbalance it across participants, the
+ *    instruction screen needs it before the session is seeded). Phases and conflict proportions are the same as in the
+ *    visual mode.
+ *  - Each trial logs `Modality`, `Pan` (-1 left, 0 center, 1 right), `Pitch` (playback rate), `Voice` and
+ *    `AudioOnset` (when the bark reached the speakers, from the audio clock); RTs count from that onset.
+ *  - Panning requires the Web Audio API (see DoggoNogoAudio); a bark that could not be panned (not decoded yet, audio
+ *    context suspended, no StereoPannerNode) plays centered and logs `Pan` NA: its congruency did not apply, so such
+ *    trials should be excluded from Simon-effect analyses (`StimulusRegion` keeps the intended side).
+ *
  * Scoring:
  *  Fast   (<= threshold)                : + scaled between minScore..maxScore
  *  Slow   (> threshold, before timeout) : + minScore/2
  *  Error  (wrong direction)             : - minScore/2
  *  Early  (before stimulus visible)     : - minScore
  *  Timeout (no response)                : 0
- * Only correct fast/slow trials update the adaptive median RT.
+ * Only correct fast/slow trials update the adaptive threshold: the running median RT by default, or another
+ * params.thresholdStrategy (see thresholds.js). Rows log `ThresholdStrategy` and `ThresholdState` (its state after the
+ * trial, JSON).
  *
  * Phase Targets (Simplified)
  * --------------------------
- * perPhaseTrials = ceil(trialsNumber / 3)
- * phaseTarget    = perPhaseTrials * minScore (same for all three phases)
+ * perPhaseTrials = ceil(trialsNumber / number of phases)
+ * phaseTarget    = perPhaseTrials * minScore (same for all phases, unless a phase sets its own `target`)
  * Phase floor scores enforce progression.
+ * params.progressionMode = "trials" (default "score") ends each phase after an exact number of stimulus presentations
+ * instead (early presses do not count), and "time" after params.phaseDuration ms of gameplay (breaks and pauses
+ * excluded; the trial in flight finishes). The score then only motivates (no phase floors) and the progress bar fills
+ * with the phase's presentations or elapsed time.
  */
 
 if (typeof TrialTypes === "undefined") {
@@ -46,10 +93,15 @@ if (typeof TrialTypes === "undefined") {
 
 const level2 = {
     now: function () {
+        if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.clock.now()
         if (typeof jsPsych !== "undefined") return jsPsych.getTotalTime()
         if (typeof performance !== "undefined" && typeof performance.now === "function") return performance.now()
         return Date.now()
     },
+    random: function () {
+        if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.random()
+        return Math.random()
+    },
     params: {
         trialsNumber: 18,
         minTrialsPerPhase: 4,
@@ -58,6 +110,7 @@ const level2 = {
         minScore: 100,
         maxScore: 200,
         gameDifficulty: 1,
+        thresholdStrategy: "median", // adaptive threshold strategy (see thresholds.js)
         populationMean: 300,
         populationSD: 20,
         gravity: 0.5,
@@ -76,12 +129,26 @@ const level2 = {
         // Conflict proportion parameters (see header documentation)
         neutralProportionPhase2: 0.5, // Probability a Phase 2 trial is NEUTRAL (top/bottom). Remainder congruent.
         incongruentProportionPhase3: 0.5, // Probability a Phase 3 horizontal trial is INCONGRUENT. Remainder congruent.
+        phases: null, // Phase definitions (see header documentation); null = the three default phases
+        progressionMode: "score", // "score": phases end at their score target; "trials": after a fixed number of stimuli;
+        // "time": after phaseDuration
+        phaseDuration: 120000, // ms per phase in progressionMode "time"
+        // Trial order (see header documentation): "random" | "list" (pre-generated, counterbalanced per phase)
+        trialOrder: "random",
+        maxRunLength: null, // "list": longest run of the same difficulty (null = unconstrained)
+        balanceSides: true, // "list": equal left/right (and top/bottom) trials per difficulty
+        balanceTransitions: false, // "list": balanced first-order difficulty transitions
+        // Auditory Simon mode (see header documentation)
+        modality: "visual", // "visual" (fishbone) | "auditory" (panned bark)
+        auditoryFeature: "pitch", // relevant feature of the bark: "pitch" | "character"
+        pitchLow: 0.8, // playback rates of the low and high barks (pitch feature)
+        pitchHigh: 1.25,
+        auditoryMapping: "default", // "default": LEFT = low / Doggo, RIGHT = high / Nogo; "reversed" swaps them
     },
     assets: {
         imgPlayer: new Image(),
-        imgPlayer1: new Image(),
-        imgPlayer2: new Image(),
-        imgPlayer3: new Image(),
+        playerSprites: {}, // phase sprites by path (see DoggoNogoCore.phaseSprite)
+        basePath: "",
         // Generic stimulus variants
         imgStimulus1: new Image(),
         imgStimulus2: new Image(),
@@ -93,6 +160,9 @@ const level2 = {
         soundSlow: new Audio(),
         soundBackground: new Audio(),
         soundStart: new Audio(),
+        // Auditory Simon barks (one per character; the first one carries the pitch feature)
+        soundBarkDoggo: new Audio(),
+        soundBarkNogo: new Audio(),
         // Cover (reuse root-level assets if present)
         imgCover: new Image(),
         imgCoverText: new Image(),
@@ -120,6 +190,7 @@ const level2 = {
             width: 50,
             height: 50,
             visible: false,
+            pending: false, // waiting for the next animation frame (see DoggoNogoCore.requestStimulusOnset)
             exiting: false,
             exitType: "catch",
             exitDuration: 200,
@@ -133,8 +204,33 @@ const level2 = {
             img: null,
             region: null, // spawn region: 'left','right','top','bottom'
             difficulty: null, // 'congruent' | 'neutral' | 'incongruent'
+            // Auditory mode: the bark the engine plays at onset, with its stereo pan and playback rate
+            sound: null,
+            soundOptions: null,
+            pan: null, // -1 (left) | 0 (center) | 1 (right)
+            pitch: null, // playback rate
+            voice: null, // 'doggo' | 'nogo'
         },
         startTime: 0,
+        trialPaused: false, // set by DoggoNogoEngine.pause() when the current trial was interrupted
+        trialPauseDuration: 0,
+        // Set by the engine from frame timing during the stimulus window (see DoggoNogoEngine._noteTimingIssue)
+        trialTimingIssue: 0,
+        trialWorstFrameDelay: null, // ms a frame came later than the refresh interval (worst case)
+        trialLongTasks: 0,
+        trialInput: null, // how the current response was given (see DoggoNogoCore.inputInfo)
+        heldResponse: null, // logged keyboard response whose key is still down (see DoggoNogoCore.holdResponse)
+        keyRepeats: 0, // auto-repeated keydowns ignored during the level
+        scheduledOnset: 0,
+        onsetActual: null, // level-clock time of the frame that first drew the stimulus
+        refreshInterval: null, // estimated display refresh interval (ms) at onset
+        audioOnset: null, // level-clock time the bark reached the speakers (auditory mode)
+        audioPan: null, // stereo pan the bark actually played with (set by DoggoNogoEngine.presentPendingStimulus)
+        demoBarkTimers: [], // instruction screen barks (auditory mode), cancelled at start
+        // trialOrder "list": every generated block ({ Phase, Block, Attempts, Violations, Trials, Used }) and the position of
+        // the current trial in the current block
+        trialLists: [],
+        listPosition: null,
         pendingStimulusTimeoutId: null,
         currentTrialTimeoutId: null,
         medianRT: 1000,
@@ -148,8 +244,10 @@ const level2 = {
         breakState: "idle",
         breakStartTime: 0,
         showBreakText: false,
-        phaseRequiredScores: [0, 0, 0],
+        phaseRequiredScores: [],
         phaseFloorScore: 0,
+        phasePresentations: 0, // stimuli presented in the active phase (progressionMode "trials")
+        phaseStartTime: 0, // level-clock start of the active phase (progressionMode "time")
         canvas: null,
         ctx: null,
         endOverlayVisible: false,
@@ -165,7 +263,8 @@ const level2 = {
     initializeDimensions: function (canvas) {
         this.state.canvas = canvas
         this.state.ctx = canvas.getContext("2d")
-        const playerAspect = this.assets.imgPlayer1.naturalWidth / this.assets.imgPlayer1.naturalHeight
+        const firstSprite = DoggoNogoCore.phaseSprite(this, this.getPhases()[0])
+        const playerAspect = firstSprite.naturalWidth / firstSprite.naturalHeight
         this.state.player.height = canvas.height * this.params.playerHeight
         this.state.player.width = this.state.player.height * playerAspect
         const stimAspect = this.assets.imgStimulus1.naturalWidth / this.assets.imgStimulus1.naturalHeight
@@ -211,9 +310,8 @@ const level2 = {
     },
     load: function (canvas, options) {
         const base = (options && options.assetBasePath) || ""
-        this.assets.imgPlayer1.src = base + "level2/player_1.png"
-        this.assets.imgPlayer2.src = base + "level2/player_2.png"
-        this.assets.imgPlayer3.src = base + "level2/player_3.png"
+        this.assets.basePath = base
+        const playerSprites = this.getPhases().map((phase) => DoggoNogoCore.phaseSprite(this, phase))
         this.assets.imgStimulus1.src = base + "level2/stimulus_1.png"
         this.assets.imgStimulus2.src = base + "level2/stimulus_2.png"
         this.assets.imgBackground.src = base + "level2/background.png"
@@ -224,6 +322,8 @@ const level2 = {
         this.assets.soundSlow.src = base + "level2/sound_slow.mp3"
         this.assets.soundBackground.src = base + "level2/Fishbone.mp3"
         this.assets.soundStart.src = base + "sound_start.mp3"
+        this.assets.soundBarkDoggo.src = base + "level1/doggo_whine2.wav"
+        this.assets.soundBarkNogo.src = base + "level1/sound_intro_dogwhining.mp3"
         // Cover assets (same root names as level1)
         this.assets.imgCover.src = base + "cover1_noText.png"
         this.assets.imgCoverText.src = base + "text.png"
@@ -237,9 +337,7 @@ const level2 = {
         this.assets.imgFeedbackEarly.src = base + "level2/feedback_early1.png"
         const assetRefs = [
             // Images
-            this.assets.imgPlayer1,
-            this.assets.imgPlayer2,
-            this.assets.imgPlayer3,
+            ...playerSprites,
             this.assets.imgStimulus1,
             this.assets.imgStimulus2,
             this.assets.imgBackground,
@@ -260,32 +358,10 @@ const level2 = {
             this.assets.soundEvolve,
             this.assets.soundLevelUp,
             this.assets.soundStart,
+            this.assets.soundBarkDoggo,
+            this.assets.soundBarkNogo,
         ]
-        return Promise.all(
-            assetRefs.map(
-                (asset) =>
-                    new Promise((res, rej) => {
-                        if (asset instanceof HTMLImageElement) {
-                            asset.onload = res
-                            asset.onerror = rej
-                        } else if (asset instanceof HTMLAudioElement) {
-                            const done = () => {
-                                // Remove listeners after first success
-                                asset.oncanplaythrough = null
-                                asset.onerror = null
-                                res()
-                            }
-                            asset.oncanplaythrough = done
-                            asset.onerror = (e) => rej(e)
-                            // Some browsers may not fire canplaythrough for very short files; fallback timeout
-                            setTimeout(() => {
-                                if (!asset.readyState || asset.readyState < 3) return // HAVE_FUTURE_DATA
-                                done()
-                            }, 2000)
-                        } else res()
-                    })
-            )
-        ).then(() => {
+        return DoggoNogoCore.loadAssets(assetRefs).then(() => {
             this.initializeDimensions(canvas)
             this.state.player.x = canvas.width / 2 - this.state.player.width / 2
             const centerY = canvas.height * (typeof this.params.playerY === "number" ? this.params.playerY : 0.5)
@@ -308,16 +384,31 @@ const level2 = {
         ctx.font = `bold ${scaleFontPx(50)}px Arial`
         ctx.fillText("Level 2", canvas.width / 2, canvas.height * 0.18)
         ctx.font = `${scaleFontPx(30)}px Arial`
-        const introLines = [
-            "NOGO is on the lookout for fish leftovers.",
-            "Help him catch the fish bones as fast as possible,",
-            "but be careful about the direction!",
-        ]
+        const auditory = this.isAuditory()
+        const introLines = auditory
+            ? ["NOGO is on the lookout for fish leftovers.", "Listen to the barks and answer as fast as possible,", "whichever side they come from!"]
+            : ["NOGO is on the lookout for fish leftovers.", "Help him catch the fish bones as fast as possible,", "but be careful about the direction!"]
         const lh = scaleFontPx(38)
         const startY = canvas.height * 0.3
         introLines.forEach((l, i) => ctx.fillText(l, canvas.width / 2, startY + i * lh))
 
-        // Draw both stimulus variants left and right with direction cues
+        if (auditory) this.drawAuditoryMapping(ctx, canvas, scaleFontPx)
+        else this.drawStimulusMapping(ctx, canvas, scaleFontPx)
+
+        setTimeout(() => {
+            ctx.font = `bold ${scaleFontPx(34)}px Arial`
+            ctx.fillStyle = "#FFEE58"
+            ctx.fillText(
+                DoggoNogoCore.usesPointer()
+                    ? "Tap the screen to start"
+                    : `Press ${DoggoNogoCore.keyLabel("ArrowLeft", "LEFT")} or ${DoggoNogoCore.keyLabel("ArrowRight", "RIGHT")} to start`,
+                canvas.width / 2,
+                canvas.height * 0.88
+            )
+        }, 800)
+    },
+    // Instruction screen: both fishbone variants, left and right, with their response keys
+    drawStimulusMapping: function (ctx, canvas, scaleFontPx) {
         const stimLeft = this.state.leftStimulusImg || this.assets.imgStimulus1
         const stimRight = this.state.rightStimulusImg || this.assets.imgStimulus2 || this.assets.imgStimulus1
         const stimH = Math.min(canvas.height * 0.18, stimLeft.naturalHeight || 100)
@@ -339,67 +430,113 @@ const level2 = {
 
         ctx.font = `${scaleFontPx(26)}px Arial`
         ctx.fillStyle = "#FFD54F"
-        ctx.fillText("Press LEFT for left-pointing fishbone", leftXCenter, midY + stimH * 0.7)
-        ctx.fillText("Press RIGHT for right-pointing fishbone", rightXCenter, midY + stimH * 0.7)
-
-        setTimeout(() => {
-            ctx.font = `bold ${scaleFontPx(34)}px Arial`
-            ctx.fillStyle = "#FFEE58"
-            ctx.fillText("Press LEFT or RIGHT to start", canvas.width / 2, canvas.height * 0.88)
-        }, 800)
+        ctx.fillText(`${DoggoNogoCore.actionPrompt("ArrowLeft", "LEFT", "the LEFT side")} for left-pointing fishbone`, leftXCenter, midY + stimH * 0.7)
+        ctx.fillText(`${DoggoNogoCore.actionPrompt("ArrowRight", "RIGHT", "the RIGHT side")} for right-pointing fishbone`, rightXCenter, midY + stimH * 0.7)
+    },
+    // Instruction screen (auditory mode): the response key of each bark, played once each (centered) so the player
+    // knows what to listen for
+    drawAuditoryMapping: function (ctx, canvas, scaleFontPx) {
+        const left = this.getAuditoryCue("left")
+        const right = this.getAuditoryCue("right")
+        const midY = canvas.height * 0.58
+        ctx.font = `${scaleFontPx(26)}px Arial`
+        ctx.fillStyle = "#FFD54F"
+        ctx.fillText(`${DoggoNogoCore.actionPrompt("ArrowLeft", "LEFT", "the LEFT side")} for ${left.label}`, canvas.width * 0.25, midY)
+        ctx.fillText(`${DoggoNogoCore.actionPrompt("ArrowRight", "RIGHT", "the RIGHT side")} for ${right.label}`, canvas.width * 0.75, midY)
+        // Cancelled at start(): a quick start must not bark during the first ISI
+        this.cancelDemoBarks()
+        this.state.demoBarkTimers = [
+            setTimeout(() => DoggoNogoAudio.play(left.sound, { rate: left.pitch }), 400),
+            setTimeout(() => DoggoNogoAudio.play(right.sound, { rate: right.pitch }), 1400),
+        ]
+    },
+    // Stops the instruction screen barks that have not played yet
+    cancelDemoBarks: function () {
+        this.state.demoBarkTimers.forEach((id) => clearTimeout(id))
+        this.state.demoBarkTimers = []
+    },
+    // Auditory mode: true when the stimulus is a panned bark instead of the fishbone (see header documentation)
+    isAuditory: function () {
+        return this.params.modality === "auditory"
+    },
+    // What the response depends on in the auditory mode (break screens)
+    getBarkFeatureLabel: function () {
+        return this.params.auditoryFeature === "character" ? "WHO barks, not where" : "the PITCH of the bark, not where it comes from"
+    },
+    // Bark answered with the `side` response ("left" | "right"): { voice, pitch, sound, label }
+    getAuditoryCue: function (side) {
+        const first = (side === "left") !== (this.params.auditoryMapping === "reversed")
+        if (this.params.auditoryFeature === "character") {
+            return first
+                ? { voice: "doggo", pitch: 1, sound: this.assets.soundBarkDoggo, label: "DOGGO's bark" }
+                : { voice: "nogo", pitch: 1, sound: this.assets.soundBarkNogo, label: "NOGO's bark" }
+        }
+        return first
+            ? { voice: "doggo", pitch: this.params.pitchLow, sound: this.assets.soundBarkDoggo, label: "the LOW bark" }
+            : { voice: "doggo", pitch: this.params.pitchHigh, sound: this.assets.soundBarkDoggo, label: "the HIGH bark" }
     },
     start: function (canvas, endGameCallback, options) {
         this.state.canvas = canvas
         this.state.ctx = canvas.getContext("2d")
         this.endGameCallback = endGameCallback
         const opts = options || {}
+        this.cancelDemoBarks()
         this.state.score = 0
         this.state.reactionTimes = []
         this.state.trials = 0
+        // No stimulus carries over from a previous run (e.g., one that ended while it was still on screen)
+        this.state.stimulus.visible = false
+        this.state.stimulus.exiting = false
+        this.state.stimulus.pending = false
+        this.state.keyRepeats = 0
+        this.state.heldResponse = null
+        this.state.trialLists = []
+        this.state.listPosition = null
         if (Array.isArray(this.state.data)) this.state.data.length = 0
         else this.state.data = []
         this.state.gameState = "playing"
         this.state.phaseIndex = 0
         this.state.inBreak = false
         // Simplified phase target logic (constant per-phase target):
-        // We divide the theoretical total number of valid trials (trialsNumber) equally across 3 phases.
+        // We divide the theoretical total number of valid trials (trialsNumber) equally across the phases.
         // Each phase target = (trials per phase) * minScore (i.e., assuming all those trials would at least be minScore events).
-        const perPhaseTrials = Math.ceil(this.params.trialsNumber / 3)
-        const targetPerPhase = perPhaseTrials * this.params.minScore
-        this.state.phaseRequiredScores = [targetPerPhase, targetPerPhase, targetPerPhase]
+        this.state.phaseRequiredScores = this.getPhases().map((phase, i) => this.computePhaseTarget(i))
         this.state.showContinueButton = !!opts.showContinueButton
         this.state.continueLabel = typeof opts.continueLabel === "string" ? opts.continueLabel : "Continue"
         this.state.endOverlayVisible = false
         this.state.medianRT = 1000
-        this.state.maxRT = 2000
+        this.thresholdStrategy = DoggoNogoThresholds.create(this.params.thresholdStrategy)
+        this.state.maxRT = 2 * this.getBaseThreshold()
         this.state.phaseFloorScore = 0
+        this.state.phasePresentations = 0
         // phaseRequiredScores already initialized above
-        if (this.state.pendingStimulusTimeoutId) clearTimeout(this.state.pendingStimulusTimeoutId)
-        if (this.state.currentTrialTimeoutId) clearTimeout(this.state.currentTrialTimeoutId)
+        if (this.state.pendingStimulusTimeoutId) DoggoNogoCore.clearTimer(this.state.pendingStimulusTimeoutId)
+        if (this.state.currentTrialTimeoutId) DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
         // (Re)initialize sounds
         this.boundKeyDownHandler = this.handleKeyDown.bind(this)
         document.addEventListener("keydown", this.boundKeyDownHandler)
-        this.boundClickHandler = this.handleClick.bind(this)
+        // Key-ups complete the held response's duration, including after the level ended (the last response)
+        if (this.boundKeyUpHandler) document.removeEventListener("keyup", this.boundKeyUpHandler)
+        this.boundKeyUpHandler = this.handleKeyUp.bind(this)
+        document.addEventListener("keyup", this.boundKeyUpHandler)
+        this.boundClickHandler = (e) => DoggoNogoCore.handleEndClick(this, e)
         canvas.addEventListener("click", this.boundClickHandler)
         if (typeof window !== "undefined") {
             window.level2Data = this.state.data
             window.getLevel2Data = () => this.state.data
         }
-        this.assets.imgPlayer = this.assets.imgPlayer1
+        this.assets.imgPlayer = DoggoNogoCore.phaseSprite(this, this.getPhase())
         // Decide which stimulus variant goes on which side ONCE per level start
-        if (Math.random() < 0.5) {
+        if (this.random() < 0.5) {
             this.state.leftStimulusImg = this.assets.imgStimulus1
             this.state.rightStimulusImg = this.assets.imgStimulus2
         } else {
             this.state.leftStimulusImg = this.assets.imgStimulus2
             this.state.rightStimulusImg = this.assets.imgStimulus1
         }
-        // Start background music (simple HTMLAudio loop, same as level1)
-        try {
-            this.assets.soundBackground.loop = true
-            // Do not forcibly reset currentTime to preserve seamless carry if already loaded (match level1)
-            if (this.assets.soundBackground.paused) this.assets.soundBackground.play()
-        } catch (e) {}
+        // Start background music (looping; keeps playing if the same track already is)
+        DoggoNogoAudio.playMusic(this.assets.soundBackground)
+        this.state.phaseStartTime = this.now()
         this.startNewTrial()
     },
     update: function () {
@@ -430,7 +567,9 @@ const level2 = {
         this.drawScoreFeedback()
         DoggoNogoCore.drawParticles(this)
         this.drawFeedbackBubbles()
-        if (this.state.gameState === "done" && this.state.endOverlayVisible && this.state.showContinueButton) this.drawEndOverlay()
+        if (this.state.gameState === "done" && this.state.endOverlayVisible && this.state.showContinueButton) {
+            DoggoNogoCore.drawEndOverlay(this)
+        }
         if (this.state.inBreak) this.drawBreakOverlay()
     },
     drawParticles: function () {
@@ -484,21 +623,26 @@ const level2 = {
         if (this.state.showBreakText) {
             this.state.ctx.textAlign = "center"
             // Phase-specific instructional messaging
+            const breakText = this.getPhase().breakText
+            const mixture = this.getPhaseMixture()
             let lines
-            if (this.state.phaseIndex === 1) {
-                // After completing Phase 1 (entering Phase 2): introduce vertical / neutral trials
+            if (breakText) {
+                lines = [].concat(breakText, "", `${DoggoNogoCore.actionPrompt("Space")} to continue`)
+            } else if (mixture.neutral > 0 && !(this.getPhaseMixture(this.state.phaseIndex - 1).neutral > 0)) {
+                // Entering the first phase with neutral trials (Phase 2 by default): introduce vertical / neutral trials
                 lines = [
-                    "The bone can now also appear above or below!",
-                    "Respond according to its DIRECTION (left/right).",
+                    this.isAuditory() ? "The barks can now also come from straight ahead!" : "The bone can now also appear above or below!",
+                    this.isAuditory() ? `Respond according to ${this.getBarkFeatureLabel()}.` : "Respond according to its DIRECTION (left/right).",
                     "",
-                    "Press SPACE to continue",
+                    `${DoggoNogoCore.actionPrompt("Space")} to continue`,
                 ]
-            } else if (this.state.phaseIndex === 2) {
-                // After completing Phase 2 (entering Phase 3): introduce incongruent horizontal trials
-                lines = ["Don't forget to respond according to the DIRECTION of the bone (left/right).", "", "Press SPACE to continue"]
+            } else if (mixture.incongruent > 0) {
+                // Entering a phase with incongruent horizontal trials (Phase 3 by default)
+                const feature = this.isAuditory() ? this.getBarkFeatureLabel() : "the DIRECTION of the bone (left/right)"
+                lines = [`Don't forget to respond according to ${feature}.`, "", `${DoggoNogoCore.actionPrompt("Space")} to continue`]
             } else {
                 // Default / other breaks
-                lines = ["Press SPACE to continue"]
+                lines = [`${DoggoNogoCore.actionPrompt("Space")} to continue`]
             }
             // Dynamic font sizing relative to canvas
             const baseSize = this.state.canvas.height * 0.045
@@ -515,40 +659,10 @@ const level2 = {
         }
         this.state.ctx.restore()
     },
-    drawEndOverlay: function () {
-        const ctx = this.state.ctx
-        const canvas = this.state.canvas
-        ctx.save()
-        ctx.fillStyle = "rgba(0,0,0,0.6)"
-        ctx.fillRect(0, 0, canvas.width, canvas.height)
-        const cX = canvas.width / 2
-        const cY = canvas.height / 2
-        const rts = this.state.reactionTimes
-        const avg = rts.length ? rts.reduce((a, b) => a + b, 0) / rts.length : 0
-        ctx.fillStyle = "#fff"
-        ctx.textAlign = "center"
-        ctx.font = `${Math.round(canvas.height * 0.06)}px Arial`
-        ctx.fillText("Level Complete", cX, cY - canvas.height * 0.12)
-        ctx.font = `${Math.round(canvas.height * 0.035)}px Arial`
-        ctx.fillText(`Average RT: ${avg.toFixed(1)} ms`, cX, cY - canvas.height * 0.06)
-        const btnW = Math.round(canvas.width * 0.25)
-        const btnH = Math.round(canvas.height * 0.08)
-        const btnX = Math.round(cX - btnW / 2)
-        const btnY = Math.round(cY)
-        this.state.endButtonRect = { x: btnX, y: btnY, w: btnW, h: btnH }
-        ctx.fillStyle = "#2196F3"
-        ctx.strokeStyle = "#0b79d0"
-        ctx.lineWidth = 2
-        ctx.fillRect(btnX, btnY, btnW, btnH)
-        ctx.strokeRect(btnX, btnY, btnW, btnH)
-        ctx.fillStyle = "#fff"
-        ctx.font = `${Math.round(btnH * 0.45)}px Arial`
-        ctx.fillText(this.state.continueLabel || "Continue", cX, btnY + Math.round(btnH * 0.66))
-        ctx.restore()
-    },
     drawStimulus: function () {
         const stim = this.state.stimulus
-        if (!stim.visible && !stim.exiting) return
+        // The auditory mode's bark has no visual counterpart
+        if ((!stim.visible && !stim.exiting) || this.isAuditory()) return
         const img = stim.img || this.assets.imgStimulus1
         const drawOne = (x, y, w, h, side, alpha = 1) => {
             const ctx = this.state.ctx
@@ -594,47 +708,40 @@ const level2 = {
         this.state.ctx.clearRect(0, 0, this.state.canvas.width, this.state.canvas.height)
     },
     startNewTrial: function () {
-        const delay = Math.random() * (this.params.maxISI - this.params.minISI) + this.params.minISI
-        if (this.state.pendingStimulusTimeoutId) clearTimeout(this.state.pendingStimulusTimeoutId)
-        this.state.pendingStimulusTimeoutId = setTimeout(() => {
+        this.state.trialPaused = false
+        this.state.trialPauseDuration = 0
+        this.state.trialTimingIssue = 0
+        this.state.trialWorstFrameDelay = null
+        this.state.trialLongTasks = 0
+        this.state.trialInput = null
+        this.state.stimulus.pending = false
+        this.state.onsetActual = null
+        this.state.refreshInterval = null
+        this.state.audioOnset = null
+        this.state.listPosition = null
+        const delay = this.random() * (this.params.maxISI - this.params.minISI) + this.params.minISI
+        this.state.scheduledOnset = this.now() + delay
+        if (this.state.pendingStimulusTimeoutId) DoggoNogoCore.clearTimer(this.state.pendingStimulusTimeoutId)
+        this.state.pendingStimulusTimeoutId = DoggoNogoCore.setTimer(() => {
             this.state.pendingStimulusTimeoutId = null
             const stim = this.state.stimulus
-            let region, side, difficulty
-            if (this.state.phaseIndex === 0) {
-                // Phase 1: only congruent horizontal trials
-                region = Math.random() < 0.5 ? "left" : "right"
-                side = region
-                difficulty = "congruent"
-            } else if (this.state.phaseIndex === 1) {
-                // Phase 2: mixture of congruent horizontal and neutral vertical trials
-                const pNeutral = Math.min(1, Math.max(0, this.params.neutralProportionPhase2 || 0))
-                const isNeutral = Math.random() < pNeutral
-                if (isNeutral) {
-                    region = Math.random() < 0.5 ? "top" : "bottom"
-                    side = Math.random() < 0.5 ? "left" : "right" // orientation independent of vertical location
-                    difficulty = "neutral"
-                } else {
-                    region = Math.random() < 0.5 ? "left" : "right"
-                    side = region // congruent
-                    difficulty = "congruent"
-                }
-            } else {
-                // Phase 3: mixture of congruent & incongruent horizontal (no neutral)
-                const pIncong = Math.min(1, Math.max(0, this.params.incongruentProportionPhase3 || 0))
-                region = Math.random() < 0.5 ? "left" : "right"
-                const isIncong = Math.random() < pIncong
-                if (isIncong) {
-                    side = region === "left" ? "right" : "left" // opposite = incongruent
-                    difficulty = "incongruent"
-                } else {
-                    side = region
-                    difficulty = "congruent"
-                }
-            }
+            let { region, side, difficulty } = this.params.trialOrder === "list" ? this.nextListedTrial() : this.drawTrial()
+            // Auditory mode: neutral barks come from the middle (no lateral cue), like vertical spawns
+            if (this.isAuditory() && (region === "top" || region === "bottom")) region = "center"
             stim.region = region
             stim.side = side
             stim.difficulty = difficulty
             stim.img = side === "left" ? this.state.leftStimulusImg : this.state.rightStimulusImg
+            if (this.isAuditory()) {
+                const cue = this.getAuditoryCue(side)
+                stim.pan = region === "left" ? -1 : region === "right" ? 1 : 0
+                stim.pitch = cue.pitch
+                stim.voice = cue.voice
+                stim.sound = cue.sound
+                stim.soundOptions = { pan: stim.pan, rate: stim.pitch }
+            } else {
+                stim.pan = stim.pitch = stim.voice = stim.sound = stim.soundOptions = null
+            }
             // Compute position based on region
             let centerX = this.state.canvas.width * 0.5
             let centerY = this.state.canvas.height * 0.5
@@ -645,41 +752,121 @@ const level2 = {
             stim.y = centerY - stim.height / 2
             stim.initialY = stim.y
             stim.x = centerX - stim.width / 2
-            this.state.stimulus.visible = true
-            this.state.stimulus.exiting = false
-            this.state.startTime = this.now()
-            // Marker flash on stimulus onset
-            if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.flashMarker === "function") {
-                DoggoNogoEngine.flashMarker()
-            }
-            this.state.trials++
-            this.state.maxRT = 2 * this.state.medianRT
-            if (this.state.currentTrialTimeoutId) clearTimeout(this.state.currentTrialTimeoutId)
-            this.state.currentTrialTimeoutId = setTimeout(() => {
-                this.state.currentTrialTimeoutId = null
-                if (this.state.gameState !== "playing") return
-                if (this.state.stimulus.visible) {
-                    this.state.stimulus.visible = false
-                    this.state.stimulus.exiting = true
-                    this.state.stimulus.exitType = "timeout"
-                    this.state.stimulus.exitStartTime = this.now()
-                    this.state.stimulus.exitInitialX = this.state.stimulus.x
-                    this.state.stimulus.exitInitialY = this.state.stimulus.y
-                    this.state.stimulus.exitInitialWidth = this.state.stimulus.width
-                    this.state.stimulus.exitInitialHeight = this.state.stimulus.height
-                }
-                this.finishTrial({
-                    type: TrialTypes.TIMEOUT,
-                    points: 0,
-                    includeInMedian: false,
-                    stimulusX: this.state.stimulus.x,
-                    stimulusY: this.state.stimulus.y,
-                    stimulusRegion: this.state.stimulus.region,
-                    timestamp: new Date().toISOString(),
-                })
-            }, this.state.maxRT)
+            DoggoNogoCore.requestStimulusOnset(this)
         }, delay)
     },
+    // Draws the next trial's spawn region, orientation and difficulty independently (trialOrder "random") from the
+    // phase's mixture: neutral (vertical) or not first, then the horizontal side, then whether it conflicts. Outcomes
+    // that cannot differ draw no random number.
+    drawTrial: function () {
+        const mixture = this.getPhaseMixture()
+        let region, side, difficulty
+        const isNeutral = mixture.neutral >= 1 || (mixture.neutral > 0 && this.random() < mixture.neutral)
+        if (isNeutral) {
+            region = this.random() < 0.5 ? "top" : "bottom"
+            side = this.random() < 0.5 ? "left" : "right" // orientation independent of vertical location
+            difficulty = "neutral"
+        } else {
+            region = this.random() < 0.5 ? "left" : "right"
+            const horizontal = mixture.congruent + mixture.incongruent
+            const pIncong = horizontal > 0 ? mixture.incongruent / horizontal : 0
+            const isIncong = pIncong >= 1 || (pIncong > 0 && this.random() < pIncong)
+            side = isIncong ? (region === "left" ? "right" : "left") : region // opposite = incongruent
+            difficulty = isIncong ? "incongruent" : "congruent"
+        }
+        return { region, side, difficulty }
+    },
+    // Next trial of the current phase's pre-generated list (trialOrder "list"), generating a new block when the phase
+    // has none left
+    nextListedTrial: function () {
+        let list = this.state.trialLists[this.state.trialLists.length - 1]
+        if (!list || list.Phase !== this.state.phaseIndex + 1 || list.Used >= list.Trials.length) {
+            const blocks = this.state.trialLists.filter((l) => l.Phase === this.state.phaseIndex + 1).length
+            list = this.generateTrialList(this.state.phaseIndex)
+            list.Block = blocks + 1
+            this.state.trialLists.push(list)
+        }
+        this.state.listPosition = list.Used + 1
+        const trial = list.Trials[list.Used++]
+        return { region: trial.Region, side: trial.Side, difficulty: trial.Difficulty }
+    },
+    // One block of a phase's trial list: perPhaseTrials trials (the phase's trial count in progressionMode "trials") with
+    // the exact proportions of the phase's mixture, shuffled under the sequence constraints (see header documentation)
+    generateTrialList: function (phaseIdx) {
+        const trialsMode = DoggoNogoCore.usesTrialProgression(this)
+        const n = Math.max(1, trialsMode ? DoggoNogoCore.phaseTrialCount(this, phaseIdx) : this.getPerPhaseTrials())
+        const mixture = this.getPhaseMixture(phaseIdx)
+        const nNeutral = Math.round(mixture.neutral * n)
+        const nIncong = Math.min(n - nNeutral, Math.round(mixture.incongruent * n))
+        const nCong = n - nNeutral - nIncong
+        // Halves of `count` trials (the odd one out drawn at random), or independent draws without balancing
+        const split = (count, a, b) => {
+            if (!this.params.balanceSides) return Array.from({ length: count }, () => (this.random() < 0.5 ? a : b))
+            const values = []
+            for (let i = 0; i < count; i++) values.push(i % 2 === 0 ? a : b)
+            return DoggoNogoCore.shuffle(values)
+        }
+        const trials = []
+        split(nCong, "left", "right").forEach((region) => trials.push({ Region: region, Side: region, Difficulty: "congruent" }))
+        const regions = split(nNeutral, "top", "bottom")
+        split(nNeutral, "left", "right").forEach((side, i) => trials.push({ Region: regions[i], Side: side, Difficulty: "neutral" }))
+        split(nIncong, "left", "right").forEach((region) =>
+            trials.push({ Region: region, Side: region === "left" ? "right" : "left", Difficulty: "incongruent" })
+        )
+        // Sequence constraints are on difficulty, so they only apply when the block mixes several of them
+        const mixed = [nCong, nNeutral, nIncong].filter((count) => count > 0).length > 1
+        const result = DoggoNogoCore.generateTrialList(trials, {
+            conditionOf: (t) => t.Difficulty,
+            maxRunLength: mixed ? this.params.maxRunLength : null,
+            balanceTransitions: mixed && this.params.balanceTransitions,
+        })
+        if (result.violations) console.warn(`Level 2 phase ${phaseIdx + 1} trial list violates ${result.violations} sequence constraint(s)`)
+        return { Phase: phaseIdx + 1, Block: 1, Attempts: result.attempts, Violations: result.violations, Trials: result.trials, Used: 0 }
+    },
+    // Shows the prepared stimulus at `onsetTime` (level-clock time of the frame that first draws it, see
+    // DoggoNogoEngine.presentPendingStimulus) and starts the response window. In the auditory mode RTs count from
+    // `audioOnset`, when the bark reached the speakers (the frame when unknown)
+    showStimulus: function (onsetTime, audioOnset) {
+        this.state.stimulus.pending = false
+        this.state.stimulus.visible = true
+        this.state.stimulus.exiting = false
+        this.state.phasePresentations++
+        this.state.audioOnset = this.isAuditory() && typeof audioOnset === "number" ? audioOnset : null
+        const startTime = this.state.audioOnset !== null ? this.state.audioOnset : onsetTime
+        this.state.startTime = startTime
+        this.state.onsetActual = onsetTime
+        this.state.trials++
+        // Marker flash and session recording on stimulus onset
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.stimulusOnset === "function") {
+            DoggoNogoEngine.stimulusOnset(this)
+        }
+        this.state.maxRT = 2 * this.getBaseThreshold()
+        if (this.state.currentTrialTimeoutId) DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
+        this.state.currentTrialTimeoutId = DoggoNogoCore.setTimer(() => {
+            this.state.currentTrialTimeoutId = null
+            if (this.state.gameState !== "playing") return
+            if (this.state.stimulus.visible) {
+                this.state.stimulus.visible = false
+                this.state.stimulus.exiting = true
+                this.state.stimulus.exitType = "timeout"
+                this.state.stimulus.exitStartTime = this.now()
+                this.state.stimulus.exitInitialX = this.state.stimulus.x
+                this.state.stimulus.exitInitialY = this.state.stimulus.y
+                this.state.stimulus.exitInitialWidth = this.state.stimulus.width
+                this.state.stimulus.exitInitialHeight = this.state.stimulus.height
+            }
+            this.finishTrial({
+                type: TrialTypes.TIMEOUT,
+                points: 0,
+                includeInMedian: false,
+                stimulusX: this.state.stimulus.x,
+                stimulusY: this.state.stimulus.y,
+                stimulusRegion: this.state.stimulus.region,
+                timestamp: new Date().toISOString(),
+                thresholdUsed: this.getEffectiveThreshold(),
+            })
+        }, Math.max(0, this.state.maxRT - (this.now() - startTime)))
+    },
     finishTrial: function (outcome) {
         this.state.score += outcome.points
         if (typeof this.state.phaseFloorScore === "number") this.state.score = Math.max(this.state.score, this.state.phaseFloorScore)
@@ -689,9 +876,19 @@ const level2 = {
         if (outcome.includeInMedian && typeof outcome.rt === "number" && (outcome.correct === undefined || outcome.correct === true)) {
             this.state.reactionTimes.push(outcome.rt)
             this.state.medianRT = this.computeMedian(this.state.reactionTimes)
+            this.thresholdStrategy.update({ rt: outcome.rt, fast: outcome.type === TrialTypes.FAST, threshold: outcome.thresholdUsed })
+        } else if (outcome.type === TrialTypes.TIMEOUT || outcome.type === TrialTypes.SLOW) {
+            // Misses (no response, or one slower than the trial's maxRT) count as slow for the stepwise strategies
+            this.thresholdStrategy.update({
+                rt: typeof outcome.rt === "number" ? outcome.rt : null,
+                fast: false,
+                threshold: outcome.thresholdUsed,
+                miss: true,
+            })
         }
         if (outcome.timestamp) {
-            const rtVal = outcome.type === "early" || outcome.type === "timeout" || outcome.type === "error" ? null : outcome.rt
+            // Early presses have no RT, except anticipations of an auditory stimulus (negative, see DoggoNogoCore.anticipation)
+            const rtVal = outcome.type === "timeout" || outcome.type === "error" || typeof outcome.rt !== "number" ? null : outcome.rt
             this.state.data.push({
                 Level: "level 2",
                 Phase: this.state.phaseIndex + 1,
@@ -701,12 +898,18 @@ const level2 = {
                 RT: rtVal === null ? "NA" : rtVal,
                 Error: outcome.type === "early" || outcome.type === "timeout" || outcome.type === "error" ? 1 : 0,
                 Threshold: typeof outcome.thresholdUsed === "number" ? outcome.thresholdUsed : this.getEffectiveThreshold(),
+                ThresholdStrategy: this.thresholdStrategy.type,
+                ThresholdState: JSON.stringify(this.thresholdStrategy.snapshot()), // after this trial
                 Score: this.state.score,
                 ScoreChange: outcome.points,
                 StimulusSide: this.state.stimulus.side,
                 StimulusRegion: this.state.stimulus.region,
                 Difficulty: this.state.stimulus.difficulty || "NA",
                 ResponseKey: outcome.responseKey || "NA",
+                // "keyboard" or the pointer type ("touch", "mouse", "pen"), and the tap position (percent of canvas)
+                InputType: this.state.trialInput ? this.state.trialInput.type : "NA",
+                PointerX: this.state.trialInput ? this.state.trialInput.x : null,
+                PointerY: this.state.trialInput ? this.state.trialInput.y : null,
                 Correct: typeof outcome.correct === "boolean" ? (outcome.correct ? 1 : 0) : "NA",
                 StimulusX:
                     this.state.canvas && this.state.canvas.width
@@ -720,8 +923,30 @@ const level2 = {
                         : null,
                 CanvasWidth: this.state.canvas ? this.state.canvas.width : null,
                 CanvasHeight: this.state.canvas ? this.state.canvas.height : null,
+                Paused: this.state.trialPaused ? 1 : 0,
+                PauseDuration: this.state.trialPauseDuration,
+                OnsetRequested: this.state.onsetActual !== null ? this.state.scheduledOnset : "NA",
+                OnsetActual: this.state.onsetActual !== null ? this.state.onsetActual : "NA",
+                OnsetDelay: this.state.onsetActual !== null ? this.state.onsetActual - this.state.scheduledOnset : "NA",
+                RefreshInterval: this.state.onsetActual !== null && this.state.refreshInterval !== null ? this.state.refreshInterval : "NA",
+                // Auditory mode: the bark's stereo pan, playback rate and character, and when it reached the speakers
+                Modality: this.isAuditory() ? "auditory" : "visual",
+                Pan: this.state.onsetActual !== null && this.isAuditory() && this.state.audioPan !== null ? this.state.audioPan : "NA",
+                Pitch: this.state.onsetActual !== null && this.state.stimulus.pitch !== null ? this.state.stimulus.pitch : "NA",
+                Voice: this.state.onsetActual !== null && this.state.stimulus.voice !== null ? this.state.stimulus.voice : "NA",
+                AudioOnset: this.state.audioOnset !== null ? this.state.audioOnset : "NA",
+                // trialOrder "list": block of the phase's trial list and position in it (see state.trialLists)
+                ListBlock: this.state.listPosition !== null ? this.state.trialLists[this.state.trialLists.length - 1].Block : "NA",
+                ListPosition: this.state.listPosition !== null ? this.state.listPosition : "NA",
+                ResponseDuration: "NA",
+                KeyRepeats: 0,
+                TimingIssue: this.state.trialTimingIssue,
+                WorstFrameDelay: this.state.trialWorstFrameDelay !== null ? this.state.trialWorstFrameDelay : "NA",
+                LongTasks: this.state.trialLongTasks,
             })
+            DoggoNogoCore.holdResponse(this.state)
         }
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.trialOutcome === "function") DoggoNogoEngine.trialOutcome(this, outcome)
         this._checkForPhaseOrLevelEnd()
     },
     _handleTrialOutcomeFeedback: function (outcome) {
@@ -759,13 +984,37 @@ const level2 = {
         DoggoNogoCore.drawFeedbackBubbles(this)
     },
     _checkForPhaseOrLevelEnd: function () {
-        const epsilon = 1e-6
-        const currentPhaseTarget = this.ensurePhaseTarget()
-        if (this.state.score + epsilon >= this.state.phaseFloorScore + currentPhaseTarget) {
-            if (this.state.phaseIndex < 2) this.startPhaseBreak()
+        if (DoggoNogoCore.isPhaseComplete(this)) {
+            if (this.state.phaseIndex < this.getPhases().length - 1) this.startPhaseBreak()
             else this.endLevel()
         } else this.startNewTrial()
     },
+    // Phase definitions: params.phases, or the three default phases built from the conflict proportions
+    getPhases: function () {
+        if (Array.isArray(this.params.phases) && this.params.phases.length > 0) return this.params.phases
+        const pNeutral = Math.min(1, Math.max(0, this.params.neutralProportionPhase2 || 0))
+        const pIncong = Math.min(1, Math.max(0, this.params.incongruentProportionPhase3 || 0))
+        return [
+            { mixture: { congruent: 1 }, sprite: "level2/player_1.png" },
+            { mixture: { congruent: 1 - pNeutral, neutral: pNeutral }, sprite: "level2/player_2.png" },
+            { mixture: { congruent: 1 - pIncong, incongruent: pIncong }, sprite: "level2/player_3.png" },
+        ]
+    },
+    getPhase: function (phaseIdx = this.state.phaseIndex) {
+        const phases = this.getPhases()
+        return phases[Math.min(Math.max(0, phaseIdx), phases.length - 1)]
+    },
+    // Normalized { congruent, neutral, incongruent } proportions of a phase (all congruent when unspecified)
+    getPhaseMixture: function (phaseIdx = this.state.phaseIndex) {
+        const weights = this.getPhase(phaseIdx).mixture || {}
+        const w = (k) => Math.max(0, Number(weights[k]) || 0)
+        const total = w("congruent") + w("neutral") + w("incongruent")
+        if (!(total > 0)) return { congruent: 1, neutral: 0, incongruent: 0 }
+        return { congruent: w("congruent") / total, neutral: w("neutral") / total, incongruent: w("incongruent") / total }
+    },
+    getPerPhaseTrials: function () {
+        return Math.ceil(this.params.trialsNumber / this.getPhases().length)
+    },
     getPhaseTargets: function () {
         // All phase targets are fixed & precomputed now.
         return this.state.phaseRequiredScores.slice()
@@ -774,25 +1023,24 @@ const level2 = {
         return this.state.phaseRequiredScores[this.state.phaseIndex]
     },
     computePhaseTarget: function (phaseIdx) {
-        // With simplified logic, return the fixed per-phase target.
-        const perPhaseTrials = Math.ceil(this.params.trialsNumber / 3)
-        return perPhaseTrials * this.params.minScore
+        // With simplified logic, return the fixed per-phase target (or the phase's own).
+        const fixed = this.getPhase(phaseIdx).target
+        if (typeof fixed === "number" && fixed > 0) return fixed
+        return this.getPerPhaseTrials() * this.params.minScore
+    },
+    // Threshold strategy's current threshold (ms), before gameDifficulty; the running median before start
+    getBaseThreshold: function () {
+        return this.thresholdStrategy ? this.thresholdStrategy.threshold() : this.state.medianRT
     },
     getEffectiveThreshold: function () {
         const d = this.params.gameDifficulty && this.params.gameDifficulty > 0 ? this.params.gameDifficulty : 1
-        return this.state.medianRT / d
+        return this.getBaseThreshold() / d
     },
     updateBreak: function () {
         const now = this.now()
         const elapsed = now - this.state.breakStartTime
         if (this.state.breakState === "started" && elapsed > 1000) {
-            if (this.state.phaseIndex === 1) this.assets.imgPlayer = this.assets.imgPlayer2
-            else if (this.state.phaseIndex === 2) this.assets.imgPlayer = this.assets.imgPlayer3
-            // Red sparkles
-            const cx = this.state.player.x + this.state.player.width / 2
-            const cy = this.state.player.y + this.state.player.height / 2
-            this.createRedSparkles(cx, cy, 40)
-            DoggoNogoCore.safePlay(this.assets.soundEvolve)
+            this.evolvePlayer()
             this.state.breakState = "effects" // still reuse state names for simplicity
         }
         if (this.state.breakState === "effects" && elapsed > 2000) {
@@ -800,6 +1048,15 @@ const level2 = {
             this.state.breakState = "ready"
         }
     },
+    // Switches to the active phase's sprite with red sparkles and the evolution sound
+    evolvePlayer: function () {
+        this.assets.imgPlayer = DoggoNogoCore.phaseSprite(this, this.getPhase())
+        // Red sparkles
+        const cx = this.state.player.x + this.state.player.width / 2
+        const cy = this.state.player.y + this.state.player.height / 2
+        this.createRedSparkles(cx, cy, 40)
+        DoggoNogoAudio.play(this.assets.soundEvolve)
+    },
     createRedSparkles: function (x, y, count) {
         DoggoNogoCore.createParticles(this, x, y, count, {
             speedMin: 1,
@@ -814,8 +1071,9 @@ const level2 = {
     updateParticles: function () {
         DoggoNogoCore.updateParticles(this)
     },
+    // Phases declared with `break: false` start right away, with the evolution effects but no pause
     startPhaseBreak: function () {
-        this.state.phaseIndex = Math.min(2, this.state.phaseIndex + 1)
+        this.state.phaseIndex = Math.min(this.getPhases().length - 1, this.state.phaseIndex + 1)
         this.state.inBreak = true
         this.state.breakState = "started"
         this.state.breakStartTime = this.now()
@@ -824,20 +1082,29 @@ const level2 = {
         if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
         this.state.stimulus.visible = false
         this.state.stimulus.exiting = false
-        if (this.state.phaseIndex === 1) {
-            this.state.phaseFloorScore = this.state.phaseRequiredScores[0]
+        const targets = this.state.phaseRequiredScores
+        targets[this.state.phaseIndex] = this.computePhaseTarget(this.state.phaseIndex)
+        // Score floors only drive progression in progressionMode "score"
+        if (DoggoNogoCore.progressionMode(this) === "score") {
+            this.state.phaseFloorScore = targets.slice(0, this.state.phaseIndex).reduce((a, b) => a + b, 0)
             this.state.score = this.state.phaseFloorScore
-            this.state.phaseRequiredScores[1] = this.computePhaseTarget(1)
-        } else if (this.state.phaseIndex === 2) {
-            this.state.phaseFloorScore = this.state.phaseRequiredScores[0] + this.state.phaseRequiredScores[1]
-            this.state.score = this.state.phaseFloorScore
-            this.state.phaseRequiredScores[2] = this.computePhaseTarget(2)
+        }
+        this.state.phasePresentations = 0
+        if (this.getPhase().break === false) {
+            this.state.inBreak = false
+            this.state.breakState = "idle"
+            this.evolvePlayer()
+            if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.phaseStart === "function") DoggoNogoEngine.phaseStart(this)
+            this.state.phaseStartTime = this.now()
+            this.startNewTrial()
         }
     },
     resumeFromBreak: function () {
         if (!this.state.inBreak || this.state.breakState !== "ready") return
         this.state.inBreak = false
         this.state.breakState = "idle"
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.phaseStart === "function") DoggoNogoEngine.phaseStart(this)
+        this.state.phaseStartTime = this.now()
         this.startNewTrial()
     },
     computeMedian: function (arr) {
@@ -848,11 +1115,8 @@ const level2 = {
     },
     endLevel: function () {
         this.state.gameState = "done"
-        DoggoNogoCore.safePlay(this.assets.soundLevelUp)
-        try {
-            this.assets.soundBackground.pause()
-            this.assets.soundBackground.currentTime = 0
-        } catch (e) {}
+        DoggoNogoAudio.play(this.assets.soundLevelUp)
+        DoggoNogoAudio.stopMusic()
         document.removeEventListener("keydown", this.boundKeyDownHandler)
         if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
         if (this.state.showContinueButton) {
@@ -861,51 +1125,40 @@ const level2 = {
         }
         this.endGameCallback(this.state)
     },
-    handleClick: function (e) {
-        if (!(this.state.gameState === "done" && this.state.endOverlayVisible && this.state.showContinueButton)) return
-        const rect = this.state.canvas.getBoundingClientRect()
-        const scaleX = this.state.canvas.width / rect.width
-        const scaleY = this.state.canvas.height / rect.height
-        const x = (e.clientX - rect.left) * scaleX
-        const y = (e.clientY - rect.top) * scaleY
-        const btn = this.state.endButtonRect
-        if (x >= btn.x && x <= btn.x + btn.w && y >= btn.y && y <= btn.y + btn.h) {
-            this.state.endOverlayVisible = false
-            if (this.boundClickHandler) this.state.canvas.removeEventListener("click", this.boundClickHandler)
-            this.endGameCallback(this.state)
-        }
+    // Key matching the current stimulus orientation (used by synthetic participants)
+    getExpectedResponse: function () {
+        return this.state.stimulus.side === "left" ? "ArrowLeft" : "ArrowRight"
     },
-    jump: function (reactionTime) {
-        if (this.state.player.jumping) return
-        this.state.player.jumping = true
-        const effectiveRT = Math.min(reactionTime, this.state.maxRT)
-        const jumpRange = this.params.maxJumpStrength - this.params.minJumpStrength
-        const rtRatio = 1 - effectiveRT / this.state.maxRT
-        const jumpPower = this.params.minJumpStrength + jumpRange * rtRatio
-        this.state.player.velocityY = jumpPower
+    // Key-up of the last keyboard response: logs how long it was held (see DoggoNogoCore.holdResponse)
+    handleKeyUp: function (e) {
+        DoggoNogoCore.releaseResponse(this.state, e)
     },
     handleKeyDown: function (e) {
         if (this.state.gameState !== "playing") return
+        if (DoggoNogoCore.ignoreRepeat(this.state, e)) return
         // If still on instruction screen, first LEFT/RIGHT only starts (plays start sound, no trial counted)
         // (Instruction screen already exited by engine.waitForStart; no gating here)
-        // Dev/Test shortcut: 's' to skip level immediately
-        if (e.key === "s" || e.key === "S") {
-            if (this.state.pendingStimulusTimeoutId) clearTimeout(this.state.pendingStimulusTimeoutId)
-            if (this.state.currentTrialTimeoutId) clearTimeout(this.state.currentTrialTimeoutId)
+        // Dev/Test shortcut: 's' to skip level immediately (unless 's' is a mapped response key)
+        if ((e.key === "s" || e.key === "S") && !DoggoNogoCore.isMappedKey(e)) {
+            if (this.state.pendingStimulusTimeoutId) DoggoNogoCore.clearTimer(this.state.pendingStimulusTimeoutId)
+            if (this.state.currentTrialTimeoutId) DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
             this.endLevel()
             return
         }
         if (this.state.inBreak) {
-            const isSpace = e.code === "Space" || e.key === " " || e.key === "Spacebar"
-            if (isSpace) this.resumeFromBreak()
+            if (DoggoNogoCore.matchesKey(e, "Space")) this.resumeFromBreak()
             return
         }
-        if (!this.isResponseKey(e.key)) return
+        // Logical response (ArrowLeft/ArrowRight, possibly remapped); the physical key is what gets logged
+        const response = this.getResponse(e)
+        if (!response) return
+        const responseKey = DoggoNogoCore.responseKeyName(e, response)
+        this.state.trialInput = DoggoNogoCore.inputInfo(e, this.state.canvas)
         if (!this.state.stimulus.visible && !this.state.stimulus.exiting) {
             if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
             const nowISO = new Date().toISOString()
             const thresholdUsed = this.getEffectiveThreshold()
-            DoggoNogoCore.safePlay(this.assets.soundError)
+            DoggoNogoAudio.play(this.assets.soundError)
             this.finishTrial({
                 type: TrialTypes.EARLY,
                 points: -this.params.minScore,
@@ -917,18 +1170,36 @@ const level2 = {
             return
         }
         if (this.state.stimulus.visible && !this.state.stimulus.exiting) {
-            const reactionTime = this.now() - this.state.startTime
-            if (this.state.currentTrialTimeoutId) clearTimeout(this.state.currentTrialTimeoutId)
+            // Press before an auditory stimulus' bark: an anticipation, scored as early with its negative RT logged
+            const anticipation = DoggoNogoCore.anticipation(this.state, e)
+            if (anticipation !== null) {
+                DoggoNogoCore.clearTrialTimers(this.state)
+                this.state.stimulus.visible = false
+                DoggoNogoAudio.play(this.assets.soundError)
+                this.finishTrial({
+                    type: TrialTypes.EARLY,
+                    points: -this.params.minScore,
+                    rt: anticipation,
+                    includeInMedian: false,
+                    timestamp: new Date().toISOString(),
+                    thresholdUsed: this.getEffectiveThreshold(),
+                    responseKey,
+                })
+                this.state.errorFlashUntil = this.now() + this.params.errorFlashDuration
+                return
+            }
+            const reactionTime = DoggoNogoCore.reactionTime(this.state, e)
+            if (this.state.currentTrialTimeoutId) DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
             if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.startStimulusExit(this.state, () => this.now(), "catch")
             const threshold = this.getEffectiveThreshold()
-            const trialMaxRT = this.state.maxRT || 2 * this.state.medianRT
+            const trialMaxRT = this.state.maxRT || 2 * this.getBaseThreshold()
             const correct =
-                (e.key === "ArrowLeft" && this.state.stimulus.side === "left") ||
-                (e.key === "ArrowRight" && this.state.stimulus.side === "right")
+                (response === "ArrowLeft" && this.state.stimulus.side === "left") ||
+                (response === "ArrowRight" && this.state.stimulus.side === "right")
             if (!correct) {
                 const nowISO = new Date().toISOString()
                 // Error penalty: -minScore/2
-                DoggoNogoCore.safePlay(this.assets.soundError)
+                DoggoNogoAudio.play(this.assets.soundError)
                 // Override exit style to mimic timeout sideways drift
                 if (this.state.stimulus.exiting) {
                     this.state.stimulus.exitType = "timeout"
@@ -939,7 +1210,7 @@ const level2 = {
                     includeInMedian: false,
                     timestamp: nowISO,
                     thresholdUsed: threshold,
-                    responseKey: e.key,
+                    responseKey,
                     correct: false,
                 })
                 this.state.errorFlashUntil = this.now() + this.params.errorFlashDuration
@@ -950,7 +1221,7 @@ const level2 = {
             if (reactionTime > threshold) {
                 const include = reactionTime <= trialMaxRT
                 const nowISO = new Date().toISOString()
-                DoggoNogoCore.safePlay(this.assets.soundSlow)
+                DoggoNogoAudio.play(this.assets.soundSlow)
                 this.finishTrial({
                     type: TrialTypes.SLOW,
                     // Slow correct response award: +minScore/2
@@ -961,7 +1232,7 @@ const level2 = {
                     thresholdUsed: threshold,
                     stimulusX: this.state.stimulus.x,
                     stimulusY: this.state.stimulus.y,
-                    responseKey: e.key,
+                    responseKey,
                     correct: true,
                 })
                 return
@@ -969,9 +1240,9 @@ const level2 = {
             const clampedRT = Math.min(reactionTime, trialMaxRT)
             const nRT = 1 - clampedRT / Math.max(1, trialMaxRT)
             const points = this.params.minScore + nRT * (this.params.maxScore - this.params.minScore)
-            this.jump(reactionTime)
+            DoggoNogoCore.jump(this, reactionTime)
             const nowISO = new Date().toISOString()
-            DoggoNogoCore.safePlay(this.assets.soundFast)
+            DoggoNogoAudio.play(this.assets.soundFast)
             this.finishTrial({
                 type: TrialTypes.FAST,
                 points,
@@ -979,7 +1250,7 @@ const level2 = {
                 includeInMedian: true,
                 timestamp: nowISO,
                 thresholdUsed: threshold,
-                responseKey: e.key,
+                responseKey,
                 correct: true,
             })
         }
@@ -988,8 +1259,9 @@ const level2 = {
         if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.showScoreFeedback(this, text)
     },
     // Removed local clearTrialTimers and startStimulusExit (handled by DoggoNogoCore)
-    isResponseKey: function (key) {
-        return key === "ArrowLeft" || key === "ArrowRight"
+    // Returns "ArrowLeft"/"ArrowRight" if the event is (mapped to) a response key, else null
+    getResponse: function (e) {
+        return DoggoNogoCore.logicalKey(e, ["ArrowLeft", "ArrowRight"])
     },
     getTrialTypeLabel: function (type) {
         if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.getTrialTypeLabel(type)
@@ -1001,3 +1273,39 @@ const level2 = {
 if (typeof window !== "undefined") {
     window.level2 = level2
 }
+
+// Register with the engine so it can be run, preloaded and chained by id
+if (typeof DoggoNogoEngine !== "undefined") {
+    DoggoNogoEngine.registerLevel("level2", level2, {
+        name: "Level 2",
+        startKeys: ["ArrowLeft", "ArrowRight"],
+        responseKeys: ["ArrowLeft", "ArrowRight"],
+        introSequence: () => (typeof level2IntroSequence !== "undefined" ? level2IntroSequence : null),
+        manifest: {
+            images: [
+                "level2/player_1.png",
+                "level2/player_2.png",
+                "level2/player_3.png",
+                "level2/stimulus_1.png",
+                "level2/stimulus_2.png",
+                "level2/background.png",
+                "level2/feedback_slow1.png",
+                "level2/feedback_late1.png",
+                "level2/feedback_fast1.png",
+                "level2/feedback_fast2.png",
+                "level2/feedback_fast3.png",
+                "level2/feedback_error1.png",
+                "level2/feedback_early1.png",
+            ],
+            audio: [
+                "level2/sound_evolve.mp3",
+                "level2/sound_error.mp3",
+                "level2/sound_fast.mp3",
+                "level2/sound_slow.mp3",
+                "level2/Fishbone.mp3",
+                "level1/doggo_whine2.wav",
+                "level1/sound_intro_dogwhining.mp3",
+            ],
+        },
+    })
+}
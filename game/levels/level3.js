@@ -0,0 +1,1127 @@
+/**
+ * @file Contains all the logic for level 3 of the game.
+ *
+ * Level 3 = Gamified Go/No-Go Task
+ *
+ * High-level overview
+ * -------------------
+ * Doggo is back on stage, but NOGO now tries to steal his food. Each trial shows either:
+ *  - a GO stimulus (Doggo's bone): press ArrowDown as fast as possible (same rules as level 1), or
+ *  - a NO-GO stimulus (NOGO himself): do NOT press; wait until he leaves.
+ *
+ * The object follows the same `load/start/update/draw/handleKeyDown` contract as `level1` and `level2`
+ * so the engine, jsPsych integration and standalone page can run it unchanged.
+ *
+ * Trial lifecycle:
+ * 1) After an ISI (random delay), a stimulus appears at a random position. Whether it is a go or a
+ *    no-go stimulus is drawn from the current phase's no-go proportion (params.noGoProportions).
+ * 2) Go trials:
+ *    - Press before the stimulus appears: early → penalty (−minScore), classified as anticipation.
+ *    - Press while visible and RT ≤ Threshold: fast → positive points (scaled as in level 1).
+ *    - Press while visible and RT > Threshold: slow → +0.
+ *    - No press before maxRT: omission error (timeout) → 0 points.
+ * 3) No-go trials:
+ *    - No press before the no-go window ends (maxRT): correct withhold → +minScore/2.
+ *    - Press while NOGO is visible: commission error → −minScore/2.
+ * 4) Only correct go responses (fast/slow within maxRT) update the running median RT (Threshold), or the
+ *    params.thresholdStrategy in use (see thresholds.js; rows log `ThresholdStrategy` and its `ThresholdState`).
+ * 5) Level ends when the current phase's target is reached for the final phase.
+ *
+ * Configurable No-Go Proportions
+ * ------------------------------
+ *  - params.noGoProportions (default [0.2, 0.3, 0.4]): Probability that a trial of phase i is a NO-GO trial.
+ *  - The proportions are included in the exported game parameter snapshot.
+ *
+ * Phases
+ * ------
+ * params.phases declares the phases as an array (any length); null uses three phases with the proportions above.
+ * Each entry:
+ *  - noGoProportion : no-go probability of the phase (default: params.noGoProportions[i]).
+ *  - sprite         : player sprite path, relative to the asset base path (e.g., "level1/player_2.png").
+ *  - target         : fixed score target for the phase (default: the adaptive target below).
+ *  - trials         : stimulus presentations (go + no-go) of the phase in progressionMode "trials" (default:
+ *                     trialsNumber split evenly).
+ *  - duration       : length (ms) of the phase in progressionMode "time" (default: params.phaseDuration).
+ *  - break          : false to evolve the sprite and carry straight on instead of pausing before the phase (default true).
+ *  - breakText      : line(s) shown above the prompt during the break before the phase.
+ * The progress bar shows one segment per phase and rows log the 1-based `Phase`.
+ *
+ * Error Classification
+ * --------------------
+ * Each logged trial has a `StimulusType` ("go" | "nogo" | "NA" for early presses) and an `ErrorType`:
+ *  - "commission"   : response to a no-go stimulus
+ *  - "omission"     : no response to a go stimulus
+ *  - "anticipation" : response before any stimulus was shown
+ *  - "NA"           : no error (fast, slow or withhold)
+ *
+ * Phase targets
+ * -------------
+ * Same adaptive logic as level 1, except that the expected points per trial account for the
+ * no-go proportion of the phase (no-go trials can only earn the withhold bonus).
+ * With params.progressionMode = "trials" (default "score"), each phase instead ends after an exact number of go and
+ * no-go presentations, and with "time" after params.phaseDuration ms of gameplay (breaks and pauses excluded; the
+ * trial in flight finishes). The score then only motivates (no phase floors; the progress bar follows the
+ * presentations or the elapsed time).
+ *
+ * Performance Score (IES)
+ * -------------------------
+ * As in the other levels, the IES is computed from the mean correct (go) RT and the overall error rate,
+ * so both commission and omission errors penalize the final score.
+ */
+
+// Trial outcome types shared by all levels, including the go/no-go ones (DoggoNogoTrialTypes, game.js)
+var TrialTypes = DoggoNogoTrialTypes
+
+const level3 = {
+    now: function () {
+        if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.clock.now()
+        if (typeof jsPsych !== "undefined") return jsPsych.getTotalTime()
+        if (typeof performance !== "undefined" && typeof performance.now === "function") return performance.now()
+        return Date.now()
+    },
+    random: function () {
+        if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.random()
+        return Math.random()
+    },
+    params: {
+        trialsNumber: 24, // The (theoretical) number of presented trials for the entire level (go + no-go)
+        minTrialsPerPhase: 4,
+        progressionMode: "score", // "score": phases end at their score target; "trials": after a fixed number of stimuli;
+        // "time": after phaseDuration
+        phaseDuration: 120000, // ms per phase in progressionMode "time"
+        minISI: 1000,
+        maxISI: 3000,
+        minScore: 100,
+        maxScore: 200,
+        gameDifficulty: 1,
+        thresholdStrategy: "median", // adaptive threshold strategy (see thresholds.js)
+        populationMean: 300,
+        populationSD: 20,
+        // Probability of a NO-GO trial in each phase (see header documentation)
+        noGoProportions: [0.2, 0.3, 0.4],
+        // Phase definitions (see header documentation); null = three phases with the proportions above
+        phases: null,
+        gravity: 0.5,
+        maxJumpStrength: -8,
+        minJumpStrength: -1,
+        stimulusFallDistance: 0.05, // % of canvas height (go stimulus only)
+        playerHeight: 0.2,
+        playerY: 0.5,
+        stimulusHeight: 0.1, // % of canvas height (go stimulus)
+        noGoStimulusHeight: 0.2, // % of canvas height (no-go stimulus)
+        feedbackBubbleHeight: 0.2,
+        errorFlashDuration: 150,
+        errorFlashTintColor: "255,0,0",
+    },
+    assets: {
+        imgPlayer: new Image(),
+        playerSprites: {}, // phase sprites by path (see DoggoNogoCore.phaseSprite)
+        basePath: "",
+        imgStimulusGo: new Image(), // Doggo's bone
+        imgStimulusNoGo: new Image(), // NOGO
+        imgBackground: new Image(),
+        imgFeedbackSlow: new Image(),
+        imgFeedbackLate: new Image(),
+        imgFeedbackEarly: new Image(),
+        imgFeedbackError: new Image(),
+        imgFeedbackFast1: new Image(),
+        imgFeedbackFast2: new Image(),
+        imgFeedbackFast3: new Image(),
+        soundBackground: new Audio(),
+        soundFast: new Audio(),
+        soundSlow: new Audio(),
+        soundEarly: new Audio(),
+        soundError: new Audio(),
+        soundEvolve: new Audio(),
+        soundLevelUp: new Audio(),
+        soundStart: new Audio(),
+        imgCover: new Image(),
+        imgCoverText: new Image(),
+    },
+    state: {
+        gameState: "playing",
+        score: 0,
+        trials: 0, // Number of stimuli shown (go + no-go; excludes early presses)
+        goTrials: 0,
+        noGoTrials: 0,
+        reactionTimes: [],
+        particles: [],
+        feedbackBubbles: [],
+        data: [],
+        lastTrialType: null,
+        lastFastFeedback: 0,
+        errorFlashUntil: 0,
+        tintedSpriteCache: {},
+        player: { x: 0, y: 0, width: 100, height: 100, velocityY: 0, jumping: false, originalY: 0 },
+        stimulus: {
+            x: 0,
+            y: 0,
+            width: 50,
+            height: 50,
+            visible: false,
+            pending: false, // waiting for the next animation frame (see DoggoNogoCore.requestStimulusOnset)
+            exiting: false,
+            exitType: "catch",
+            exitDuration: 200,
+            exitStartTime: 0,
+            exitInitialX: 0,
+            exitInitialY: 0,
+            initialY: 0,
+            exitInitialWidth: 0,
+            exitInitialHeight: 0,
+            kind: null, // 'go' | 'nogo'
+        },
+        startTime: 0,
+        trialPaused: false, // set by DoggoNogoEngine.pause() when the current trial was interrupted
+        trialPauseDuration: 0,
+        // Set by the engine from frame timing during the stimulus window (see DoggoNogoEngine._noteTimingIssue)
+        trialTimingIssue: 0,
+        trialWorstFrameDelay: null, // ms a frame came later than the refresh interval (worst case)
+        trialLongTasks: 0,
+        trialInput: null, // how the current response was given (see DoggoNogoCore.inputInfo)
+        heldResponse: null, // logged keyboard response whose key is still down (see DoggoNogoCore.holdResponse)
+        keyRepeats: 0, // auto-repeated keydowns ignored during the level
+        scheduledOnset: 0,
+        onsetActual: null, // level-clock time of the frame that first drew the stimulus
+        refreshInterval: null, // estimated display refresh interval (ms) at onset
+        pendingStimulusTimeoutId: null,
+        currentTrialTimeoutId: null,
+        medianRT: 1000,
+        maxRT: 2000,
+        scoreText: "",
+        scoreTextVisible: false,
+        scoreTextTimeout: null,
+        scoreTextPoints: 0,
+        phaseIndex: 0,
+        inBreak: false,
+        breakState: "idle",
+        breakStartTime: 0,
+        showBreakText: false,
+        phaseRequiredScores: [],
+        phaseFloorScore: 0,
+        phasePresentations: 0, // stimuli presented in the active phase (progressionMode "trials")
+        phaseStartTime: 0, // level-clock start of the active phase (progressionMode "time")
+        canvas: null,
+        ctx: null,
+        endOverlayVisible: false,
+        endButtonRect: { x: 0, y: 0, w: 0, h: 0 },
+        showContinueButton: false,
+        continueLabel: "Continue",
+    },
+
+    /**
+     * Initializes dimensions based on canvas size.
+     * @param {HTMLCanvasElement} canvas - The game canvas element.
+     */
+    initializeDimensions: function (canvas) {
+        this.state.canvas = canvas
+        this.state.ctx = canvas.getContext("2d")
+        const firstSprite = DoggoNogoCore.phaseSprite(this, this.getPhases()[0])
+        const playerAspect = firstSprite.naturalWidth / firstSprite.naturalHeight
+        this.state.player.height = canvas.height * this.params.playerHeight
+        this.state.player.width = this.state.player.height * playerAspect
+        this.setStimulusSize(this.state.stimulus.kind || "go")
+        this.params.stimulusFallDistancePx = canvas.height * this.params.stimulusFallDistance
+    },
+
+    /**
+     * Sets the stimulus box to the size of the go or no-go sprite (they have different heights).
+     * @param {'go'|'nogo'} kind
+     */
+    setStimulusSize: function (kind) {
+        const canvas = this.state.canvas
+        const img = kind === "nogo" ? this.assets.imgStimulusNoGo : this.assets.imgStimulusGo
+        const heightRatio = kind === "nogo" ? this.params.noGoStimulusHeight : this.params.stimulusHeight
+        const aspect = img.naturalWidth / img.naturalHeight
+        this.state.stimulus.height = canvas.height * heightRatio
+        this.state.stimulus.width = this.state.stimulus.height * aspect
+    },
+
+    /**
+     * Recalculate dimensions & positions when the canvas is resized externally.
+     * Should be called after the canvas width/height have been updated.
+     */
+    handleResize: function () {
+        if (!this.state.canvas) return
+        const canvas = this.state.canvas
+        const prevPlayerCenterFrac = (this.state.player.x + this.state.player.width / 2) / canvas.width || 0.5
+        const jumpingOffsetFrac = this.state.player.jumping ? (this.state.player.originalY - this.state.player.y) / canvas.height : 0
+        const stimVisible = this.state.stimulus.visible || this.state.stimulus.exiting
+        let stimCenterFracX = 0
+        let stimCenterFracY = 0
+        if (stimVisible) {
+            stimCenterFracX = (this.state.stimulus.x + this.state.stimulus.width / 2) / canvas.width
+            stimCenterFracY = (this.state.stimulus.y + this.state.stimulus.height / 2) / canvas.height
+        }
+        this.initializeDimensions(canvas)
+        this.state.player.x = canvas.width * prevPlayerCenterFrac - this.state.player.width / 2
+        const centerY = canvas.height * (typeof this.params.playerY === "number" ? this.params.playerY : 0.5)
+        this.state.player.y = centerY - this.state.player.height / 2
+        this.state.player.originalY = this.state.player.y
+        if (jumpingOffsetFrac) this.state.player.y = this.state.player.originalY - jumpingOffsetFrac * canvas.height
+        if (stimVisible) {
+            this.state.stimulus.x = canvas.width * stimCenterFracX - this.state.stimulus.width / 2
+            this.state.stimulus.y = canvas.height * stimCenterFracY - this.state.stimulus.height / 2
+            if (!this.state.stimulus.exiting) this.state.stimulus.initialY = this.state.stimulus.y
+        }
+    },
+
+    /**
+     * Loads all assets for the level. Level 3 reuses Doggo's (level 1) and NOGO's (level 2) artwork.
+     * @param {HTMLCanvasElement} canvas - The game canvas element.
+     * @returns {Promise} - A promise that resolves when all assets are loaded.
+     */
+    load: function (canvas, options) {
+        const base = (options && options.assetBasePath) || ""
+        this.assets.basePath = base
+        const playerSprites = this.getPhases().map((phase) => DoggoNogoCore.phaseSprite(this, phase))
+        this.assets.imgStimulusGo.src = base + "level1/stimulus.png"
+        this.assets.imgStimulusNoGo.src = base + "level2/player_1.png"
+        this.assets.imgBackground.src = base + "level1/background.png"
+        this.assets.imgFeedbackSlow.src = base + "level1/feedback_slow1.png"
+        this.assets.imgFeedbackLate.src = base + "level1/feedback_late1.png"
+        this.assets.imgFeedbackEarly.src = base + "level1/feedback_early1.png"
+        this.assets.imgFeedbackError.src = base + "level2/feedback_error1.png"
+        this.assets.imgFeedbackFast1.src = base + "level1/feedback_fast1.png"
+        this.assets.imgFeedbackFast2.src = base + "level1/feedback_fast2.png"
+        this.assets.imgFeedbackFast3.src = base + "level1/feedback_fast3.png"
+        this.assets.soundBackground.src = base + "level1/sound_background.mp3"
+        this.assets.soundFast.src = base + "level1/sound_fast.mp3"
+        this.assets.soundSlow.src = base + "level1/sound_slow.mp3"
+        this.assets.soundEarly.src = base + "level1/sound_early.mp3"
+        this.assets.soundError.src = base + "level2/sound_error.mp3"
+        this.assets.soundEvolve.src = base + "level1/sound_evolve.mp3"
+        this.assets.soundLevelUp.src = base + "sound_levelup.mp3"
+        this.assets.soundStart.src = base + "sound_start.mp3"
+        this.assets.imgCover.src = base + "cover1_noText.png"
+        this.assets.imgCoverText.src = base + "text.png"
+        const assetRefs = [
+            ...playerSprites,
+            this.assets.imgStimulusGo,
+            this.assets.imgStimulusNoGo,
+            this.assets.imgBackground,
+            this.assets.imgFeedbackSlow,
+            this.assets.imgFeedbackLate,
+            this.assets.imgFeedbackEarly,
+            this.assets.imgFeedbackError,
+            this.assets.imgFeedbackFast1,
+            this.assets.imgFeedbackFast2,
+            this.assets.imgFeedbackFast3,
+            this.assets.soundBackground,
+            this.assets.soundFast,
+            this.assets.soundSlow,
+            this.assets.soundEarly,
+            this.assets.soundError,
+            this.assets.soundEvolve,
+            this.assets.soundLevelUp,
+            this.assets.soundStart,
+            this.assets.imgCover,
+            this.assets.imgCoverText,
+        ]
+        return DoggoNogoCore.loadAssets(assetRefs).then(() => {
+            this.initializeDimensions(canvas)
+            this.state.player.x = canvas.width / 2 - this.state.player.width / 2
+            const centerY = canvas.height * (typeof this.params.playerY === "number" ? this.params.playerY : 0.5)
+            this.state.player.y = centerY - this.state.player.height / 2
+            this.state.player.originalY = this.state.player.y
+        })
+    },
+
+    /**
+     * Level-specific instructions screen (go stimulus on the left, no-go stimulus on the right).
+     */
+    showInstructionScreen: function (canvas) {
+        const REF_W = 1792
+        const REF_H = 1024
+        const scaleFontPx = (b) => Math.round(b * ((canvas.width / REF_W + canvas.height / REF_H) / 2))
+        const ctx = canvas.getContext("2d")
+        const bg = this.assets.imgBackground
+        if (bg && bg.complete) ctx.drawImage(bg, 0, 0, canvas.width, canvas.height)
+        else ctx.clearRect(0, 0, canvas.width, canvas.height)
+        ctx.fillStyle = "rgba(0,0,0,0.55)"
+        ctx.fillRect(0, 0, canvas.width, canvas.height)
+        ctx.textAlign = "center"
+        ctx.fillStyle = "white"
+        ctx.font = `bold ${scaleFontPx(50)}px Arial`
+        ctx.fillText("Level 3", canvas.width / 2, canvas.height * 0.18)
+        ctx.font = `${scaleFontPx(30)}px Arial`
+        const introLines = [
+            "NOGO wants to steal Doggo's food!",
+            `${DoggoNogoCore.actionPrompt("ArrowDown", "the down arrow")} as fast as possible when a bone appears,`,
+            `but DON'T ${DoggoNogoCore.usesPointer() ? "tap" : "press anything"} when NOGO shows up.`,
+        ]
+        const lh = scaleFontPx(38)
+        const startY = canvas.height * 0.3
+        introLines.forEach((l, i) => ctx.fillText(l, canvas.width / 2, startY + i * lh))
+
+        const midY = canvas.height * 0.6
+        const drawCentered = (img, cx, h) => {
+            if (!img || !img.complete || !img.naturalHeight) return
+            const w = h * (img.naturalWidth / img.naturalHeight)
+            ctx.drawImage(img, cx - w / 2, midY - h / 2, w, h)
+        }
+        drawCentered(this.assets.imgStimulusGo, canvas.width * 0.3, canvas.height * 0.12)
+        drawCentered(this.assets.imgStimulusNoGo, canvas.width * 0.7, canvas.height * 0.2)
+        ctx.font = `${scaleFontPx(26)}px Arial`
+        ctx.fillStyle = "#FFD54F"
+        const goLabel = DoggoNogoCore.usesPointer() ? "tap!" : `press ${DoggoNogoCore.keyLabel("ArrowDown", "DOWN")}`
+        ctx.fillText(`Bone: ${goLabel}`, canvas.width * 0.3, midY + canvas.height * 0.14)
+        ctx.fillText(`NOGO: don't ${DoggoNogoCore.usesPointer() ? "tap" : "press"}!`, canvas.width * 0.7, midY + canvas.height * 0.14)
+
+        setTimeout(() => {
+            ctx.font = `bold ${scaleFontPx(32)}px Arial`
+            ctx.fillStyle = "yellow"
+            ctx.fillText(`${DoggoNogoCore.actionPrompt("ArrowDown")} to start`, canvas.width / 2, canvas.height * 0.88)
+        }, 1000)
+    },
+
+    /**
+     * Starts the level, initializes game state, and sets up event listeners.
+     * @param {HTMLCanvasElement} canvas - The game canvas element.
+     * @param {function} endGameCallback - A callback function to be called when the level is over.
+     */
+    start: function (canvas, endGameCallback, options) {
+        this.state.canvas = canvas
+        this.state.ctx = canvas.getContext("2d")
+        this.endGameCallback = endGameCallback
+        const opts = options || {}
+        this.state.score = 0
+        this.state.reactionTimes = []
+        this.state.trials = 0
+        // No stimulus carries over from a previous run (e.g., one that ended while it was still on screen)
+        this.state.stimulus.visible = false
+        this.state.stimulus.exiting = false
+        this.state.stimulus.pending = false
+        this.state.keyRepeats = 0
+        this.state.heldResponse = null
+        this.state.goTrials = 0
+        this.state.noGoTrials = 0
+        if (Array.isArray(this.state.data)) this.state.data.length = 0
+        else this.state.data = []
+        this.state.gameState = "playing"
+        this.state.phaseIndex = 0
+        this.state.inBreak = false
+        this.state.phaseRequiredScores = this.getPhases().map(() => 0)
+        this.state.showContinueButton = !!opts.showContinueButton
+        this.state.continueLabel = typeof opts.continueLabel === "string" ? opts.continueLabel : "Continue"
+        this.state.endOverlayVisible = false
+        this.state.medianRT = 1000
+        this.thresholdStrategy = DoggoNogoThresholds.create(this.params.thresholdStrategy)
+        this.state.maxRT = 2 * this.getBaseThreshold()
+        this.state.phaseFloorScore = 0
+        this.state.phasePresentations = 0
+        this.state.phaseRequiredScores[0] = this.computePhaseTarget(0)
+        if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
+        DoggoNogoAudio.playMusic(this.assets.soundBackground)
+        this.boundKeyDownHandler = this.handleKeyDown.bind(this)
+        document.addEventListener("keydown", this.boundKeyDownHandler)
+        // Key-ups complete the held response's duration, including after the level ended (the last response)
+        if (this.boundKeyUpHandler) document.removeEventListener("keyup", this.boundKeyUpHandler)
+        this.boundKeyUpHandler = this.handleKeyUp.bind(this)
+        document.addEventListener("keyup", this.boundKeyUpHandler)
+        this.boundClickHandler = (e) => DoggoNogoCore.handleEndClick(this, e)
+        canvas.addEventListener("click", this.boundClickHandler)
+        if (typeof window !== "undefined") {
+            window.level3Data = this.state.data
+            window.getLevel3Data = () => this.state.data
+        }
+        this.assets.imgPlayer = DoggoNogoCore.phaseSprite(this, this.getPhase())
+        this.state.phaseStartTime = this.now()
+        this.startNewTrial()
+    },
+
+    /**
+     * The main update loop for the level, called on each frame.
+     */
+    update: function () {
+        if (this.state.player.jumping) {
+            this.state.player.velocityY += this.params.gravity
+            this.state.player.y += this.state.player.velocityY
+            if (this.state.player.y >= this.state.player.originalY) {
+                this.state.player.y = this.state.player.originalY
+                this.state.player.jumping = false
+                this.state.player.velocityY = 0
+            }
+        }
+        // Go stimulus falls during the "fast" window; NOGO stays in place
+        const stim = this.state.stimulus
+        if (stim.visible && !stim.exiting && stim.kind === "go") {
+            const elapsedTime = this.now() - this.state.startTime
+            const threshold = this.getEffectiveThreshold()
+            const fallProgress = Math.min(1, elapsedTime / threshold)
+            stim.y = stim.initialY + this.params.stimulusFallDistancePx * fallProgress
+        }
+        if (stim.exiting) {
+            const elapsed = this.now() - stim.exitStartTime
+            if (elapsed >= stim.exitDuration) stim.exiting = false
+        }
+        this.updateParticles()
+        this.updateFeedbackBubbles()
+        if (this.state.inBreak) this.updateBreak()
+    },
+
+    /**
+     * The main draw loop for the level, called on each frame.
+     */
+    draw: function () {
+        this.clearCanvas()
+        this.drawBackground()
+        DoggoNogoCore.drawProgressBar(this)
+        this.drawPlayer()
+        this.drawStimulus()
+        this.drawScoreFeedback()
+        DoggoNogoCore.drawParticles(this)
+        DoggoNogoCore.drawFeedbackBubbles(this)
+        if (this.state.gameState === "done" && this.state.endOverlayVisible && this.state.showContinueButton) {
+            DoggoNogoCore.drawEndOverlay(this)
+        }
+        if (this.state.inBreak) this.drawBreakOverlay()
+    },
+    drawBackground: function () {
+        this.state.ctx.drawImage(this.assets.imgBackground, 0, 0, this.state.canvas.width, this.state.canvas.height)
+    },
+    drawScoreFeedback: function () {
+        DoggoNogoCore.drawScoreFeedback(this)
+    },
+    drawPlayer: function () {
+        const ctx = this.state.ctx
+        const p = this.state.player
+        const flashing = this.now() < this.state.errorFlashUntil
+        if (!flashing) {
+            ctx.drawImage(this.assets.imgPlayer, p.x, p.y, p.width, p.height)
+            return
+        }
+        const remaining = this.state.errorFlashUntil - this.now()
+        const total = this.params.errorFlashDuration || 150
+        const alpha = Math.sin(Math.PI * (1 - remaining / total))
+        const tint = `rgba(${this.params.errorFlashTintColor},${alpha})`
+        ctx.drawImage(DoggoNogoCore.getTintedSprite(this, this.assets.imgPlayer, tint), p.x, p.y, p.width, p.height)
+    },
+    drawBreakOverlay: function () {
+        const ctx = this.state.ctx
+        const canvas = this.state.canvas
+        ctx.save()
+        const pcx = this.state.player.x + this.state.player.width / 2
+        const pcy = this.state.player.y + this.state.player.height / 2
+        const innerR = this.state.player.height * 0.75
+        const g = ctx.createRadialGradient(pcx, pcy, innerR, pcx, pcy, innerR * 2.5)
+        g.addColorStop(0, "rgba(0,0,0,0)")
+        g.addColorStop(1, "rgba(0,0,0,0.85)")
+        ctx.fillStyle = g
+        ctx.fillRect(0, 0, canvas.width, canvas.height)
+        if (this.state.showBreakText) {
+            const breakText = this.getPhase().breakText || "NOGO will show up more often now. Don't fall for it!"
+            const lines = [].concat(breakText, "", `${DoggoNogoCore.actionPrompt("Space")} to continue`)
+            const baseSize = canvas.height * 0.045
+            const lineHeight = baseSize * 1.25
+            const startY = (2.5 / 3) * canvas.height - (lines.length - 1) * lineHeight
+            ctx.textAlign = "center"
+            for (let i = 0; i < lines.length; i++) {
+                ctx.font = `${Math.round(baseSize)}px Arial`
+                ctx.fillStyle = i === lines.length - 1 ? "#FFD54F" : "white"
+                ctx.fillText(lines[i], canvas.width / 2, startY + i * lineHeight)
+            }
+        }
+        ctx.restore()
+    },
+
+    /**
+     * Draws the go or no-go stimulus if it's visible or animating.
+     * Caught bones shrink into Doggo; NOGO (and missed bones) slide out sideways.
+     */
+    drawStimulus: function () {
+        const stim = this.state.stimulus
+        if (!stim.visible && !stim.exiting) return
+        const ctx = this.state.ctx
+        const img = stim.kind === "nogo" ? this.assets.imgStimulusNoGo : this.assets.imgStimulusGo
+        if (stim.exiting) {
+            const prog = Math.min((this.now() - stim.exitStartTime) / stim.exitDuration, 1)
+            let x = stim.exitInitialX
+            let y = stim.exitInitialY
+            let w = stim.exitInitialWidth
+            let h = stim.exitInitialHeight
+            ctx.save()
+            if (stim.exitType === "catch") {
+                const pcx = this.state.player.x + this.state.player.width / 2
+                const pcy = this.state.player.y + this.state.player.height / 2
+                const targetX = pcx - (stim.exitInitialWidth * (1 - prog)) / 2
+                const targetY = pcy - (stim.exitInitialHeight * (1 - prog)) / 2
+                x = x + (targetX - x) * prog
+                y = y + (targetY - y) * prog
+                w = w * (1 - prog)
+                h = h * (1 - prog)
+            } else if (stim.exitType === "timeout") {
+                const dir = stim.exitInitialX > this.state.canvas.width / 2 ? 1 : -1
+                x = stim.exitInitialX + dir * (this.state.canvas.width / 2) * prog
+                ctx.globalAlpha = 1 - prog
+            }
+            ctx.drawImage(img, x, y, w, h)
+            ctx.restore()
+        } else {
+            ctx.drawImage(img, stim.x, stim.y, stim.width, stim.height)
+        }
+    },
+    clearCanvas: function () {
+        this.state.ctx.clearRect(0, 0, this.state.canvas.width, this.state.canvas.height)
+    },
+
+    /**
+     * Returns the phase definitions: params.phases, or three phases with params.noGoProportions.
+     * @returns {Array<object>}
+     */
+    getPhases: function () {
+        if (Array.isArray(this.params.phases) && this.params.phases.length > 0) return this.params.phases
+        return [{ sprite: "level1/player_1.png" }, { sprite: "level1/player_2.png" }, { sprite: "level1/player_3.png" }]
+    },
+
+    /**
+     * Returns the definition of a phase (the active one by default).
+     * @param {number} [phaseIdx]
+     */
+    getPhase: function (phaseIdx = this.state.phaseIndex) {
+        const phases = this.getPhases()
+        return phases[Math.min(phaseIdx, phases.length - 1)]
+    },
+
+    /**
+     * Returns the no-go probability for a phase (its `noGoProportion`, else params.noGoProportions), clamped to [0, 1].
+     * @param {number} phaseIdx
+     */
+    getNoGoProportion: function (phaseIdx) {
+        const own = this.getPhase(phaseIdx).noGoProportion
+        const arr = this.params.noGoProportions || []
+        const p = typeof own === "number" ? own : typeof arr[phaseIdx] === "number" ? arr[phaseIdx] : arr[arr.length - 1] || 0
+        return Math.min(1, Math.max(0, p))
+    },
+
+    /**
+     * Starts a new trial by scheduling the next (go or no-go) stimulus appearance.
+     */
+    startNewTrial: function () {
+        this.state.trialPaused = false
+        this.state.trialPauseDuration = 0
+        this.state.trialTimingIssue = 0
+        this.state.trialWorstFrameDelay = null
+        this.state.trialLongTasks = 0
+        this.state.trialInput = null
+        this.state.stimulus.pending = false
+        this.state.onsetActual = null
+        this.state.refreshInterval = null
+        const delay = this.random() * (this.params.maxISI - this.params.minISI) + this.params.minISI
+        this.state.scheduledOnset = this.now() + delay
+        if (this.state.pendingStimulusTimeoutId) DoggoNogoCore.clearTimer(this.state.pendingStimulusTimeoutId)
+        this.state.pendingStimulusTimeoutId = DoggoNogoCore.setTimer(() => {
+            this.state.pendingStimulusTimeoutId = null
+            const stim = this.state.stimulus
+            stim.kind = this.random() < this.getNoGoProportion(this.state.phaseIndex) ? "nogo" : "go"
+            this.setStimulusSize(stim.kind)
+            const fall = stim.kind === "go" ? this.params.stimulusFallDistancePx : 0
+            stim.x = this.random() * (this.state.canvas.width - stim.width)
+            stim.y = this.random() * (this.state.canvas.height - stim.height - fall)
+            stim.initialY = stim.y
+            DoggoNogoCore.requestStimulusOnset(this)
+        }, delay)
+    },
+
+    /**
+     * Shows the prepared stimulus and starts its response window / no-go exposure.
+     * @param {number} onsetTime - Level-clock time of the frame that first draws it (see DoggoNogoEngine.presentPendingStimulus).
+     */
+    showStimulus: function (onsetTime) {
+        const stim = this.state.stimulus
+        stim.pending = false
+        stim.visible = true
+        stim.exiting = false
+        this.state.phasePresentations++
+        this.state.startTime = onsetTime
+        this.state.onsetActual = onsetTime
+        this.state.trials++
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.stimulusOnset === "function") {
+            DoggoNogoEngine.stimulusOnset(this)
+        }
+        if (stim.kind === "nogo") this.state.noGoTrials++
+        else this.state.goTrials++
+        // The go response window and the no-go exposure share the same adaptive duration
+        this.state.maxRT = 2 * this.getBaseThreshold()
+        if (this.state.currentTrialTimeoutId) DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
+        this.state.currentTrialTimeoutId = DoggoNogoCore.setTimer(() => {
+            this.state.currentTrialTimeoutId = null
+            if (this.state.gameState !== "playing") return
+            if (stim.visible) DoggoNogoCore.startStimulusExit(this.state, () => this.now(), "timeout")
+            const isNoGo = stim.kind === "nogo"
+            this.finishTrial({
+                // No response: correct withhold for NOGO, omission error for a bone
+                type: isNoGo ? TrialTypes.WITHHOLD : TrialTypes.TIMEOUT,
+                points: isNoGo ? this.params.minScore / 2 : 0,
+                includeInMedian: false,
+                stimulusX: stim.x,
+                stimulusY: stim.y,
+                correct: isNoGo,
+                timestamp: new Date().toISOString(),
+                thresholdUsed: this.getEffectiveThreshold(),
+            })
+        }, Math.max(0, this.state.maxRT - (this.now() - onsetTime)))
+    },
+
+    /**
+     * Finishes a trial: updates score, counters, logs, checks end, or schedules next trial.
+     * @param {{ type: string, points: number, rt?: number, includeInMedian?: boolean, correct?: boolean }} outcome
+     */
+    finishTrial: function (outcome) {
+        this.state.score += outcome.points
+        if (typeof this.state.phaseFloorScore === "number") this.state.score = Math.max(this.state.score, this.state.phaseFloorScore)
+        DoggoNogoCore.showScoreDelta(this, outcome.points)
+        this._handleTrialOutcomeFeedback(outcome)
+        if (outcome.includeInMedian && typeof outcome.rt === "number") {
+            this.state.reactionTimes.push(outcome.rt)
+            this.state.medianRT = this.computeMedian(this.state.reactionTimes)
+            this.thresholdStrategy.update({ rt: outcome.rt, fast: outcome.type === TrialTypes.FAST, threshold: outcome.thresholdUsed })
+        } else if (outcome.type === TrialTypes.TIMEOUT || outcome.type === TrialTypes.SLOW) {
+            // Misses (no response, or one slower than the trial's maxRT) count as slow for the stepwise strategies
+            this.thresholdStrategy.update({
+                rt: typeof outcome.rt === "number" ? outcome.rt : null,
+                fast: false,
+                threshold: outcome.thresholdUsed,
+                miss: true,
+            })
+        }
+        this._logTrialData(outcome)
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.trialOutcome === "function") DoggoNogoEngine.trialOutcome(this, outcome)
+        this.state.lastTrialType = outcome.type
+        this._checkForPhaseOrLevelEnd()
+    },
+
+    /**
+     * Shows feedback bubbles and plays sounds based on the trial outcome.
+     * @private
+     */
+    _handleTrialOutcomeFeedback: function (outcome) {
+        const bubbleX = this.state.player.x + this.state.player.width / 2
+        const bubbleY = this.state.player.y
+        if (outcome.type === TrialTypes.SLOW) {
+            DoggoNogoAudio.play(this.assets.soundSlow)
+            this.showFeedbackBubble("slow", bubbleX, bubbleY)
+            this.state.lastFastFeedback = 0
+        } else if (outcome.type === TrialTypes.TIMEOUT) {
+            this.showFeedbackBubble("late", bubbleX, bubbleY)
+            this.state.lastFastFeedback = 0
+        } else if (outcome.type === TrialTypes.EARLY) {
+            DoggoNogoAudio.play(this.assets.soundEarly)
+            this.showFeedbackBubble("early", bubbleX, bubbleY)
+            this.state.lastFastFeedback = 0
+            this.state.errorFlashUntil = this.now() + this.params.errorFlashDuration
+        } else if (outcome.type === TrialTypes.COMMISSION) {
+            DoggoNogoAudio.play(this.assets.soundError)
+            this.showFeedbackBubble("error", bubbleX, bubbleY)
+            this.state.lastFastFeedback = 0
+            this.state.errorFlashUntil = this.now() + this.params.errorFlashDuration
+        } else if (outcome.type === TrialTypes.FAST) {
+            if (this.state.lastTrialType === TrialTypes.FAST) {
+                this.state.lastFastFeedback = (this.state.lastFastFeedback % 3) + 1
+            } else {
+                this.state.lastFastFeedback = 1
+            }
+            this.showFeedbackBubble(`fast${this.state.lastFastFeedback}`, bubbleX, bubbleY)
+        }
+        // Withhold: the score delta is the only feedback (NOGO simply walks away)
+    },
+
+    /**
+     * Logs the data for the completed trial.
+     * @private
+     */
+    _logTrialData: function (outcome) {
+        if (!outcome.timestamp) return
+        const isEarly = outcome.type === TrialTypes.EARLY
+        const isError = isEarly || outcome.type === TrialTypes.TIMEOUT || outcome.type === TrialTypes.COMMISSION
+        const errorType = isEarly
+            ? "anticipation"
+            : outcome.type === TrialTypes.TIMEOUT
+            ? "omission"
+            : outcome.type === TrialTypes.COMMISSION
+            ? "commission"
+            : "NA"
+        const hasRT = outcome.type === TrialTypes.FAST || outcome.type === TrialTypes.SLOW || outcome.type === TrialTypes.COMMISSION
+        this.state.data.push({
+            Level: "level 3",
+            Phase: this.state.phaseIndex + 1,
+            TrialType: this.getTrialTypeLabel(outcome.type),
+            StimulusType: isEarly ? "NA" : this.state.stimulus.kind,
+            ErrorType: errorType,
+            NoGoProportion: this.getNoGoProportion(this.state.phaseIndex),
+            Time: outcome.timestamp,
+            Trial: this.state.trials,
+            // Commission RTs are logged for analysis but never enter the median nor the IES mean
+            RT: hasRT && typeof outcome.rt === "number" ? outcome.rt : "NA",
+            Error: isError ? 1 : 0,
+            Threshold: typeof outcome.thresholdUsed === "number" ? outcome.thresholdUsed : this.getEffectiveThreshold(),
+            ThresholdStrategy: this.thresholdStrategy.type,
+            ThresholdState: JSON.stringify(this.thresholdStrategy.snapshot()), // after this trial
+            Score: this.state.score,
+            ScoreChange: outcome.points,
+            ResponseKey: outcome.responseKey || "NA",
+            // "keyboard" or the pointer type ("touch", "mouse", "pen"), and the tap position (percent of canvas)
+            InputType: this.state.trialInput ? this.state.trialInput.type : "NA",
+            PointerX: this.state.trialInput ? this.state.trialInput.x : null,
+            PointerY: this.state.trialInput ? this.state.trialInput.y : null,
+            Correct: isError ? 0 : 1,
+            StimulusX:
+                this.state.canvas && this.state.canvas.width
+                    ? ((typeof outcome.stimulusX === "number" ? outcome.stimulusX : this.state.stimulus.x) / this.state.canvas.width) * 100
+                    : null,
+            StimulusY:
+                this.state.canvas && this.state.canvas.height
+                    ? ((typeof outcome.stimulusY === "number" ? outcome.stimulusY : this.state.stimulus.y) / this.state.canvas.height) *
+                      100
+                    : null,
+            CanvasWidth: this.state.canvas ? this.state.canvas.width : null,
+            CanvasHeight: this.state.canvas ? this.state.canvas.height : null,
+            Paused: this.state.trialPaused ? 1 : 0,
+            PauseDuration: this.state.trialPauseDuration,
+            OnsetRequested: this.state.onsetActual !== null ? this.state.scheduledOnset : "NA",
+            OnsetActual: this.state.onsetActual !== null ? this.state.onsetActual : "NA",
+            OnsetDelay: this.state.onsetActual !== null ? this.state.onsetActual - this.state.scheduledOnset : "NA",
+            RefreshInterval: this.state.onsetActual !== null && this.state.refreshInterval !== null ? this.state.refreshInterval : "NA",
+            ResponseDuration: "NA",
+            KeyRepeats: 0,
+            TimingIssue: this.state.trialTimingIssue,
+            WorstFrameDelay: this.state.trialWorstFrameDelay !== null ? this.state.trialWorstFrameDelay : "NA",
+            LongTasks: this.state.trialLongTasks,
+        })
+        DoggoNogoCore.holdResponse(this.state)
+    },
+
+    /**
+     * Checks if the current phase or the entire level is complete. If not, starts a new trial.
+     * @private
+     */
+    _checkForPhaseOrLevelEnd: function () {
+        if (DoggoNogoCore.isPhaseComplete(this)) {
+            if (this.state.phaseIndex < this.getPhases().length - 1) this.startPhaseBreak()
+            else this.endLevel()
+        } else this.startNewTrial()
+    },
+
+    /**
+     * Returns the array of phase targets (computed ones for started phases, estimates otherwise).
+     */
+    getPhaseTargets: function () {
+        const targets = this.getPhases().map(() => 0)
+        for (let i = 0; i < targets.length; i++) {
+            targets[i] = this.state.phaseRequiredScores[i] > 0 ? this.state.phaseRequiredScores[i] : this.computePhaseTarget(i)
+        }
+        return targets
+    },
+    ensurePhaseTarget: function () {
+        if (!(this.state.phaseRequiredScores[this.state.phaseIndex] > 0)) {
+            this.state.phaseRequiredScores[this.state.phaseIndex] = this.computePhaseTarget(this.state.phaseIndex)
+        }
+        return this.state.phaseRequiredScores[this.state.phaseIndex]
+    },
+
+    /**
+     * Compute the required score for a phase based on remaining trials. Go trials are assumed to be
+     * fast 50% of the time (≥ minScore each) and no-go trials to be withheld (minScore/2 each).
+     * Enforces a minimum per-phase target = max(minScore, (minTrialsPerPhase/2) * minScore).
+     * A phase's fixed `target` takes precedence.
+     */
+    computePhaseTarget: function (phaseIdx) {
+        const fixed = this.getPhase(phaseIdx).target
+        if (typeof fixed === "number" && fixed > 0) return fixed
+        const phasesRemaining = Math.max(1, this.getPhases().length - phaseIdx)
+        const trialsLeft = Math.max(0, this.params.trialsNumber - this.state.trials)
+        const trialsThisPhase = Math.ceil(trialsLeft / phasesRemaining)
+        const pNoGo = this.getNoGoProportion(phaseIdx)
+        const expectedPerTrial = (1 - pNoGo) * 0.5 * this.params.minScore + pNoGo * (this.params.minScore / 2)
+        const estimatedTarget = Math.floor((trialsThisPhase * expectedPerTrial) / this.params.minScore) * this.params.minScore
+        const minTargetByTrials = (this.params.minTrialsPerPhase / 2) * this.params.minScore
+        return Math.max(this.params.minScore, minTargetByTrials, estimatedTarget)
+    },
+
+    /**
+     * Returns the threshold strategy's current threshold (ms), before gameDifficulty; the running median before start.
+     */
+    getBaseThreshold: function () {
+        return this.thresholdStrategy ? this.thresholdStrategy.threshold() : this.state.medianRT
+    },
+
+    /**
+     * Returns the effective threshold used for fast/slow classification.
+     * Threshold = strategy threshold (running median by default) / gameDifficulty
+     */
+    getEffectiveThreshold: function () {
+        const d = this.params.gameDifficulty && this.params.gameDifficulty > 0 ? this.params.gameDifficulty : 1
+        return this.getBaseThreshold() / d
+    },
+
+    /**
+     * Manages the timed sequence of events during a phase break.
+     */
+    updateBreak: function () {
+        const elapsed = this.now() - this.state.breakStartTime
+        if (this.state.breakState === "started" && elapsed > 1000) {
+            this.evolvePlayer()
+            this.state.breakState = "effects"
+        }
+        if (this.state.breakState === "effects" && elapsed > 2000) {
+            this.state.showBreakText = true
+            this.state.breakState = "ready"
+        }
+    },
+
+    /**
+     * Evolution effects: sound, sparkles and the active phase's sprite.
+     */
+    evolvePlayer: function () {
+        DoggoNogoAudio.play(this.assets.soundEvolve)
+        const cx = this.state.player.x + this.state.player.width / 2
+        const cy = this.state.player.y + this.state.player.height / 2
+        this.createSparkles(cx, cy, 50)
+        this.assets.imgPlayer = DoggoNogoCore.phaseSprite(this, this.getPhase())
+    },
+
+    /**
+     * Initiates a phase break and waits for SPACE to resume (or starts the phase right away when it is
+     * declared with `break: false`).
+     */
+    startPhaseBreak: function () {
+        this.state.phaseIndex = Math.min(this.getPhases().length - 1, this.state.phaseIndex + 1)
+        this.state.inBreak = true
+        this.state.breakState = "started"
+        this.state.breakStartTime = this.now()
+        this.state.showBreakText = false
+        if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.playPhaseComplete(this)
+        if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
+        this.state.stimulus.visible = false
+        this.state.stimulus.exiting = false
+        const targets = this.state.phaseRequiredScores
+        targets[this.state.phaseIndex] = this.computePhaseTarget(this.state.phaseIndex)
+        // Score floors only drive progression in progressionMode "score"
+        if (DoggoNogoCore.progressionMode(this) === "score") {
+            this.state.phaseFloorScore = targets.slice(0, this.state.phaseIndex).reduce((a, b) => a + b, 0)
+            this.state.score = this.state.phaseFloorScore
+        }
+        this.state.phasePresentations = 0
+        if (this.getPhase().break === false) {
+            this.state.inBreak = false
+            this.state.breakState = "idle"
+            this.evolvePlayer()
+            if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.phaseStart === "function") DoggoNogoEngine.phaseStart(this)
+            this.state.phaseStartTime = this.now()
+            this.startNewTrial()
+        }
+    },
+
+    /**
+     * Resumes gameplay from a phase break.
+     */
+    resumeFromBreak: function () {
+        if (!this.state.inBreak || this.state.breakState !== "ready") return
+        this.state.inBreak = false
+        this.state.breakState = "idle"
+        if (typeof DoggoNogoEngine !== "undefined" && typeof DoggoNogoEngine.phaseStart === "function") DoggoNogoEngine.phaseStart(this)
+        this.state.phaseStartTime = this.now()
+        this.startNewTrial()
+    },
+    computeMedian: function (arr) {
+        if (!arr || arr.length === 0) return this.state.medianRT
+        const s = [...arr].sort((a, b) => a - b)
+        const mid = Math.floor(s.length / 2)
+        return s.length % 2 !== 0 ? s[mid] : (s[mid - 1] + s[mid]) / 2
+    },
+    createSparkles: function (x, y, count) {
+        DoggoNogoCore.createParticles(this, x, y, count, {
+            speedMin: 2,
+            speedMax: 7,
+            sizeMin: 2,
+            sizeMax: 6,
+            lifeMin: 60,
+            lifeMax: 140,
+            colorFn: () => `hsl(${Math.random() * 60}, 100%, 85%)`,
+        })
+    },
+    updateParticles: function () {
+        DoggoNogoCore.updateParticles(this)
+    },
+    updateFeedbackBubbles: function () {
+        DoggoNogoCore.updateFeedbackBubbles(this, 500)
+    },
+
+    /**
+     * Cleanly ends the level, removing listeners and timers and calling the end callback.
+     */
+    endLevel: function () {
+        this.state.gameState = "done"
+        DoggoNogoAudio.play(this.assets.soundLevelUp)
+        DoggoNogoAudio.stopMusic()
+        document.removeEventListener("keydown", this.boundKeyDownHandler)
+        if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
+        if (this.state.showContinueButton) {
+            this.state.endOverlayVisible = true
+            return
+        }
+        this.endGameCallback(this.state)
+    },
+
+    /**
+     * Returns the key a correct response to the current stimulus uses, or null when it must be withheld (NOGO).
+     * @returns {string|null}
+     */
+    getExpectedResponse: function () {
+        return this.state.stimulus.kind === "nogo" ? null : "ArrowDown"
+    },
+
+    /**
+     * Handles key releases: logs how long the last keyboard response was held (see DoggoNogoCore.holdResponse).
+     * @param {KeyboardEvent} e - The keyboard event object.
+     */
+    handleKeyUp: function (e) {
+        DoggoNogoCore.releaseResponse(this.state, e)
+    },
+
+    /**
+     * Handles the keydown event for player input.
+     * @param {KeyboardEvent} e - The keyboard event object.
+     */
+    handleKeyDown: function (e) {
+        if (this.state.gameState !== "playing") return
+        if (DoggoNogoCore.ignoreRepeat(this.state, e)) return
+        // Dev/Test shortcut: 's' to skip the level immediately (unless 's' is a mapped response key)
+        if ((e.key === "s" || e.key === "S") && !DoggoNogoCore.isMappedKey(e)) {
+            if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
+            this.endLevel()
+            return
+        }
+        if (this.state.inBreak) {
+            if (DoggoNogoCore.matchesKey(e, "Space")) this.resumeFromBreak()
+            return
+        }
+        if (!this.isResponseKey(e)) return
+        const responseKey = DoggoNogoCore.responseKeyName(e, "ArrowDown")
+        this.state.trialInput = DoggoNogoCore.inputInfo(e, this.state.canvas)
+        const stim = this.state.stimulus
+
+        // Anticipation: press before any stimulus
+        if (!stim.visible && !stim.exiting) {
+            if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.clearTrialTimers(this.state)
+            this.finishTrial({
+                type: TrialTypes.EARLY,
+                points: -this.params.minScore,
+                includeInMedian: false,
+                timestamp: new Date().toISOString(),
+                thresholdUsed: this.getEffectiveThreshold(),
+                responseKey,
+            })
+            return
+        }
+        if (!stim.visible || stim.exiting) return
+
+        const reactionTime = DoggoNogoCore.reactionTime(this.state, e)
+        if (this.state.currentTrialTimeoutId) {
+            DoggoNogoCore.clearTimer(this.state.currentTrialTimeoutId)
+            this.state.currentTrialTimeoutId = null
+        }
+        const threshold = this.getEffectiveThreshold()
+
+        // Commission error: pressed while NOGO was on screen
+        if (stim.kind === "nogo") {
+            DoggoNogoCore.startStimulusExit(this.state, () => this.now(), "timeout")
+            this.finishTrial({
+                type: TrialTypes.COMMISSION,
+                points: -this.params.minScore / 2,
+                rt: reactionTime,
+                includeInMedian: false,
+                timestamp: new Date().toISOString(),
+                thresholdUsed: threshold,
+                responseKey,
+                correct: false,
+            })
+            return
+        }
+
+        DoggoNogoCore.startStimulusExit(this.state, () => this.now(), "catch")
+        const trialMaxRT = this.state.maxRT || 2 * this.getBaseThreshold()
+        if (reactionTime > threshold) {
+            this.finishTrial({
+                type: TrialTypes.SLOW,
+                points: 0,
+                rt: reactionTime,
+                includeInMedian: reactionTime <= trialMaxRT,
+                timestamp: new Date().toISOString(),
+                thresholdUsed: threshold,
+                responseKey,
+                correct: true,
+            })
+            return
+        }
+        const clampedRT = Math.min(reactionTime, trialMaxRT)
+        const nRT = 1 - clampedRT / Math.max(1, trialMaxRT)
+        const points = this.params.minScore + nRT * (this.params.maxScore - this.params.minScore)
+        DoggoNogoAudio.play(this.assets.soundFast)
+        DoggoNogoCore.jump(this, reactionTime)
+        this.finishTrial({
+            type: TrialTypes.FAST,
+            points,
+            rt: reactionTime,
+            includeInMedian: true,
+            timestamp: new Date().toISOString(),
+            thresholdUsed: threshold,
+            responseKey,
+            correct: true,
+        })
+    },
+    showScoreFeedback: function (text) {
+        if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.showScoreFeedback(this, text)
+    },
+    showFeedbackBubble: function (type, x, y) {
+        if (typeof DoggoNogoCore !== "undefined") DoggoNogoCore.showFeedbackBubble(this, type, x, y)
+    },
+    isResponseKey: function (e) {
+        return DoggoNogoCore.matchesKey(e, "ArrowDown")
+    },
+    getTrialTypeLabel: function (type) {
+        if (typeof DoggoNogoCore !== "undefined") return DoggoNogoCore.getTrialTypeLabel(type)
+        return type === "timeout" ? "Timeout" : type.charAt(0).toUpperCase() + type.slice(1)
+    },
+}
+
+// Make accessible globally if in browser context
+if (typeof window !== "undefined") {
+    window.level3 = level3
+}
+
+// Register with the engine so it can be run, preloaded and chained by id
+if (typeof DoggoNogoEngine !== "undefined") {
+    DoggoNogoEngine.registerLevel("level3", level3, {
+        name: "Level 3",
+        startKeys: ["ArrowDown"],
+        responseKeys: ["ArrowDown"],
+        introSequence: () => (typeof level3IntroSequence !== "undefined" ? level3IntroSequence : null),
+        // Level 3 reuses level 1 & level 2 artwork
+        manifest: {
+            images: [
+                "level1/player_1.png",
+                "level1/player_2.png",
+                "level1/player_3.png",
+                "level1/stimulus.png",
+                "level2/player_1.png",
+                "level1/background.png",
+                "level1/feedback_slow1.png",
+                "level1/feedback_late1.png",
+                "level1/feedback_early1.png",
+                "level2/feedback_error1.png",
+                "level1/feedback_fast1.png",
+                "level1/feedback_fast2.png",
+                "level1/feedback_fast3.png",
+            ],
+            audio: [
+                "level1/sound_background.mp3",
+                "level1/sound_fast.mp3",
+                "level1/sound_slow.mp3",
+                "level1/sound_early.mp3",
+                "level2/sound_error.mp3",
+                "level1/sound_evolve.mp3",
+            ],
+        },
+    })
+}
@@ -0,0 +1,261 @@
+/**
+ * @file Parametric synthetic participants and parameter sweeps on top of the headless runner (Node only).
+ *
+ * Participant model (per stimulus):
+ *   - Lapse: with probability `lapseRate` no response is given (omission / timeout).
+ *   - Anticipation: with probability `anticipationRate` per ISI, a response key is pressed before the stimulus appears.
+ *   - RT ~ ex-Gaussian(mu, sigma, tau) = Normal(mu, sigma) + Exponential(tau), clamped to `minRT`.
+ *   - Simon effect (level2): incongruent trials are slowed by `simonEffect` ms and answered with the wrong key with
+ *     probability `simonErrorRate` (on top of the baseline `errorRate`).
+ *   - No-go trials (level3) are withheld, except for commission errors with probability `commissionRate`.
+ *
+ * Sweep report: for every combination of a parameter grid (e.g., trialsNumber x gameDifficulty x minScore/maxScore),
+ * runs N virtual sessions and summarizes trials-to-completion, phase lengths, final score and the IES quantile.
+ *
+ * Usage (Node):
+ *   const Simulation = require("./game/simulation.js")
+ *   const report = await Simulation.sweep({
+ *       level: "level2",
+ *       sessions: 1000,
+ *       grid: { trialsNumber: [12, 18, 24], gameDifficulty: [1, 1.25], minScore: [100], maxScore: [200] },
+ *       participant: { mu: 300, sigma: 40, tau: 80, lapseRate: 0.02, anticipationRate: 0.03, simonEffect: 30 },
+ *   })
+ *   console.log(Simulation.formatReport(report))
+ *
+ * CLI: node game/simulation.js [levelId] [--sessions N] [--trials 12,18] [--difficulty 1,1.5] [--minScore 100] [--maxScore 200]
+ *      [--mu ms] [--sigma ms] [--tau ms] [--lapse p] [--anticipation p] [--simon ms] [--seed N] [--json]
+ */
+;(function (global) {
+    const Headless = typeof module !== "undefined" && module.exports ? require("./headless.js") : global.DoggoNogoHeadless
+
+    /**
+     * Creates a parametric synthetic participant usable with DoggoNogoHeadless.simulate().
+     * @param {object} [options]
+     * @param {number} [options.mu=300] - Mean of the Gaussian RT component (ms).
+     * @param {number} [options.sigma=40] - SD of the Gaussian RT component (ms).
+     * @param {number} [options.tau=80] - Mean of the exponential RT component (ms).
+     * @param {number} [options.minRT=100] - RTs are clamped to at least this value.
+     * @param {number} [options.lapseRate=0] - Probability of not responding to a stimulus.
+     * @param {number} [options.anticipationRate=0] - Probability of pressing during an ISI, before the stimulus.
+     * @param {number} [options.errorRate=0] - Probability of pressing a wrong response key.
+     * @param {number} [options.simonEffect=0] - RT cost (ms) on incongruent trials (level2).
+     * @param {number} [options.simonErrorRate=0] - Additional wrong-key probability on incongruent trials (level2).
+     * @param {number} [options.commissionRate=0] - Probability of pressing on a no-go trial (level3).
+     * @param {number|string} [options.seed] - Seed of the participant's own PRNG.
+     * @returns {function(object): ({key: string, rt: number}|null)}
+     */
+    function createModelParticipant({
+        mu = 300,
+        sigma = 40,
+        tau = 80,
+        minRT = 100,
+        lapseRate = 0,
+        anticipationRate = 0,
+        errorRate = 0,
+        simonEffect = 0,
+        simonErrorRate = 0,
+        commissionRate = 0,
+        seed,
+    } = {}) {
+        const rng = DoggoNogoCore.createRng(seed)
+        const gaussian = () => {
+            // Box-Muller
+            const u = 1 - rng.next()
+            const v = rng.next()
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+        }
+        const exGaussian = () => mu + sigma * gaussian() + (tau > 0 ? -tau * Math.log(1 - rng.next()) : 0)
+        const pick = (keys) => keys[Math.floor(rng.next() * keys.length)]
+
+        const participant = function (trial) {
+            if (rng.next() < lapseRate) return null
+            let rt = exGaussian()
+            let key = trial.expectedKey
+            if (key === null) {
+                // No-go stimulus: withhold unless a commission error occurs
+                if (rng.next() >= commissionRate) return null
+                return { key: pick(trial.responseKeys), rt: Math.max(minRT, rt) }
+            }
+            let pError = errorRate
+            if (trial.stimulus && trial.stimulus.difficulty === "incongruent") {
+                rt += simonEffect
+                pError = Math.min(1, errorRate + simonErrorRate)
+            }
+            if (rng.next() < pError) {
+                const wrong = trial.responseKeys.filter((k) => k !== trial.expectedKey)
+                if (wrong.length) key = pick(wrong)
+            }
+            return { key, rt: Math.max(minRT, rt) }
+        }
+        // Called at every ISI start; the press lands uniformly within the shortest possible ISI
+        participant.anticipate = function (isi) {
+            if (rng.next() >= anticipationRate) return null
+            return { key: pick(isi.responseKeys), delay: rng.next() * (isi.minISI || 1000) }
+        }
+        return participant
+    }
+
+    // Summary statistics of a numeric sample
+    function summarize(values) {
+        const v = values.filter((x) => typeof x === "number" && isFinite(x)).sort((a, b) => a - b)
+        if (!v.length) return { n: 0, mean: NaN, sd: NaN, min: NaN, q05: NaN, median: NaN, q95: NaN, max: NaN }
+        const mean = v.reduce((a, b) => a + b, 0) / v.length
+        const sd = v.length > 1 ? Math.sqrt(v.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (v.length - 1)) : 0
+        // Linear interpolation between order statistics
+        const quantile = (p) => {
+            const h = (v.length - 1) * p
+            const lo = Math.floor(h)
+            return v[lo] + (h - lo) * ((v[Math.min(lo + 1, v.length - 1)] || v[lo]) - v[lo])
+        }
+        return { n: v.length, mean, sd, min: v[0], q05: quantile(0.05), median: quantile(0.5), q95: quantile(0.95), max: v[v.length - 1] }
+    }
+
+    // Cartesian product of a { param: [values] } grid, skipping combinations with minScore > maxScore
+    function expandGrid(grid) {
+        let combos = [{}]
+        Object.keys(grid || {}).forEach((name) => {
+            const values = Array.isArray(grid[name]) ? grid[name] : [grid[name]]
+            combos = combos.flatMap((c) => values.map((value) => Object.assign({}, c, { [name]: value })))
+        })
+        return combos.filter((c) => !(typeof c.minScore === "number" && typeof c.maxScore === "number" && c.minScore > c.maxScore))
+    }
+
+    /**
+     * Runs `sessions` virtual sessions for every combination of `grid` and summarizes the outcomes.
+     * Session i of every grid cell uses stimulus seed `seed + i` (and participant seed `seed + i` as well), so cells
+     * are compared on identical stimulus sequences and responders.
+     * @param {object} options
+     * @param {string} [options.level="level1"] - Registered level id.
+     * @param {number} [options.sessions=100] - Virtual sessions per grid cell.
+     * @param {object} [options.grid] - Level parameters to vary: { trialsNumber: [...], gameDifficulty: [...], minScore: [...], maxScore: [...] }.
+     * @param {object|function} [options.participant] - Options for createModelParticipant, or a factory `(seed) => participant`.
+     * @param {number} [options.seed=1] - Base seed.
+     * @param {function} [options.onProgress] - Called as (doneSessions, totalSessions).
+     * @returns {Promise<{level: string, sessions: number, participant: object|string, cells: Array<object>}>}
+     */
+    async function sweep({ level = "level1", sessions = 100, grid = {}, participant = {}, seed = 1, onProgress } = {}) {
+        const combos = expandGrid(grid)
+        const total = combos.length * sessions
+        const makeParticipant =
+            typeof participant === "function" ? participant : (s) => createModelParticipant(Object.assign({}, participant, { seed: s }))
+        const cells = []
+        let done = 0
+        for (const params of combos) {
+            const runs = []
+            for (let i = 0; i < sessions; i++) {
+                const result = await Headless.simulate(level, {
+                    seed: seed + i,
+                    levelParams: params,
+                    participant: makeParticipant(seed + i),
+                    render: false,
+                })
+                // One count per phase of the run (the phases in use, see the levels' getPhases), so unreached phases count 0
+                const phases = result.gameParams && result.gameParams.phases
+                const phaseLengths = new Array(phases ? phases.length : 0).fill(0)
+                result.data.forEach((d) => {
+                    phaseLengths[d.Phase - 1] = (phaseLengths[d.Phase - 1] || 0) + 1
+                })
+                runs.push({
+                    trials: result.data.length, // logged trials, including anticipations
+                    presented: result.state.trials, // stimuli shown
+                    phaseLengths,
+                    finalScore: result.state.score,
+                    quantile: result.performance.quantile,
+                    ies: result.performance.ies,
+                    errorRate: result.performance.errorRate,
+                    duration: result.duration / 1000,
+                })
+                done++
+                if (onProgress) onProgress(done, total)
+            }
+            const nPhases = Math.max(...runs.map((r) => r.phaseLengths.length))
+            cells.push({
+                params,
+                trials: summarize(runs.map((r) => r.trials)),
+                presented: summarize(runs.map((r) => r.presented)),
+                phaseLengths: Array.from({ length: nPhases }, (_, p) => summarize(runs.map((r) => r.phaseLengths[p] || 0))),
+                finalScore: summarize(runs.map((r) => r.finalScore)),
+                quantile: summarize(runs.map((r) => r.quantile)),
+                ies: summarize(runs.map((r) => r.ies)),
+                errorRate: summarize(runs.map((r) => r.errorRate)),
+                duration: summarize(runs.map((r) => r.duration)),
+            })
+        }
+        return { level, sessions, participant: typeof participant === "function" ? "custom" : participant, cells }
+    }
+
+    /**
+     * Formats a sweep report as a plain-text table (one row per grid cell).
+     * Distributions are shown as median [5th-95th percentile].
+     * @param {object} report - The object returned by sweep().
+     * @returns {string}
+     */
+    function formatReport(report) {
+        const fmt = (x, digits = 0) => (isFinite(x) ? x.toFixed(digits) : "NA")
+        const dist = (s, digits = 0) => `${fmt(s.median, digits)} [${fmt(s.q05, digits)}-${fmt(s.q95, digits)}]`
+        const paramNames = report.cells.length ? Object.keys(report.cells[0].params) : []
+        const header = paramNames.concat(["trials", "phase lengths (mean)", "final score", "IES quantile", "minutes"])
+        const rows = report.cells.map((c) =>
+            paramNames
+                .map((n) => String(c.params[n]))
+                .concat([
+                    dist(c.trials),
+                    c.phaseLengths.map((p) => fmt(p.mean, 1)).join(" / "),
+                    dist(c.finalScore),
+                    dist(c.quantile, 1),
+                    fmt(c.duration.median / 60, 1),
+                ])
+        )
+        const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)))
+        const line = (cols) => cols.map((c, i) => c.padEnd(widths[i])).join("  ")
+        return [
+            `${report.level}: ${report.sessions} sessions per cell, participant ${JSON.stringify(report.participant)}`,
+            line(header),
+            line(widths.map((w) => "-".repeat(w))),
+            ...rows.map(line),
+        ].join("\n")
+    }
+
+    const simulation = { createModelParticipant, summarize, expandGrid, sweep, formatReport }
+
+    global.DoggoNogoSimulation = simulation
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = simulation
+
+        if (require.main === module) {
+            const args = process.argv.slice(2)
+            const opt = (name, fallback) => {
+                const i = args.indexOf(`--${name}`)
+                return i >= 0 && i + 1 < args.length ? args[i + 1] : fallback
+            }
+            const list = (name, fallback) => String(opt(name, fallback)).split(",").map(Number)
+            const level = args[0] && !args[0].startsWith("--") ? args[0] : "level1"
+            const defaults = DoggoNogoEngine.getLevel(level).params
+            sweep({
+                level,
+                sessions: Number(opt("sessions", 100)),
+                seed: Number(opt("seed", 1)),
+                grid: {
+                    trialsNumber: list("trials", defaults.trialsNumber),
+                    gameDifficulty: list("difficulty", defaults.gameDifficulty),
+                    minScore: list("minScore", defaults.minScore),
+                    maxScore: list("maxScore", defaults.maxScore),
+                },
+                participant: {
+                    mu: Number(opt("mu", 300)),
+                    sigma: Number(opt("sigma", 40)),
+                    tau: Number(opt("tau", 80)),
+                    lapseRate: Number(opt("lapse", 0)),
+                    anticipationRate: Number(opt("anticipation", 0)),
+                    simonEffect: Number(opt("simon", 0)),
+                },
+            })
+                .then((report) => console.log(args.includes("--json") ? JSON.stringify(report, null, 2) : formatReport(report)))
+                .catch((e) => {
+                    console.error(e)
+                    process.exitCode = 1
+                })
+        }
+    }
+})(typeof window !== "undefined" ? window : globalThis)
@@ -0,0 +1,177 @@
+/**
+ * @file Adaptive fast/slow thresholds: pluggable strategies estimating the RT boundary between fast and slow responses.
+ *
+ * Levels classify a correct response as fast when its RT is at most the effective threshold, the strategy's threshold
+ * divided by `gameDifficulty`; each trial's timeout (maxRT) is twice the strategy's threshold. A level creates its
+ * strategy at start from `params.thresholdStrategy`, a name or { type, ...options }:
+ *   "median"    - Running median of all correct RTs (the default). Options: initial (ms, 1000).
+ *   "window"    - Median of the last `size` correct RTs. Options: size (10), initial (ms, 1000).
+ *   "staircase" - Weighted up/down staircase (Kaernbach, 1991): the threshold goes down by `step` after a fast response
+ *                 and up by step × targetFast / (1 − targetFast) after a slow one, so it converges where a `targetFast`
+ *                 proportion of responses are fast. Options: targetFast (0.5), step (ms, 25), initial (ms, 500),
+ *                 min (ms, 100), max (ms, 2000).
+ *   "quest"     - QUEST-style Bayesian estimate (Watson & Pelli, 1983): a posterior over the participant's RT location μ
+ *                 on a grid, updated after each response with P(fast | μ) = lapse/2 + (1 − lapse) Φ((threshold − μ) / sd).
+ *                 The threshold is the posterior mean of μ plus sd × Φ⁻¹(targetFast). Options: targetFast (0.5),
+ *                 priorMean (ms, 500), priorSD (ms, 100), sd (ms, RT spread, 80),
+ *                 lapse (0.02), min (ms, 100), max (ms, 2000), grain (ms, 5).
+ *
+ * Strategies learn from correct responses and from misses: timeouts and correct responses slower than the trial's
+ * maxRT, which count as slow for the stepwise strategies (so that a threshold set too low for the participant climbs
+ * back up) but are left out of the running medians, as before.
+ *
+ * Strategy interface: { type, threshold(): number, update({ rt, fast, threshold, miss }): void, snapshot(): object },
+ * where update() receives the effective threshold the response was classified with (`rt` is null for a timeout and
+ * `miss` is true for misses) and snapshot() returns the strategy's internal state, logged with every trial
+ * (`ThresholdState`). Custom strategies:
+ *   DoggoNogoThresholds.register("fixed", (options) => ({
+ *       type: "fixed",
+ *       threshold: () => options.value,
+ *       update: () => {},
+ *       snapshot: () => ({ value: options.value }),
+ *   }))
+ *   DoggoNogoEngine.run(canvas, "level1", { levelParams: { thresholdStrategy: { type: "fixed", value: 400 } } })
+ */
+;(function (global) {
+    function median(values) {
+        if (values.length === 0) return null
+        const sorted = [...values].sort((a, b) => a - b)
+        const mid = Math.floor(sorted.length / 2)
+        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+    }
+
+    // Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+    function normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2
+        const t = 1 / (1 + 0.3275911 * x)
+        const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x)
+        return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf)
+    }
+
+    // Inverse of normalCdf by bisection (p in (0, 1))
+    function normalQuantile(p) {
+        let lo = -10
+        let hi = 10
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2
+            if (normalCdf(mid) < p) lo = mid
+            else hi = mid
+        }
+        return (lo + hi) / 2
+    }
+
+    const clampProportion = (p) => Math.min(0.99, Math.max(0.01, typeof p === "number" ? p : 0.5))
+
+    const factories = {
+        median({ initial = 1000 } = {}) {
+            const rts = []
+            let current = initial
+            return {
+                type: "median",
+                threshold: () => current,
+                update({ rt, miss }) {
+                    if (miss) return
+                    rts.push(rt)
+                    current = median(rts)
+                },
+                snapshot: () => ({ median: current, n: rts.length }),
+            }
+        },
+        window({ size = 10, initial = 1000 } = {}) {
+            const rts = []
+            let current = initial
+            return {
+                type: "window",
+                threshold: () => current,
+                update({ rt, miss }) {
+                    if (miss) return
+                    rts.push(rt)
+                    if (rts.length > size) rts.shift()
+                    current = median(rts)
+                },
+                snapshot: () => ({ median: current, n: rts.length, size }),
+            }
+        },
+        staircase({ targetFast = 0.5, step = 25, initial = 500, min = 100, max = 2000 } = {}) {
+            const p = clampProportion(targetFast)
+            const stepUp = (step * p) / (1 - p)
+            let current = initial
+            let trials = 0
+            let reversals = 0
+            let lastDirection = 0 // -1 after a fast response (harder), 1 after a slow one
+            return {
+                type: "staircase",
+                threshold: () => current,
+                update({ fast }) {
+                    const direction = fast ? -1 : 1
+                    if (lastDirection !== 0 && direction !== lastDirection) reversals++
+                    lastDirection = direction
+                    current = Math.min(max, Math.max(min, current + (fast ? -step : stepUp)))
+                    trials++
+                },
+                snapshot: () => ({ threshold: current, trials, reversals, direction: lastDirection }),
+            }
+        },
+        quest({ targetFast = 0.5, priorMean = 500, priorSD = 100, sd = 80, lapse = 0.02, min = 100, max = 2000, grain = 5 } = {}) {
+            const offset = sd * normalQuantile(clampProportion(targetFast))
+            const grid = []
+            for (let mu = min; mu <= max; mu += grain) grid.push(mu)
+            let logPosterior = grid.map((mu) => -0.5 * ((mu - priorMean) / priorSD) ** 2)
+            let trials = 0
+            const posterior = () => {
+                const peak = Math.max(...logPosterior)
+                const weights = logPosterior.map((l) => Math.exp(l - peak))
+                const total = weights.reduce((a, b) => a + b, 0)
+                const mean = grid.reduce((sum, mu, i) => sum + mu * weights[i], 0) / total
+                const variance = grid.reduce((sum, mu, i) => sum + (mu - mean) ** 2 * weights[i], 0) / total
+                return { mean, sd: Math.sqrt(variance) }
+            }
+            let estimate = posterior()
+            const current = () => Math.min(max, Math.max(min, estimate.mean + offset))
+            return {
+                type: "quest",
+                threshold: current,
+                update({ fast, threshold }) {
+                    // Likelihood of the outcome at the threshold this response was classified with (the effective one)
+                    const t = typeof threshold === "number" ? threshold : current()
+                    logPosterior = logPosterior.map((l, i) => {
+                        const pFast = lapse / 2 + (1 - lapse) * normalCdf((t - grid[i]) / sd)
+                        return l + Math.log(Math.max(1e-12, fast ? pFast : 1 - pFast))
+                    })
+                    estimate = posterior()
+                    trials++
+                },
+                snapshot: () => ({ threshold: current(), mean: estimate.mean, sd: estimate.sd, trials }),
+            }
+        },
+    }
+
+    /**
+     * Creates a threshold strategy.
+     * @param {string|object} [spec="median"] - Strategy name, or { type, ...options } (see the file documentation).
+     * @returns {{type: string, threshold: function(): number, update: function(object): void, snapshot: function(): object}}
+     */
+    function create(spec) {
+        const options = typeof spec === "string" || !spec ? { type: spec || "median" } : spec
+        const factory = factories[options.type]
+        if (!factory) throw new Error(`Unknown threshold strategy "${options.type}" (available: ${Object.keys(factories).join(", ")})`)
+        return factory(options)
+    }
+
+    /**
+     * Registers a custom strategy, created by `factory(options)` when a level's thresholdStrategy names `type`.
+     * @param {string} type
+     * @param {function(object): object} factory
+     */
+    function register(type, factory) {
+        factories[type] = factory
+    }
+
+    global.DoggoNogoThresholds = {
+        create,
+        register,
+        types: () => Object.keys(factories),
+        normalCdf,
+        normalQuantile,
+    }
+})(typeof window !== "undefined" ? window : globalThis)
@@ -0,0 +1,129 @@
+/**
+ * @file Local WebSocket echo server for testing the engine's `triggerTransport` (see triggers.js).
+ *
+ * Prints every trigger message it receives (one JSON object per line, with a warning when `seq` skips numbers) and
+ * echoes it back to the sender. No dependencies: implements the small part of RFC 6455 the game needs (unfragmented
+ * text frames, ping/pong, close).
+ *
+ * CLI: node game/trigger-server.js [--port 8765]
+ * Then: DoggoNogoEngine.run(canvas, "level1", { triggerTransport: "ws://localhost:8765" })
+ *   or: game/index.html?triggers=ws://localhost:8765
+ */
+const http = require("http")
+const crypto = require("crypto")
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+
+// Builds an unmasked server frame (opcode 0x1 text, 0x8 close, 0xA pong)
+function encodeFrame(opcode, payload) {
+    const len = payload.length
+    let header
+    if (len < 126) {
+        header = Buffer.from([0x80 | opcode, len])
+    } else if (len < 65536) {
+        header = Buffer.alloc(4)
+        header[0] = 0x80 | opcode
+        header[1] = 126
+        header.writeUInt16BE(len, 2)
+    } else {
+        header = Buffer.alloc(10)
+        header[0] = 0x80 | opcode
+        header[1] = 127
+        header.writeBigUInt64BE(BigInt(len), 2)
+    }
+    return Buffer.concat([header, payload])
+}
+
+// Extracts complete frames from `buffer`; returns { frames: [{opcode, payload}], rest }
+function decodeFrames(buffer) {
+    const frames = []
+    let offset = 0
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f
+        const masked = (buffer[offset + 1] & 0x80) !== 0
+        let len = buffer[offset + 1] & 0x7f
+        let pos = offset + 2
+        if (len === 126) {
+            if (buffer.length < pos + 2) break
+            len = buffer.readUInt16BE(pos)
+            pos += 2
+        } else if (len === 127) {
+            if (buffer.length < pos + 8) break
+            len = Number(buffer.readBigUInt64BE(pos))
+            pos += 8
+        }
+        const maskLen = masked ? 4 : 0
+        if (buffer.length < pos + maskLen + len) break
+        const payload = Buffer.from(buffer.subarray(pos + maskLen, pos + maskLen + len))
+        if (masked) {
+            const mask = buffer.subarray(pos, pos + 4)
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4]
+        }
+        frames.push({ opcode, payload })
+        offset = pos + maskLen + len
+    }
+    return { frames, rest: buffer.subarray(offset) }
+}
+
+function startServer(port = 8765, { log = console.log } = {}) {
+    // Tracked across connections: a gap after a reconnection reveals messages lost in flight. A connection starting
+    // from seq 1 is a fresh page load (seq restarts), not a gap.
+    let lastSeq = null
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { "Content-Type": "text/plain" })
+        res.end("Doggo/Nogo trigger echo server: connect with a WebSocket\n")
+    })
+    server.on("upgrade", (req, socket) => {
+        const key = req.headers["sec-websocket-key"]
+        if (!key) {
+            socket.destroy()
+            return
+        }
+        const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64")
+        socket.write(
+            "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        )
+        const client = `${socket.remoteAddress}:${socket.remotePort}`
+        log(`# client connected ${client}`)
+        let pending = Buffer.alloc(0)
+        let firstSeq = true
+        socket.on("data", (chunk) => {
+            const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]))
+            pending = rest
+            frames.forEach(({ opcode, payload }) => {
+                if (opcode === 0x1) {
+                    const text = payload.toString("utf8")
+                    try {
+                        const message = JSON.parse(text)
+                        if (typeof message.seq === "number") {
+                            if (firstSeq && message.seq === 1) lastSeq = null
+                            firstSeq = false
+                            if (lastSeq !== null && message.seq !== lastSeq + 1) log(`# seq gap: ${lastSeq} -> ${message.seq}`)
+                            lastSeq = message.seq
+                        }
+                    } catch (e) {
+                        log("# non-JSON message")
+                    }
+                    log(text)
+                    socket.write(encodeFrame(0x1, payload))
+                } else if (opcode === 0x9) {
+                    socket.write(encodeFrame(0xa, payload))
+                } else if (opcode === 0x8) {
+                    socket.end(encodeFrame(0x8, Buffer.alloc(0)))
+                }
+            })
+        })
+        socket.on("close", () => log(`# client disconnected ${client}`))
+        socket.on("error", () => {})
+    })
+    server.listen(port, () => log(`# trigger echo server listening on ws://localhost:${port}`))
+    return server
+}
+
+module.exports = { startServer, encodeFrame, decodeFrames }
+
+if (require.main === module) {
+    const args = process.argv.slice(2)
+    const i = args.indexOf("--port")
+    startServer(i >= 0 && i + 1 < args.length ? Number(args[i + 1]) : 8765)
+}
@@ -0,0 +1,150 @@
+/**
+ * @file Trigger transports: send event codes to external acquisition systems (EEG amplifiers, LSL bridges...).
+ *
+ * The engine emits one JSON message per event when run with a `triggerTransport` (see DoggoNogoEngine.run):
+ *   { seq, event, code, t, levelTime, level, phase, trial, ...details }
+ * where `seq` counts messages from 1, `t` is performance.now() when the event happened and `code` is the event's
+ * marker code (DoggoNogoEngine.defaultMarkerCodes merged with `markerCodes`; null for events without a code).
+ *
+ * Usage:
+ *   DoggoNogoEngine.run(canvas, "level1", { triggerTransport: "ws://localhost:8765" })
+ *   // or share one connection across levels:
+ *   const transport = DoggoNogoTriggers.createWebSocketTransport("ws://localhost:8765")
+ *   DoggoNogoEngine.run(canvas, "level1", { triggerTransport: transport })
+ *
+ * A local echo server for testing: node game/trigger-server.js [--port 8765]
+ */
+;(function (global) {
+    /**
+     * Creates a transport sending each message as a JSON text frame over a WebSocket. Messages sent while the socket
+     * is connecting or disconnected are queued (with their original timestamps) and flushed in order once it
+     * (re)connects; the socket reconnects automatically until close() is called. close() first drains the queue: the
+     * socket closes once every queued message was sent, or after `drainTimeout` (the rest are then counted as dropped).
+     * Messages sent after close() are dropped.
+     * @param {string} url - WebSocket URL of the bridge (e.g., "ws://localhost:8765").
+     * @param {object} [options]
+     * @param {number} [options.reconnectDelay=1000] - Delay (ms) before reconnecting after the socket closed.
+     * @param {number} [options.maxQueue=10000] - Maximum queued messages; the oldest are dropped (and counted) beyond it.
+     * @param {number} [options.drainTimeout=5000] - Longest wait (ms) for queued messages to be sent after close().
+     * @param {function} [options.WebSocketImpl] - WebSocket constructor (defaults to the global WebSocket).
+     * @returns {{url: string, send: function(object): void, close: function(): void, isOpen: function(): boolean,
+     *   queued: function(): number, sent: number, dropped: number}}
+     */
+    function createWebSocketTransport(url, { reconnectDelay = 1000, maxQueue = 10000, drainTimeout = 5000, WebSocketImpl } = {}) {
+        const WS = WebSocketImpl || global.WebSocket
+        if (typeof WS !== "function") throw new Error("WebSocket is not available in this environment")
+        const queue = []
+        let socket = null
+        let closed = false
+        let closing = false // close() called, the queue still draining
+        let reconnectTimer = null
+        let drainTimer = null
+
+        const transport = {
+            url,
+            sent: 0,
+            dropped: 0,
+            isOpen() {
+                return !!socket && socket.readyState === 1
+            },
+            queued() {
+                return queue.length
+            },
+            send(message) {
+                if (closed || closing) {
+                    transport.dropped++
+                    return
+                }
+                const data = JSON.stringify(message)
+                if (transport.isOpen() && queue.length === 0) {
+                    socket.send(data)
+                    transport.sent++
+                    return
+                }
+                queue.push(data)
+                if (queue.length > maxQueue) {
+                    queue.shift()
+                    transport.dropped++
+                }
+            },
+            close() {
+                if (closed || closing) return
+                if (queue.length === 0) {
+                    shutdown()
+                    return
+                }
+                closing = true
+                drainTimer = setTimeout(shutdown, drainTimeout)
+            },
+        }
+
+        function shutdown() {
+            closed = true
+            closing = false
+            if (drainTimer) clearTimeout(drainTimer)
+            drainTimer = null
+            transport.dropped += queue.length
+            queue.length = 0
+            if (reconnectTimer) clearTimeout(reconnectTimer)
+            reconnectTimer = null
+            if (socket) {
+                try {
+                    socket.close()
+                } catch (e) {}
+            }
+            socket = null
+        }
+
+        function flush() {
+            while (queue.length && transport.isOpen()) {
+                socket.send(queue.shift())
+                transport.sent++
+            }
+            if (closing && queue.length === 0) shutdown()
+        }
+
+        function connect() {
+            reconnectTimer = null
+            if (closed) return
+            try {
+                socket = new WS(url)
+            } catch (e) {
+                console.warn(`Trigger socket ${url} could not be opened`, e)
+                scheduleReconnect()
+                return
+            }
+            socket.onopen = flush
+            // An error is always followed by a close event, which schedules the reconnection
+            socket.onerror = () => {}
+            socket.onclose = () => {
+                socket = null
+                scheduleReconnect()
+            }
+        }
+
+        function scheduleReconnect() {
+            if (closed || reconnectTimer) return
+            reconnectTimer = setTimeout(connect, reconnectDelay)
+        }
+
+        connect()
+        return transport
+    }
+
+    /**
+     * Resolves the engine's `triggerTransport` option: a WebSocket URL, or any object with a send(message) method.
+     * @param {string|object} option
+     * @returns {object|null}
+     */
+    function resolveTransport(option) {
+        if (!option) return null
+        if (typeof option === "string") return createWebSocketTransport(option)
+        if (typeof option.send === "function") return option
+        throw new Error("triggerTransport must be a WebSocket URL or an object with a send(message) method")
+    }
+
+    global.DoggoNogoTriggers = {
+        createWebSocketTransport,
+        resolveTransport,
+    }
+})(typeof window !== "undefined" ? window : globalThis)